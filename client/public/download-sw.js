@@ -0,0 +1,75 @@
+// Download service worker: the page posts received chunks through a MessagePort
+// and this worker serves them as a streamed HTTP response, so the browser
+// writes a large incoming file straight to disk instead of keeping it in memory.
+// The page only sends a chunk after a "pull", which the stream asks for while
+// it has room, so a slow disk holds up the page instead of filling this queue.
+
+const DOWNLOAD_PREFIX = '/__codedrop-download__/';
+const QUEUE_BYTES = 8 * 1024 * 1024; // buffered here before the page has to wait
+const pendingDownloads = new Map();
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'register-download') return;
+
+  const { id, name, size } = event.data;
+  const port = event.ports[0];
+
+  let chunkArrived = null; // resolves the pull() waiting for the page's next chunk
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data }) => {
+        if (data.type === 'chunk') {
+          controller.enqueue(new Uint8Array(data.chunk));
+        } else if (data.type === 'end') {
+          controller.close();
+          port.close();
+        } else if (data.type === 'abort') {
+          controller.error(new Error('Download aborted'));
+          port.close();
+        }
+        if (chunkArrived) {
+          chunkArrived();
+          chunkArrived = null;
+        }
+      };
+    },
+    // Called again only once the previous pull resolved and the queue still has room
+    pull() {
+      port.postMessage({ type: 'pull' });
+      return new Promise((resolve) => { chunkArrived = resolve; });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancelled' });
+    }
+  }, new ByteLengthQueuingStrategy({ highWaterMark: QUEUE_BYTES }));
+
+  pendingDownloads.set(id, { stream, name, size });
+  port.postMessage({ type: 'registered', url: `${DOWNLOAD_PREFIX}${id}` });
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (!url.pathname.startsWith(DOWNLOAD_PREFIX)) return;
+
+  const id = url.pathname.slice(DOWNLOAD_PREFIX.length);
+  const download = pendingDownloads.get(id);
+  if (!download) {
+    event.respondWith(new Response('Download not found', { status: 404 }));
+    return;
+  }
+  pendingDownloads.delete(id);
+
+  const headers = {
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.name)}`
+  };
+  if (Number.isFinite(download.size)) {
+    headers['Content-Length'] = String(download.size);
+  }
+
+  event.respondWith(new Response(download.stream, { headers }));
+});
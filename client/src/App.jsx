@@ -6,89 +6,226 @@ import Footer from './components/Footer';
 import ModeSelector from './components/ModeSelector';
 import RealtimeSharing from './components/RealtimeSharing';
 import UploadSharing from './components/UploadSharing';
+import DecryptDownload from './components/DecryptDownload';
+import DownloadPage from './components/DownloadPage';
 import Overlay from './components/Overlay';
+import { createZip } from './utils/zip';
+import { createSha256 } from './utils/sha256';
+import { decodeChunkFrame, CHUNK_HEADER_SIZE } from './utils/chunkFrame';
+import { createChunkReader } from './utils/chunkReader';
+import { createRelayChannel } from './utils/relayChannel';
+import { createPairingNumber, formatJoinCode, parseJoinCode } from './utils/roomCode';
+import { parseRoute, navigate } from './utils/routes';
+import { createManifest, getPreviewKind, isSafeThumbnail, MAX_PREVIEW_SIZE } from './utils/preview';
+import { getLanguage, MAX_SNIPPET_BYTES } from './utils/snippet';
+import { createThroughputMeter } from './utils/throughput';
+import { canCompress, chooseEncoding, compressBlob, createDecompressingSink, ENCODINGS } from './utils/compression';
+import { sealChunk, openChunk, SEAL_OVERHEAD } from './utils/sessionCrypto';
+import { createHandshake, sealControlMessage, openControlMessage } from './utils/secureChannel';
+import {
+  createDtlsCertificate,
+  getCertificateFingerprint,
+  getSdpFingerprint,
+  commitToFingerprint,
+  matchesCommitment,
+  createVerificationNonce,
+  deriveVerificationPhrase
+} from './utils/verification';
+import {
+  registerDownloadWorker,
+  canStreamDownloads,
+  canPickSaveDirectory,
+  pickSaveDirectory,
+  createMemorySink,
+  createDirectorySink,
+  createDownloadStreamSink
+} from './utils/fileSink';
 
-const servers = { 
-  iceServers: [
-    { urls: 'stun:stun.l.google.com:19302' }, 
-    { urls: 'stun:stun1.l.google.com:19302' },
-    { urls: 'stun:stun.cloudflare.com:3478' },
-    // Multiple TURN servers for better reliability
-    { 
-      urls: 'turn:openrelay.metered.ca:80',
-      username: 'openrelayproject',
-      credential: 'openrelayproject'
-    },
-    { 
-      urls: 'turn:openrelay.metered.ca:443',
-      username: 'openrelayproject',
-      credential: 'openrelayproject'
-    },
-    { 
-      urls: 'turn:openrelay.metered.ca:443?transport=tcp',
-      username: 'openrelayproject',
-      credential: 'openrelayproject'
-    },
-    // Additional TURN servers for better coverage
-    {
-      urls: 'turn:relay.backups.cz',
-      username: 'webrtc',
-      credential: 'webrtc'
-    },
-    {
-      urls: 'turn:relay.backups.cz:443',
-      username: 'webrtc', 
-      credential: 'webrtc'
-    }
-  ],
+// STUN/TURN servers come from the signaling server (GET /api/ice-servers) so
+// TURN credentials can be short-lived and relays can change without a rebuild
+const ICE_SERVERS_URL = 'https://code-drop.onrender.com/api/ice-servers';
+const ICE_SERVERS_FETCH_TIMEOUT = 5000;
+const ICE_CONFIG_REFRESH_MARGIN = 10 * 60 * 1000; // Refetch credentials this long before they expire
+const FALLBACK_ICE_SERVERS = [
+  { urls: ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302', 'stun:stun.cloudflare.com:3478'] }
+];
+const PEER_CONNECTION_OPTIONS = {
   iceCandidatePoolSize: 10,
   bundlePolicy: 'balanced',
   rtcpMuxPolicy: 'require',
   iceTransportPolicy: 'all' // Allow both STUN and TURN
 };
 
-const CHUNK_SIZE = 16 * 1024;
+let cachedIceConfig = null; // { config, expiresAt } from /api/ice-servers
+
+// Peer connection config with fresh TURN credentials, cached until they near expiry.
+// If the server can't be reached we still try with STUN only.
+const getIceConfig = async () => {
+  const cached = cachedIceConfig;
+  if (cached && cached.expiresAt - Date.now() > ICE_CONFIG_REFRESH_MARGIN) {
+    return cached.config;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ICE_SERVERS_FETCH_TIMEOUT);
+  try {
+    const response = await fetch(ICE_SERVERS_URL, { signal: controller.signal });
+    if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+    const { iceServers, ttl } = await response.json();
+    const config = { ...PEER_CONNECTION_OPTIONS, iceServers };
+    cachedIceConfig = { config, expiresAt: Date.now() + (ttl || 60 * 60) * 1000 };
+    console.log(`🧊 Loaded ${iceServers.length} ICE server entries${ttl ? ` (credentials valid ${ttl}s)` : ''}`);
+    return config;
+  } catch (error) {
+    console.warn('⚠️ Could not load ICE servers, using STUN only:', error.message);
+    return cached ? cached.config : { ...PEER_CONNECTION_OPTIONS, iceServers: FALLBACK_ICE_SERVERS };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const CHUNK_SIZE = 16 * 1024; // Safe with every browser; used until the SCTP message size is known
+const MAX_CHUNK_SIZE = 256 * 1024; // Larger frames gain little and hold up control messages
+const RELAY_CHUNK_SIZE = 64 * 1024; // The server relays messages of up to 256 KiB
+const MAX_BUFFERED_AMOUNT = 8 * 1024 * 1024; // Stop queueing chunks while this much is still in flight...
+const BUFFERED_AMOUNT_LOW = 2 * 1024 * 1024; // ...and carry on once it has drained to this
+const RELAY_MAX_BUFFERED_AMOUNT = 1024 * 1024; // Every relayed frame waits for an ack, so keep less in flight
+const TRANSFER_LANES = 4; // Data channels per peer with parallel channels on
+const TRANSFER_LANE_LABEL = 'file-transfer-lane';
+const MAX_OUT_OF_ORDER_BYTES = 64 * 1024 * 1024; // Chunks from parallel channels held until their turn
+const PROGRESS_INTERVAL = 100; // ms between progress updates on screen
+const MAX_FILE_RETRIES = 3; // Whole-file re-sends after a failed SHA-256 check
+const MEMORY_SINK_LIMIT = 256 * 1024 * 1024; // Larger files in a folder batch are streamed to disk, not zipped
+const HANDSHAKE_TIMEOUT = 15000; // ms for the key exchange on a newly opened channel
+
+const createTransferId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Everything we keep about one remote device: the sender has one per accepted
+// receiver, a receiver has one for the sender
+const createPeer = (id, fingerprint) => ({
+  id,
+  fingerprint, // announced through the server; the remote SDP has to match it
+  pc: null,
+  channel: null, // RTCDataChannel, or the relay channel that stands in for it
+  pendingCandidates: [],
+  connectionTimeout: null,
+  heartbeat: null,
+  statsInterval: null,
+  lanes: [], // extra data channels that carry chunk frames in parallel (see openTransferLanes)
+  handshake: null, // key exchange running on the current channel (see beginHandshake)
+  session: null, // { key } once both sides proved they know the join code
+  stats: null, // latest connection diagnostics (see monitorConnectionQuality)
+  sendMeter: createThroughputMeter(), // how fast our files reach this peer
+  retries: 0,
+  connected: false,
+  offeredBatch: null, // sender only: batch announced to this receiver, waiting for accept or decline
+  transfer: null // sender only: batch + current file in flight, kept until batch-end is sent
+});
+
+// The largest chunk the connection takes in one message, within what browsers handle well
+const getChunkSize = (peer, channel) => {
+  if (channel.relayed) return RELAY_CHUNK_SIZE;
+  const maxMessageSize = peer.pc?.sctp?.maxMessageSize;
+  if (!maxMessageSize) return CHUNK_SIZE;
+  return Math.max(CHUNK_SIZE, Math.min(MAX_CHUNK_SIZE, maxMessageSize - CHUNK_HEADER_SIZE - SEAL_OVERHEAD));
+};
+
+const getMaxBufferedAmount = (channel) => (channel.relayed ? RELAY_MAX_BUFFERED_AMOUNT : MAX_BUFFERED_AMOUNT);
+
+// The send loop sleeps until a channel fires bufferedamountlow below this
+const setBufferedAmountLowThreshold = (channel) => {
+  channel.bufferedAmountLowThreshold = channel.relayed ? RELAY_MAX_BUFFERED_AMOUNT / 4 : BUFFERED_AMOUNT_LOW;
+};
+
+// Resolves once any of the channels has drained, or after a second so the
+// caller can notice a channel that closed or was replaced in the meantime
+const waitForDrain = (channels) => new Promise((resolve) => {
+  const done = () => {
+    clearTimeout(timer);
+    channels.forEach((channel) => {
+      if (channel.onbufferedamountlow === done) channel.onbufferedamountlow = null;
+    });
+    resolve();
+  };
+  const timer = setTimeout(done, 1000);
+  channels.forEach((channel) => {
+    channel.onbufferedamountlow = done;
+  });
+});
 
 function App() {
   const [theme, setTheme] = useState('dark');
-  const [mode, setMode] = useState(null);
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname, window.location.hash));
   const [overlay, setOverlay] = useState({ title: '', message: '' });
-  const [file, setFile] = useState(null);
+  const [files, setFiles] = useState([]); // [{ file, path }] queued for sending
+  const [fileProgress, setFileProgress] = useState({}); // queue index -> percent sent
+  const [receivedFiles, setReceivedFiles] = useState([]); // [{ path, size, type, thumbnail, progress, blob? }] in the incoming batch
+  const [incomingOffer, setIncomingOffer] = useState(null); // { batchId, files, totalSize, from } the receiver hasn't answered yet
+  const [saveDirectoryName, setSaveDirectoryName] = useState('');
   const [sharingCode, setSharingCode] = useState('');
   const [senderStatus, setSenderStatus] = useState('Select a file to begin');
   const [receiverStatus, setReceiverStatus] = useState('Enter a code to connect');
-  const [transferProgress, setTransferProgress] = useState(0);
+  const [transferProgress, setTransferProgress] = useState(0); // incoming batch
+  const [sendProgress, setSendProgress] = useState(0); // outgoing batch (slowest receiver)
+  const [transport, setTransport] = useState(null); // receiver: 'p2p' | 'relay' once a channel is open
+  const [pendingReceivers, setPendingReceivers] = useState([]); // [{ id, phrase, fingerprint }] waiting for the sender's approval
+  const [recipients, setRecipients] = useState([]); // [{ id, phrase, status, progress, transport }] accepted receivers
+  const [verificationPhrase, setVerificationPhrase] = useState(''); // receiver: phrase for the pairing with the sender
+  const [snippets, setSnippets] = useState([]); // [{ id, text, language, sent }] sent and received in this room
+  const [diagnostics, setDiagnostics] = useState({ peers: [], receive: null }); // see refreshDiagnostics
+  const [turnTest, setTurnTest] = useState({ status: 'testing', candidateTypes: [] });
+  const [parallelChannels, setParallelChannels] = useState(false); // send over several data channels per peer
+  const [compressTransfers, setCompressTransfers] = useState(canCompress); // gzip text and other compressible files on the way
 
   const socketRef = useRef(null);
-  const peerConnectionRef = useRef(null);
-  const dataChannelRef = useRef(null);
-  const receivedFileBuffer = useRef([]);
+  const peersRef = useRef(new Map()); // remote socket id -> peer (see createPeer)
+  const saveDirectoryRef = useRef(null); // FileSystemDirectoryHandle chosen by the receiver, if any
   const receivedFileSize = useRef(0);
   const currentRoomCode = useRef(null);
-  const remoteUserIdRef = useRef(null);
-  const fileInfoRef = useRef({ name: '', size: 0 });
-  const pendingIceCandidates = useRef([]);
+  const joinCodeRef = useRef(null); // room code plus pairing number; never sent to the server
+  const fileInfoRef = useRef({ id: null, name: '', size: 0, receivedBytes: 0, complete: false });
+  const interruptedTransfersRef = useRef(new Map()); // batchId -> transfer a receiver dropped out of
+  const receiveQueueRef = useRef(Promise.resolve());
+  const receiveMeterRef = useRef(createThroughputMeter()); // incoming batch throughput
+  const incomingBatchRef = useRef(null); // { id, peerId, files, fileCount, totalSize, receivedBefore, completedCount, heldCount, retries, early, complete }
+  const incomingOfferRef = useRef(null); // { peer, batchId } behind the offer on screen
   const connectionTimeoutRef = useRef(null);
-  const isConnectedRef = useRef(false);
   const isSenderRef = useRef(false);
-  const heartbeatIntervalRef = useRef(null);
-  const retryConnectionRef = useRef(0);
   const lastPongRef = useRef(Date.now()); // Fixed: Added missing ref
-  const statsIntervalRef = useRef(null);
+  const certificateRef = useRef(null); // our DTLS certificate; its fingerprint is announced before connecting
+  const fingerprintCommitmentsRef = useRef(new Map()); // sender: receiver id -> { commitment, nonce } until the receiver reveals its fingerprint
+  const verificationNonceRef = useRef(null); // receiver: the sender's nonce, once our fingerprint has gone out for it
+  const autoJoinedCodeRef = useRef(null); // room from a /r#<code> link we already joined
   
   const maxRetries = 3;
   
   useEffect(() => { 
-    document.documentElement.setAttribute('data-theme', theme); 
+    document.documentElement.setAttribute('data-theme', theme);
   }, [theme]);
-  
+
+  // Back/forward and navigate() both end up here
+  useEffect(() => {
+    const handlePopState = () => setRoute(parseRoute(window.location.pathname, window.location.hash));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const toggleTheme = () => setTheme((prev) => (prev === 'dark' ? 'light' : 'dark'));
+
+  const showInfo = () => setOverlay({
+    title: 'About CodeDrop',
+    message: 'Send files directly to another device with Real-Time Sharing, or upload a file and get a temporary link with 24-Hour Upload.'
+  });
+
+  const closeOverlay = () => setOverlay({ title: '', message: '' });
+
   // Test TURN server connectivity
   const testTurnServers = async () => {
     console.log('🧪 Testing TURN server connectivity...');
     
     try {
       // Create a temporary peer connection to test TURN servers
-      const testPc = new RTCPeerConnection(servers);
+      const testPc = new RTCPeerConnection(await getIceConfig());
       let candidateTypes = [];
       
       testPc.onicecandidate = (event) => {
@@ -109,21 +246,20 @@ function App() {
       const offer = await testPc.createOffer();
       await testPc.setLocalDescription(offer);
       
-      // Wait for ICE gathering
+      // Wait for ICE gathering; the result is shown in the connection details panel
       setTimeout(() => {
-        console.log('🔍 Available candidate types:', [...new Set(candidateTypes)]);
-        if (!candidateTypes.includes('TURN/relay')) {
+        const foundTypes = [...new Set(candidateTypes)];
+        console.log('🔍 Available candidate types:', foundTypes);
+        if (!foundTypes.includes('TURN/relay')) {
           console.warn('⚠️ No TURN relay candidates found - connection may fail behind symmetric NAT');
-          setOverlay({
-            title: 'Connection Warning',
-            message: 'TURN servers may be unavailable. Connection might fail if both users are behind restrictive firewalls.'
-          });
         }
+        setTurnTest({ status: 'done', candidateTypes: foundTypes });
         testPc.close();
       }, 5000);
       
     } catch (error) {
       console.error('❌ Error testing TURN servers:', error);
+      setTurnTest({ status: 'error', candidateTypes: [] });
     }
   };
 
@@ -132,6 +268,11 @@ function App() {
     testTurnServers();
   }, []);
 
+  // Large incoming files are streamed to disk through the download service worker
+  useEffect(() => {
+    registerDownloadWorker();
+  }, []);
+
   // Get retry delay with exponential backoff
   const getRetryDelay = (attempt) => Math.min(1000 * Math.pow(2, attempt), 30000);
 
@@ -149,160 +290,642 @@ function App() {
     connectionTimeoutRef.current = setTimeout(callback, delay);
   };
 
-  // Handle connection failure
-  const handleConnectionFailure = () => {
-    const failureMessage = '❌ Connection failed after retries';
+  // Same as above, for one peer's connection attempt
+  const clearPeerTimeout = (peer) => {
+    if (peer.connectionTimeout) {
+      clearTimeout(peer.connectionTimeout);
+      peer.connectionTimeout = null;
+    }
+  };
+
+  const setPeerTimeout = (peer, callback, delay = 30000) => {
+    clearPeerTimeout(peer);
+    peer.connectionTimeout = setTimeout(callback, delay);
+  };
+
+  // One row per receiver on the sender's screen
+  const updateRecipient = (id, changes) => {
+    setRecipients((prev) => prev.map((recipient) => (recipient.id === id ? { ...recipient, ...changes } : recipient)));
+  };
+
+  // The sender shows each connection's status in its receiver's row; a receiver
+  // only has the one connection, so it uses the main status line
+  const setPeerStatus = (peer, message) => {
+    if (isSenderRef.current) {
+      updateRecipient(peer.id, { status: message });
+    } else {
+      setReceiverStatus(message);
+    }
+  };
+
+  // Status of what we are sending: that receiver's row on the sender, the
+  // send-back panel on a receiver (its main status line is for incoming files)
+  const setTransferStatus = (peer, message) => {
+    if (isSenderRef.current) {
+      updateRecipient(peer.id, { status: message });
+    } else {
+      setSenderStatus(message);
+    }
+  };
+
+  const getOpenPeers = () => [...peersRef.current.values()].filter((peer) => (
+    peer.connected && peer.session && peer.channel && peer.channel.readyState === 'open'
+  ));
+
+  const isPeerBusy = (peer) => Boolean(peer.transfer || peer.offeredBatch);
+
+  // A control message sealed under the peer's session key (see secureChannel.js)
+  const sendSealed = async (peer, channel, message) => {
+    const sealed = await sealControlMessage(peer.session, message);
+    if (channel.readyState === 'open') channel.send(JSON.stringify(sealed));
+  };
+
+  // Every room gets a fresh DTLS certificate. Its fingerprint goes to the
+  // receivers, and each of them derives its verification phrase from it.
+  const createRoom = async () => {
+    setPendingReceivers([]);
+    setRecipients([]);
+    setVerificationPhrase('');
+    try {
+      certificateRef.current = await createDtlsCertificate();
+      socketRef.current.emit('create-room', { fingerprint: getCertificateFingerprint(certificateRef.current) });
+    } catch (error) {
+      console.error('❌ Could not create a DTLS certificate:', error);
+      setSenderStatus('❌ This browser could not set up a secure connection');
+    }
+  };
+
+  // The remote description has to use the certificate whose fingerprint went
+  // into the verification phrase; anything else means someone swapped it
+  const isExpectedRemoteFingerprint = (peer, sdp) => {
+    const fingerprint = getSdpFingerprint(sdp?.sdp);
+    if (fingerprint && fingerprint === peer.fingerprint) return true;
+    console.error('🚨 DTLS fingerprint mismatch:', fingerprint, 'expected:', peer.fingerprint);
+    return false;
+  };
+
+  // Handle connection failure: WebRTC is out of options, so ask the server to
+  // relay this peer's data channel instead. We only give up if that is refused too.
+  const handleConnectionFailure = (peer) => {
+    if (peer.channel?.relayed) return; // Already relaying; late P2P timers don't matter
+
+    closePeerConnection(peer);
+    if (!socketRef.current?.connected || !currentRoomCode.current || peersRef.current.get(peer.id) !== peer) {
+      giveUpConnection(peer);
+      return;
+    }
+
+    console.log('🔁 Direct connection failed, asking the server to relay');
+    setPeerStatus(peer, '🔁 Direct connection failed, switching to relay through the server...');
+    socketRef.current.emit('relay-start', { peerId: peer.id });
+  };
+
+  // Both peers got 'relay-ready': the relay channel takes the data channel's place
+  const startRelay = (peer) => {
+    closePeerConnection(peer);
+    const channel = createRelayChannel(socketRef.current, peer.id);
+    setupDataChannelEvents(peer, channel, isSenderRef.current);
+    peer.channel = channel;
+    monitorConnectionQuality(peer);
+  };
+
+  // Neither WebRTC nor the relay is available for this peer
+  const giveUpConnection = (peer, reason) => {
+    const failureMessage = reason ? `❌ Connection failed: ${reason}` : '❌ Connection failed after retries';
+
+    if (!isSenderRef.current) {
+      setReceiverStatus(failureMessage);
+      cleanupConnection();
+      return;
+    }
+
+    // Only this receiver is lost; the others keep their connections
+    removePeer(peer.id);
+    updateRecipient(peer.id, { status: failureMessage, transport: null });
+    if (peersRef.current.size > 0) return;
     setSenderStatus(failureMessage);
-    setReceiverStatus(failureMessage);
-    cleanupConnection();
-    
+
     // Optionally, try to recreate the room/connection after a delay
     setTimeout(() => {
-      if (isSenderRef.current && file) {
+      if (isSenderRef.current && files.length > 0 && peersRef.current.size === 0) {
         console.log('🔄 Attempting to recreate room...');
         setSenderStatus('🔄 Recreating room...');
-        retryConnectionRef.current = 0; // Reset retry counter
-        socketRef.current.emit('create-room');
+        createRoom();
       }
     }, 5000);
   };
 
-  // Monitor connection quality
-  const monitorConnectionQuality = (pc) => {
-    if (statsIntervalRef.current) {
-      clearInterval(statsIntervalRef.current);
+  // Publish every peer's latest stats and the transfer rates to the diagnostics panel
+  const refreshDiagnostics = () => {
+    const batch = incomingBatchRef.current;
+    setDiagnostics({
+      peers: [...peersRef.current.values()].map((peer) => ({
+        id: peer.id,
+        ...peer.stats,
+        send: peer.transfer ? peer.sendMeter.read() : null
+      })),
+      receive: batch && !batch.complete ? receiveMeterRef.current.read() : null
+    });
+  };
+
+  // Reads the selected candidate pair: which kind of route the data takes
+  // (host = same network, srflx = through NAT, relay = via TURN) and its round trip
+  const readConnectionStats = async (pc) => {
+    const stats = await pc.getStats();
+    let pair = null;
+    stats.forEach((report) => {
+      if (report.type === 'transport' && report.selectedCandidatePairId) {
+        pair = stats.get(report.selectedCandidatePairId);
+      }
+    });
+    if (!pair) {
+      // Firefox has no transport report; it flags the pair instead
+      stats.forEach((report) => {
+        if (report.type === 'candidate-pair' && (report.selected || (report.nominated && report.state === 'succeeded'))) {
+          pair = report;
+        }
+      });
+    }
+    if (!pair) return {};
+    return {
+      localCandidateType: stats.get(pair.localCandidateId)?.candidateType || null,
+      remoteCandidateType: stats.get(pair.remoteCandidateId)?.candidateType || null,
+      rtt: typeof pair.currentRoundTripTime === 'number' ? pair.currentRoundTripTime : null,
+      bytesSent: pair.bytesSent,
+      bytesReceived: pair.bytesReceived
+    };
+  };
+
+  // Monitor connection quality and keep the diagnostics panel current
+  const monitorConnectionQuality = (peer) => {
+    if (peer.statsInterval) {
+      clearInterval(peer.statsInterval);
     }
     
-    statsIntervalRef.current = setInterval(async () => {
+    const { pc } = peer;
+    peer.statsInterval = setInterval(async () => {
+      const channel = peer.channel;
+      const stats = {
+        transport: channel?.relayed ? 'relay' : 'p2p',
+        bufferedAmount: channel && channel.readyState === 'open' ? channel.bufferedAmount : null
+      };
       if (pc && pc.connectionState === 'connected') {
         try {
-          const stats = await pc.getStats();
-          stats.forEach((report) => {
-            if (report.type === 'candidate-pair' && report.state === 'succeeded') {
-              console.log('📊 Connection stats:', {
-                rtt: report.currentRoundTripTime,
-                bytesReceived: report.bytesReceived,
-                bytesSent: report.bytesSent
-              });
-              
-              // Monitor for poor connection quality
-              if (report.currentRoundTripTime > 1.0) { // RTT > 1 second
-                console.warn('⚠️ High latency detected:', report.currentRoundTripTime);
-              }
-            }
-          });
+          Object.assign(stats, await readConnectionStats(pc));
+          // Monitor for poor connection quality
+          if (stats.rtt > 1.0) { // RTT > 1 second
+            console.warn('⚠️ High latency detected:', stats.rtt);
+          }
         } catch (error) {
           console.error('❌ Error getting connection stats:', error);
         }
-      } else {
-        if (statsIntervalRef.current) {
-          clearInterval(statsIntervalRef.current);
-          statsIntervalRef.current = null;
-        }
       }
-    }, 30000); // Check every 30 seconds
+      peer.stats = stats;
+      refreshDiagnostics();
+    }, 2000);
     
-    return statsIntervalRef.current;
+    return peer.statsInterval;
   };
 
-  const cleanupConnection = () => {
-    console.log('🧹 Cleaning up connection...');
-    
-    clearConnectionTimeout();
+  // Close one peer's connection. The peer itself stays known, so it can
+  // reconnect or move to the relay with its transfer state intact.
+  const closePeerConnection = (peer) => {
+    clearPeerTimeout(peer);
     
     // Clear heartbeat
-    if (heartbeatIntervalRef.current) {
-      clearInterval(heartbeatIntervalRef.current);
-      heartbeatIntervalRef.current = null;
+    if (peer.heartbeat) {
+      clearInterval(peer.heartbeat);
+      peer.heartbeat = null;
     }
     
     // Clear stats monitoring
-    if (statsIntervalRef.current) {
-      clearInterval(statsIntervalRef.current);
-      statsIntervalRef.current = null;
+    if (peer.statsInterval) {
+      clearInterval(peer.statsInterval);
+      peer.statsInterval = null;
     }
     
-    if (dataChannelRef.current) {
+    peer.lanes.forEach((lane) => lane.close());
+    peer.lanes = [];
+    if (peer.handshake) clearTimeout(peer.handshake.timer);
+    peer.handshake = null;
+    peer.session = null;
+    
+    if (peer.channel) {
       try {
-        dataChannelRef.current.close();
+        peer.channel.close();
       } catch (e) {
         console.error('Error closing data channel:', e);
       }
-      dataChannelRef.current = null;
+      peer.channel = null;
     }
     
-    if (peerConnectionRef.current) {
+    if (peer.pc) {
       try {
-        peerConnectionRef.current.close();
+        peer.pc.close();
       } catch (e) {
         console.error('Error closing peer connection:', e);
       }
-      peerConnectionRef.current = null;
+      peer.pc = null;
+    }
+    
+    peer.connected = false;
+    peer.pendingCandidates = [];
+    if (isSenderRef.current) {
+      updateRecipient(peer.id, { transport: null });
+    } else {
+      setTransport(null);
     }
+  };
+
+  // Forget a peer for good. A batch it was in the middle of is kept, so the
+  // receiver can still resume it if it joins again.
+  const removePeer = (peerId) => {
+    const peer = peersRef.current.get(peerId);
+    if (!peer) return;
+    closePeerConnection(peer);
+    if (peer.transfer) {
+      interruptedTransfersRef.current.set(peer.transfer.batchId, peer.transfer);
+      peer.transfer = null;
+    }
+    peer.offeredBatch = null;
+    peersRef.current.delete(peerId);
+    refreshDiagnostics();
+  };
+
+  const cleanupConnection = () => {
+    console.log('🧹 Cleaning up connection...');
     
-    isConnectedRef.current = false;
-    pendingIceCandidates.current = [];
+    clearConnectionTimeout();
+    [...peersRef.current.keys()].forEach(removePeer);
+    setPendingReceivers([]);
+    fingerprintCommitmentsRef.current.clear();
+    verificationNonceRef.current = null;
+    incomingOfferRef.current = null;
+    setIncomingOffer(null);
+  };
+
+  const createPeerConnection = (peer, iceConfig) => {
+      console.log('🔄 Creating peer connection for', peer.id);
+      
+      closePeerConnection(peer);
+      
+      const pc = new RTCPeerConnection(certificateRef.current
+        ? { ...iceConfig, certificates: [certificateRef.current] }
+        : iceConfig);
+      peer.pc = pc;
+      
+      // Start connection quality monitoring
+      monitorConnectionQuality(peer);
+      
+      pc.onicecandidate = (event) => {
+          if (event.candidate && currentRoomCode.current) {
+              // Log candidate details for debugging
+              const candidate = event.candidate.candidate;
+              const candidateType = candidate.includes('typ relay') ? 'TURN' : 
+                                  candidate.includes('typ srflx') ? 'STUN' : 
+                                  candidate.includes('typ host') ? 'HOST' : 'UNKNOWN';
+              
+              console.log(`🧊 Sending ${candidateType} candidate:`, candidate.substring(0, 50) + '...');
+              
+              // Prioritize TURN candidates for better connectivity
+              const priority = candidate.includes('typ relay') ? 1 : 
+                             candidate.includes('typ srflx') ? 2 : 3;
+              
+              socketRef.current.emit('ice-candidate', { 
+                  candidate: event.candidate, 
+                  roomCode: currentRoomCode.current,
+                  target: peer.id,
+                  priority: priority
+              });
+          } else if (event.candidate === null) {
+              console.log('🧊 ICE gathering completed');
+          }
+      };
+      
+      pc.onconnectionstatechange = () => {
+          console.log('🔗 Connection state:', pc.connectionState);
+          
+          if (pc.connectionState === 'connected') {
+              console.log('✅ Peer connection established');
+              clearPeerTimeout(peer);
+              peer.retries = 0; // Reset retry counter
+              
+          } else if (pc.connectionState === 'failed') {
+              console.error('❌ Peer connection failed');
+              
+              // Only retry if we haven't exceeded max retries
+              if (peer.retries < maxRetries) {
+                  peer.retries++;
+                  console.log(`🔄 Retrying connection (${peer.retries}/${maxRetries})...`);
+                  setPeerStatus(peer, `🔄 Retrying connection (${peer.retries}/${maxRetries})...`);
+                  
+                  // Attempt to restart the ICE connection with exponential backoff
+                  const delay = getRetryDelay(peer.retries - 1);
+                  setTimeout(async () => {
+                      try {
+                          if (pc.restartIce) {
+                              pc.restartIce();
+                          } else {
+                              // Manual restart - recreate the connection
+                              await restartPeerConnection(peer);
+                          }
+                      } catch (error) {
+                          console.error('❌ Restart failed:', error);
+                          handleConnectionFailure(peer);
+                      }
+                  }, delay);
+                  
+              } else {
+                  handleConnectionFailure(peer);
+              }
+              
+          } else if (pc.connectionState === 'disconnected') {
+              console.warn('⚠️ Peer connection disconnected');
+              setPeerStatus(peer, '⚠️ Connection lost, attempting to reconnect...');
+              
+              // Set a timeout to handle prolonged disconnection
+              setTimeout(() => {
+                  if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
+                      console.error('❌ Connection timeout after disconnection');
+                      handleConnectionFailure(peer);
+                  }
+              }, 15000); // 15 second timeout
+              
+          } else if (pc.connectionState === 'closed') {
+              console.log('🔒 Peer connection closed');
+              if (peer.pc === pc) peer.connected = false;
+          }
+      };
+
+      pc.onicegatheringstatechange = () => {
+          console.log('🧊 ICE gathering state:', pc.iceGatheringState);
+      };
+
+      pc.oniceconnectionstatechange = () => {
+          console.log('🧊 ICE connection state:', pc.iceConnectionState);
+          
+          if (pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed') {
+              console.log('✅ ICE connection established');
+              clearPeerTimeout(peer);
+              peer.retries = 0;
+              
+          } else if (pc.iceConnectionState === 'failed') {
+              console.error('❌ ICE connection failed');
+              
+              // More aggressive ICE restart for failed connections
+              if (peer.retries < maxRetries) {
+                  peer.retries++;
+                  console.log(`🔄 ICE failed - attempting restart (${peer.retries}/${maxRetries})...`);
+                  setPeerStatus(peer, `🔄 Connection failed, retrying (${peer.retries}/${maxRetries})...`);
+                  
+                  // Force ICE restart immediately
+                  setTimeout(async () => {
+                      try {
+                          if (pc.restartIce) {
+                              pc.restartIce();
+                          } else {
+                              // Complete connection restart
+                              await restartPeerConnection(peer);
+                          }
+                      } catch (error) {
+                          console.error('❌ ICE restart failed:', error);
+                          handleConnectionFailure(peer);
+                      }
+                  }, 1000); // Immediate retry for ICE failures
+              } else {
+                  handleConnectionFailure(peer);
+              }
+              
+          } else if (pc.iceConnectionState === 'disconnected') {
+              console.warn('⚠️ ICE connection disconnected');
+              
+              // Start countdown for disconnected state
+              const disconnectTimeout = setTimeout(() => {
+                  if (pc.iceConnectionState === 'disconnected') {
+                      console.error('❌ ICE reconnection timeout - forcing restart');
+                      // Treat prolonged disconnection as failure
+                      if (peer.retries < maxRetries) {
+                          peer.retries++;
+                          restartPeerConnection(peer);
+                      } else {
+                          handleConnectionFailure(peer);
+                      }
+                  }
+              }, 5000); // Shorter timeout for disconnected state
+              
+              // Store timeout reference to clear if state changes
+              pc._disconnectTimeout = disconnectTimeout;
+              
+          } else if (pc.iceConnectionState === 'checking') {
+              console.log('🔍 ICE connection checking...');
+              // Clear any existing disconnect timeout
+              if (pc._disconnectTimeout) {
+                  clearTimeout(pc._disconnectTimeout);
+                  pc._disconnectTimeout = null;
+              }
+              
+          } else if (pc.iceConnectionState === 'closed') {
+              console.log('🔒 ICE connection closed');
+              if (peer.pc === pc) peer.connected = false;
+              // Clear any timeouts
+              if (pc._disconnectTimeout) {
+                  clearTimeout(pc._disconnectTimeout);
+                  pc._disconnectTimeout = null;
+              }
+          }
+      };
+      
+      // Handle incoming data channels (for receiver)
+      pc.ondatachannel = (event) => {
+          const channel = event.channel;
+          if (channel.label === TRANSFER_LANE_LABEL) {
+              setupLaneEvents(peer, channel);
+              return;
+          }
+          console.log('📡 Data channel received by receiver');
+          peer.channel = channel;
+          setupDataChannelEvents(peer, channel, false);
+      };
+      
+      return pc;
   };
 
   // Restart peer connection
-  const restartPeerConnection = async () => {
+  const restartPeerConnection = async (peer) => {
+    if (peer.channel?.relayed) return;
+
     console.log('🔄 Restarting peer connection...');
     
-    if (!currentRoomCode.current || !remoteUserIdRef.current) {
+    if (!currentRoomCode.current || peersRef.current.get(peer.id) !== peer) {
       console.error('❌ Cannot restart - missing room or remote user info');
       return;
     }
     
     try {
-      // Clean up old connection
-      cleanupConnection();
-      
-      // Create new connection
-      peerConnectionRef.current = createPeerConnection();
+      // Create new connection (closes the old one)
+      createPeerConnection(peer, await getIceConfig());
       
       if (isSenderRef.current) {
         // Recreate data channel for sender
-        const dataChannel = peerConnectionRef.current.createDataChannel('file-transfer', {
-          ordered: true,
-          maxRetransmits: 0, // Reliable delivery - use retransmits only
+        const dataChannel = peer.pc.createDataChannel('file-transfer', {
+          ordered: true, // Reliable, ordered delivery (no maxRetransmits/maxPacketLifeTime)
           protocol: 'file-transfer-v1'
         });
         
-        dataChannelRef.current = dataChannel;
-        setupDataChannelEvents(dataChannel, true);
+        peer.channel = dataChannel;
+        setupDataChannelEvents(peer, dataChannel, true);
         
         // Create new offer
-        const offer = await peerConnectionRef.current.createOffer();
-        await peerConnectionRef.current.setLocalDescription(offer);
+        const offer = await peer.pc.createOffer();
+        await peer.pc.setLocalDescription(offer);
         
         socketRef.current.emit('offer', { 
-          sdp: peerConnectionRef.current.localDescription, 
-          target: remoteUserIdRef.current,
+          sdp: peer.pc.localDescription, 
+          target: peer.id,
           isRestart: true // Flag to indicate this is a restart
         });
       }
     } catch (error) {
       console.error('❌ Error restarting connection:', error);
-      handleConnectionFailure();
+      handleConnectionFailure(peer);
+    }
+  };
+
+  // Before anything else crosses a newly opened channel, both sides prove they
+  // know the join code (see utils/secureChannel.js)
+  const beginHandshake = (peer, channel, isSender) => {
+    const localFingerprint = getCertificateFingerprint(certificateRef.current);
+    const [senderFingerprint, receiverFingerprint] = isSender
+        ? [localFingerprint, peer.fingerprint]
+        : [peer.fingerprint, localFingerprint];
+    const handshake = { channel, isSender, exchange: null, timer: null };
+    if (peer.handshake) clearTimeout(peer.handshake.timer);
+    peer.handshake = handshake;
+    peer.session = null;
+    handshake.timer = setTimeout(() => failHandshake(peer, handshake, 'timed out'), HANDSHAKE_TIMEOUT);
+    setPeerStatus(peer, '🔐 Securing the connection...');
+
+    handshake.exchange = createHandshake({
+        password: joinCodeRef.current,
+        senderFingerprint,
+        receiverFingerprint,
+        isSender,
+        // Nothing more goes out once a newer handshake took over
+        send: (message) => {
+            if (peer.handshake === handshake) channel.send(JSON.stringify(message));
+        }
+    });
+    handshake.exchange.started.catch((error) => failHandshake(peer, handshake, error.message));
+  };
+
+  const handlePakeShare = async (peer, channel, message) => {
+    const handshake = peer.handshake;
+    if (!handshake || handshake.channel !== channel) return;
+    try {
+        await handshake.exchange.receiveShare(message);
+    } catch (error) {
+        failHandshake(peer, handshake, error.message);
+    }
+  };
+
+  const handlePakeConfirm = (peer, channel, message) => {
+    const handshake = peer.handshake;
+    if (!handshake || handshake.channel !== channel) return;
+    let session;
+    try {
+        session = handshake.exchange.receiveConfirm(message);
+    } catch (error) {
+        failHandshake(peer, handshake, error.message);
+        return;
+    }
+
+    clearTimeout(handshake.timer);
+    peer.handshake = null;
+    peer.session = session;
+    console.log('🔐 Secure handshake complete with', peer.id);
+    handleSecureChannelOpen(peer, channel, handshake.isSender);
+  };
+
+  // A wrong code or someone in the middle - retrying or relaying wouldn't help
+  const failHandshake = (peer, handshake, reason) => {
+    if (peer.handshake !== handshake) return;
+    clearTimeout(handshake.timer);
+    peer.handshake = null;
+    // A channel that closed mid-handshake is the connection handlers' business
+    if (peer.channel !== handshake.channel || handshake.channel.readyState !== 'open') return;
+    console.error('🚨 Secure handshake failed:', reason);
+    setOverlay({
+        title: 'Secure Connection Failed',
+        message: 'The other side could not prove it has the same code. Check that every part of the code matches, including the last four digits. If it does, someone may be interfering with the connection - nothing was sent.'
+    });
+    giveUpConnection(peer, 'the code did not match');
+  };
+
+  // The handshake succeeded: the channel is ready for files, and an interrupted
+  // transfer picks up where it left off
+  const handleSecureChannelOpen = (peer, channel, isSender) => {
+    const via = channel.relayed ? ' via server relay' : '';
+
+    if (isSender) {
+        updateRecipient(peer.id, { transport: channel.relayed ? 'relay' : 'p2p' });
+    } else {
+        setTransport(channel.relayed ? 'relay' : 'p2p');
+    }
+
+    // Files go both ways, so either side may have been sending, receiving, or both
+    const incomingBatch = incomingBatchRef.current;
+    const isResumingIncoming = incomingBatch && !incomingBatch.complete && (!isSender || incomingBatch.peerId === peer.id);
+    if (peer.transfer) {
+        // An interrupted transfer is pending - the other side reports where to resume from
+        setTransferStatus(peer, `🔄 Reconnected${via}! Waiting for the other side to resume...`);
+    } else if (isSender) {
+        setPeerStatus(peer, `✅ Connected${via}`);
+        const openCount = getOpenPeers().length;
+        setSenderStatus(openCount === 1
+            ? `✅ Connected${via}! Click to send file`
+            : `✅ ${openCount} receivers connected! Click to send file`);
+    }
+
+    if (isResumingIncoming) {
+        // Tell the other side which file we are on and how much of it we already have
+        const batch = incomingBatch;
+        const current = fileInfoRef.current;
+        const index = batch.completedCount;
+        const hasPartialFile = current.id && !current.complete && current.index === index;
+        const offset = hasPartialFile ? current.receivedBytes : 0;
+        console.log(`🔄 Requesting resume of file ${index + 1}/${batch.fileCount} from byte ${offset}`);
+        channel.send(JSON.stringify({
+            type: 'resume-request',
+            batchId: batch.id,
+            transferId: hasPartialFile ? current.id : null,
+            index,
+            offset,
+            chunkIndex: hasPartialFile ? current.chunkCount : 0
+        }));
+        setReceiverStatus(`🔄 Reconnected${via}! Resuming transfer...`);
+    } else if (!isSender) {
+        setReceiverStatus(`✅ Connected${via}! Waiting for file...`);
     }
   };
 
-  const setupDataChannelEvents = (channel, isSender = false) => {
+  const setupDataChannelEvents = (peer, channel, isSender = false) => {
     console.log('📡 Setting up data channel events, isSender:', isSender, 'readyState:', channel.readyState);
+    channel.binaryType = 'arraybuffer';
+    setBufferedAmountLowThreshold(channel);
     
     channel.onopen = () => {
         console.log('✅ Data channel opened, isSender:', isSender);
-        clearConnectionTimeout();
-        isConnectedRef.current = true;
-        retryConnectionRef.current = 0; // Reset retry counter
+        clearPeerTimeout(peer);
+        peer.connected = true;
+        peer.retries = 0; // Reset retry counter
         
         // Clear any existing heartbeat
-        if (heartbeatIntervalRef.current) {
-          clearInterval(heartbeatIntervalRef.current);
+        if (peer.heartbeat) {
+          clearInterval(peer.heartbeat);
         }
         
         // Start heartbeat mechanism with improved error handling
-        heartbeatIntervalRef.current = setInterval(() => {
+        peer.heartbeat = setInterval(() => {
           if (channel.readyState === 'open') {
             try {
               channel.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
@@ -314,12 +937,8 @@ function App() {
             console.warn('⚠️ Heartbeat skipped - channel not open:', channel.readyState);
           }
         }, 10000); // Reduce frequency to every 10 seconds
-        
-        if (isSender && file) {
-            setSenderStatus('✅ Connected! Click to send file');
-        } else {
-            setReceiverStatus('✅ Connected! Waiting for file...');
-        }
+
+        beginHandshake(peer, channel, isSender);
     };
 
     channel.onmessage = (event) => {
@@ -342,27 +961,14 @@ function App() {
                     return;
                 }
                 
-                if (message.type === 'file-start') {
-                    console.log('📥 File transfer starting:', message.fileName);
-                    setReceiverStatus(`📥 Receiving: ${message.fileName}`);
-                    fileInfoRef.current = { name: message.fileName, size: message.fileSize };
-                    receivedFileSize.current = message.fileSize;
-                    receivedFileBuffer.current = [];
-                    setTransferProgress(0);
-                } else if (message.type === 'file-end') {
-                    console.log('✅ File transfer complete');
-                    handleFileComplete();
-                }
+                // Everything else is processed strictly in arrival order
+                enqueueReceive(() => handleControlMessage(peer, channel, message));
             } catch (e) {
                 console.error('Error parsing message:', e);
             }
         } else {
-            // Binary data (file chunk)
-            receivedFileBuffer.current.push(event.data);
-            const receivedBytes = receivedFileBuffer.current.reduce((sum, chunk) => sum + chunk.byteLength, 0);
-            const progress = (receivedBytes / receivedFileSize.current) * 100;
-            setTransferProgress(Math.round(progress));
-            console.log(`📥 Received ${receivedBytes}/${receivedFileSize.current} bytes (${Math.round(progress)}%)`);
+            // Binary data (file chunk frame)
+            enqueueReceive(() => handleChunkFrame(peer, channel, event.data));
         }
     };
 
@@ -371,256 +977,407 @@ function App() {
         
         // More specific error handling
         const errorMessage = error.error ? error.error.message : 'Connection error';
-        if (isSender) {
-            setSenderStatus(`❌ ${errorMessage}`);
-        } else {
-            setReceiverStatus(`❌ ${errorMessage}`);
-        }
+        setPeerStatus(peer, `❌ ${errorMessage}`);
     };
 
     channel.onclose = () => {
         console.log('📡 Data channel closed');
         
         // Clear heartbeat when channel closes
-        if (heartbeatIntervalRef.current) {
-            clearInterval(heartbeatIntervalRef.current);
-            heartbeatIntervalRef.current = null;
+        if (peer.channel === channel && peer.heartbeat) {
+            clearInterval(peer.heartbeat);
+            peer.heartbeat = null;
         }
         
         // Only show "lost" message if we were previously connected
-        const wasConnected = isConnectedRef.current;
-        isConnectedRef.current = false;
+        if (peer.channel !== channel) return;
+        const wasConnected = peer.connected;
+        peer.connected = false;
         
         if (wasConnected) {
             if (isSender) {
-                setSenderStatus('❌ Connection lost');
+                setPeerStatus(peer, peer.transfer
+                    ? '⏸️ Connection lost - transfer will resume when reconnected'
+                    : '❌ Connection lost');
             } else {
-                setReceiverStatus('❌ Connection lost');
+                setReceiverStatus(incomingBatchRef.current && !incomingBatchRef.current.complete
+                    ? '⏸️ Connection lost - transfer will resume when reconnected'
+                    : '❌ Connection lost');
             }
         }
     };
   };
 
-  useEffect(() => {
-    socketRef.current = io('https://code-drop.onrender.com', {
-      transports: ['websocket', 'polling'],
-      timeout: 10000,
-      forceNew: true
-    });
-    const socket = socketRef.current;
-    
-    const createPeerConnection = () => {
-        console.log('🔄 Creating peer connection...');
-        
-        cleanupConnection();
-        
-        const pc = new RTCPeerConnection(servers);
-        
-        // Start connection quality monitoring
-        monitorConnectionQuality(pc);
-        
-        pc.onicecandidate = (event) => {
-            if (event.candidate && currentRoomCode.current) {
-                // Log candidate details for debugging
-                const candidate = event.candidate.candidate;
-                const candidateType = candidate.includes('typ relay') ? 'TURN' : 
-                                    candidate.includes('typ srflx') ? 'STUN' : 
-                                    candidate.includes('typ host') ? 'HOST' : 'UNKNOWN';
-                
-                console.log(`🧊 Sending ${candidateType} candidate:`, candidate.substring(0, 50) + '...');
-                
-                // Prioritize TURN candidates for better connectivity
-                const priority = candidate.includes('typ relay') ? 1 : 
-                               candidate.includes('typ srflx') ? 2 : 3;
-                
-                socket.emit('ice-candidate', { 
-                    candidate: event.candidate, 
-                    roomCode: currentRoomCode.current,
-                    target: remoteUserIdRef.current,
-                    priority: priority
-                });
-            } else if (event.candidate === null) {
-                console.log('🧊 ICE gathering completed');
-            }
-        };
-        
-        pc.onconnectionstatechange = () => {
-            console.log('🔗 Connection state:', pc.connectionState);
-            
-            if (pc.connectionState === 'connected') {
-                console.log('✅ Peer connection established');
-                clearConnectionTimeout();
-                retryConnectionRef.current = 0; // Reset retry counter
-                
-            } else if (pc.connectionState === 'failed') {
-                console.error('❌ Peer connection failed');
-                
-                // Only retry if we haven't exceeded max retries
-                if (retryConnectionRef.current < maxRetries) {
-                    retryConnectionRef.current++;
-                    console.log(`🔄 Retrying connection (${retryConnectionRef.current}/${maxRetries})...`);
-                    
-                    // Set status based on role
-                    const statusMessage = `🔄 Retrying connection (${retryConnectionRef.current}/${maxRetries})...`;
-                    if (isSenderRef.current) {
-                        setSenderStatus(statusMessage);
-                    } else {
-                        setReceiverStatus(statusMessage);
-                    }
-                    
-                    // Attempt to restart the ICE connection with exponential backoff
-                    const delay = getRetryDelay(retryConnectionRef.current - 1);
-                    setTimeout(async () => {
-                        try {
-                            if (pc.restartIce) {
-                                pc.restartIce();
-                            } else {
-                                // Manual restart - recreate the connection
-                                await restartPeerConnection();
-                            }
-                        } catch (error) {
-                            console.error('❌ Restart failed:', error);
-                            handleConnectionFailure();
-                        }
-                    }, delay);
-                    
-                } else {
-                    handleConnectionFailure();
-                }
-                
-            } else if (pc.connectionState === 'disconnected') {
-                console.warn('⚠️ Peer connection disconnected');
-                const statusMessage = '⚠️ Connection lost, attempting to reconnect...';
-                if (isSenderRef.current) {
-                    setSenderStatus(statusMessage);
-                } else {
-                    setReceiverStatus(statusMessage);
-                }
-                
-                // Set a timeout to handle prolonged disconnection
-                setTimeout(() => {
-                    if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
-                        console.error('❌ Connection timeout after disconnection');
-                        handleConnectionFailure();
-                    }
-                }, 15000); // 15 second timeout
-                
-            } else if (pc.connectionState === 'closed') {
-                console.log('🔒 Peer connection closed');
-                isConnectedRef.current = false;
-            }
-        };
-
-        pc.onicegatheringstatechange = () => {
-            console.log('🧊 ICE gathering state:', pc.iceGatheringState);
-        };
-
-        pc.oniceconnectionstatechange = () => {
-            console.log('🧊 ICE connection state:', pc.iceConnectionState);
-            
-            if (pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed') {
-                console.log('✅ ICE connection established');
-                clearConnectionTimeout();
-                retryConnectionRef.current = 0;
-                
-            } else if (pc.iceConnectionState === 'failed') {
-                console.error('❌ ICE connection failed');
-                
-                // More aggressive ICE restart for failed connections
-                if (retryConnectionRef.current < maxRetries) {
-                    retryConnectionRef.current++;
-                    console.log(`🔄 ICE failed - attempting restart (${retryConnectionRef.current}/${maxRetries})...`);
-                    
-                    const statusMessage = `🔄 Connection failed, retrying (${retryConnectionRef.current}/${maxRetries})...`;
-                    if (isSenderRef.current) {
-                        setSenderStatus(statusMessage);
-                    } else {
-                        setReceiverStatus(statusMessage);
-                    }
-                    
-                    // Force ICE restart immediately
-                    setTimeout(async () => {
-                        try {
-                            if (pc.restartIce) {
-                                pc.restartIce();
-                            } else {
-                                // Complete connection restart
-                                await restartPeerConnection();
-                            }
-                        } catch (error) {
-                            console.error('❌ ICE restart failed:', error);
-                            handleConnectionFailure();
-                        }
-                    }, 1000); // Immediate retry for ICE failures
-                } else {
-                    handleConnectionFailure();
-                }
-                
-            } else if (pc.iceConnectionState === 'disconnected') {
-                console.warn('⚠️ ICE connection disconnected');
-                
-                // Start countdown for disconnected state
-                const disconnectTimeout = setTimeout(() => {
-                    if (pc.iceConnectionState === 'disconnected') {
-                        console.error('❌ ICE reconnection timeout - forcing restart');
-                        // Treat prolonged disconnection as failure
-                        if (retryConnectionRef.current < maxRetries) {
-                            retryConnectionRef.current++;
-                            restartPeerConnection();
-                        } else {
-                            handleConnectionFailure();
-                        }
-                    }
-                }, 5000); // Shorter timeout for disconnected state
-                
-                // Store timeout reference to clear if state changes
-                pc._disconnectTimeout = disconnectTimeout;
-                
-            } else if (pc.iceConnectionState === 'checking') {
-                console.log('🔍 ICE connection checking...');
-                // Clear any existing disconnect timeout
-                if (pc._disconnectTimeout) {
-                    clearTimeout(pc._disconnectTimeout);
-                    pc._disconnectTimeout = null;
-                }
-                
-            } else if (pc.iceConnectionState === 'closed') {
-                console.log('🔒 ICE connection closed');
-                isConnectedRef.current = false;
-                // Clear any timeouts
-                if (pc._disconnectTimeout) {
-                    clearTimeout(pc._disconnectTimeout);
-                    pc._disconnectTimeout = null;
-                }
-            }
-        };
-        
-        // Handle incoming data channels (for receiver)
-        pc.ondatachannel = (event) => {
-            console.log('📡 Data channel received by receiver');
-            const channel = event.channel;
-            dataChannelRef.current = channel;
-            setupDataChannelEvents(channel, false);
-        };
-        
-        return pc;
+  // Extra channels only ever carry chunk frames; everything else stays on the main channel
+  const setupLaneEvents = (peer, channel) => {
+    channel.binaryType = 'arraybuffer';
+    setBufferedAmountLowThreshold(channel);
+    peer.lanes.push(channel);
+    channel.onmessage = (event) => {
+        if (typeof event.data !== 'string') {
+            enqueueReceive(() => handleChunkFrame(peer, peer.channel, event.data));
+        }
+    };
+    channel.onclose = () => {
+        peer.lanes = peer.lanes.filter((lane) => lane !== channel);
     };
+  };
 
-    socket.on('connect', () => {
-        console.log('✅ Socket connected to server');
-        lastPongRef.current = Date.now(); // Reset pong timestamp
-    });
+  // Chunk frames are verified asynchronously, so incoming messages are chained to
+  // keep file-end and friends from overtaking the chunks that precede them
+  const enqueueReceive = (task) => {
+    receiveQueueRef.current = receiveQueueRef.current
+        .then(task)
+        .catch((error) => console.error('❌ Error processing incoming message:', error));
+  };
 
-    socket.on('disconnect', (reason) => {
-        console.log('❌ Socket disconnected:', reason);
-        cleanupConnection();
-        setSenderStatus('❌ Server disconnected');
-        setReceiverStatus('❌ Server disconnected');
-    });
+  const handleControlMessage = async (peer, channel, received) => {
+    if (received.type === 'pake') {
+        await handlePakeShare(peer, channel, received);
+        return;
+    }
+    if (received.type === 'pake-confirm') {
+        handlePakeConfirm(peer, channel, received);
+        return;
+    }
+
+    // Nothing counts before the handshake, and content only arrives sealed under its key
+    if (!peer.session) {
+        console.warn('⚠️ Ignoring', received.type, 'before the secure handshake');
+        return;
+    }
+    let message;
+    try {
+        message = await openControlMessage(peer.session, received);
+    } catch (error) {
+        console.warn('⚠️ Ignoring', received.type, 'that could not be decrypted:', error);
+        return;
+    }
+
+    if (message.type === 'batch-start') {
+        // One incoming batch at a time; with several receivers sending back, the others wait their turn
+        const incomingBatch = incomingBatchRef.current;
+        if (incomingOfferRef.current || (incomingBatch && !incomingBatch.complete)) {
+            console.warn('⚠️ Busy with another incoming batch, declining', message.batchId);
+            await sendSealed(peer, channel, { type: 'batch-decline', batchId: message.batchId, reason: 'busy' });
+            return;
+        }
+
+        // Nothing is streamed until the user has looked at the manifest and accepted
+        console.log('📨 Peer offers', message.files.length, 'files');
+        const offeredFiles = message.files.map(({ path, size, type, thumbnail }) => ({
+            path,
+            size,
+            type: typeof type === 'string' ? type : '',
+            thumbnail: isSafeThumbnail(thumbnail) ? thumbnail : null
+        }));
+        const from = isSenderRef.current ? 'A receiver' : 'The sender';
+        incomingOfferRef.current = { peer, batchId: message.batchId };
+        setIncomingOffer({ batchId: message.batchId, files: offeredFiles, totalSize: message.totalSize, from });
+        setReceiverStatus(offeredFiles.length === 1
+            ? `📨 ${from} wants to send you ${offeredFiles[0].path}`
+            : `📨 ${from} wants to send you ${offeredFiles.length} files`);
+    } else if (message.type === 'snippet') {
+        // Text goes straight to the screen, so it needs no offer; it is only ever rendered as text
+        if (typeof message.text !== 'string' || new TextEncoder().encode(message.text).length > MAX_SNIPPET_BYTES) {
+            console.warn('⚠️ Ignoring an invalid snippet');
+            return;
+        }
+        console.log('📝 Snippet received,', message.text.length, 'characters');
+        const { id: language } = getLanguage(message.language);
+        setSnippets((previous) => [...previous, { id: createTransferId(), text: message.text, language, sent: false }]);
+    } else if (message.type === 'batch-accept' || message.type === 'batch-decline') {
+        answerOfferedBatch(peer, channel, message);
+    } else if (message.type === 'file-start') {
+        const path = message.path || message.fileName;
+        console.log('📥 File transfer starting:', path);
+        setReceiverStatus(`📥 Receiving: ${path}`);
+        // A re-sent file replaces whatever was written for the previous attempt
+        await abortReceiveSink();
+        const manifestEntry = incomingBatchRef.current?.files[message.index || 0];
+        // A compressed file arrives as transferSize bytes and is unpacked on its way into the sink
+        const encoding = ENCODINGS.includes(message.encoding) ? message.encoding : null;
+        const transferSize = encoding ? message.transferSize : message.fileSize;
+        let sink = await createReceiveSink(message.fileName, path, message.fileSize, manifestEntry?.type);
+        if (encoding) sink = createDecompressingSink(sink, encoding);
+        fileInfoRef.current = {
+            id: message.transferId,
+            index: message.index || 0,
+            name: message.fileName,
+            path,
+            size: transferSize,
+            fileSize: message.fileSize,
+            receivedBytes: 0,
+            chunkCount: 0,
+            hasher: createSha256(),
+            retryOffset: null,
+            pendingChunks: new Map(), // offset -> payload that arrived ahead of its turn
+            pendingBytes: 0,
+            pendingEnd: null, // file-end that arrived before all of the chunks
+            lastProgressUpdate: 0,
+            sink,
+            complete: false
+        };
+        receivedFileSize.current = transferSize;
+        await replayEarlyFrames(channel);
+    } else if (message.type === 'file-resume') {
+        console.log(`📥 Resuming ${fileInfoRef.current.name} from byte ${message.offset}`);
+        setReceiverStatus(`📥 Receiving: ${fileInfoRef.current.path}`);
+    } else if (message.type === 'resume-reject') {
+        if (incomingBatchRef.current?.id !== message.batchId) return;
+        console.warn('⚠️ Sender cannot resume transfer:', message.batchId);
+        await abortReceiveSink();
+        fileInfoRef.current = { id: null, name: '', size: 0, receivedBytes: 0, complete: false };
+        incomingBatchRef.current = null;
+        setReceivedFiles([]);
+        setTransferProgress(0);
+        setReceiverStatus('❌ Transfer could not be resumed. Ask the sender to send again.');
+    } else if (message.type === 'resume-request') {
+        resumeTransfer(peer, channel, message);
+    } else if (message.type === 'chunk-retry') {
+        retransmitFrom(peer, channel, message);
+    } else if (message.type === 'file-ack') {
+        await handleFileAck(peer, channel, message);
+    } else if (message.type === 'file-end') {
+        await verifyReceivedFile(peer, channel, message);
+    } else if (message.type === 'batch-end') {
+        console.log('✅ Batch transfer complete');
+        await handleBatchComplete();
+    }
+  };
+
+  // Chunks normally arrive in order. With parallel channels they can overtake each
+  // other, so early ones wait in info.pendingChunks until the gap before them fills.
+  const handleChunkFrame = async (peer, channel, data, { held = false } = {}) => {
+    const info = fileInfoRef.current;
+    if (!info.id || info.complete) {
+        holdEarlyFrame(peer, channel, data);
+        return;
+    }
+
+    const { offset, payload: sealed, valid } = await decodeChunkFrame(data);
+
+    if (offset < info.receivedBytes) {
+        // Leftovers sent before a retry request took effect
+        console.warn(`⚠️ Ignoring out-of-place chunk at ${offset} (expected ${info.receivedBytes})`);
+        return;
+    }
+
+    const payload = valid && peer.session
+        ? await openChunk(peer.session.key, info.id, offset, sealed).catch(() => null)
+        : null;
+    if (!payload) {
+        if (held) {
+            // Most likely a leftover of the file before; replayEarlyFrames re-requests any real gap
+            incomingBatchRef.current.early.dropped = true;
+            return;
+        }
+        if (info.retryOffset !== offset) {
+            console.warn(`⚠️ Chunk at byte ${offset} of ${info.path} failed its checksum or could not be decrypted, re-requesting`);
+            info.retryOffset = offset;
+            channel.send(JSON.stringify({ type: 'chunk-retry', transferId: info.id, offset }));
+        }
+        return;
+    }
+
+    if (offset > info.receivedBytes) {
+        info.pendingChunks.set(offset, payload);
+        info.pendingBytes += payload.byteLength;
+        if (info.pendingBytes > MAX_OUT_OF_ORDER_BYTES) {
+            // Whatever fills the gap isn't coming - start over from the gap
+            console.warn(`⚠️ Too many chunks waiting for byte ${info.receivedBytes}, re-requesting`);
+            info.pendingChunks.clear();
+            info.pendingBytes = 0;
+            info.retryOffset = info.receivedBytes;
+            channel.send(JSON.stringify({ type: 'chunk-retry', transferId: info.id, offset: info.receivedBytes }));
+        }
+        return;
+    }
+
+    info.retryOffset = null;
+    let next = payload;
+    while (next) {
+        info.hasher.update(next);
+        await info.sink.write(next);
+        info.receivedBytes += next.byteLength;
+        info.chunkCount++;
+        next = info.pendingChunks.get(info.receivedBytes);
+        if (next) {
+            info.pendingChunks.delete(info.receivedBytes);
+            info.pendingBytes -= next.byteLength;
+        }
+    }
+
+    const { receivedBytes, index } = info;
+    const batch = incomingBatchRef.current;
+    // The batch total counts original bytes, which compressed files send fewer of
+    const fileBytes = info.size > 0 ? Math.round((receivedBytes / info.size) * info.fileSize) : 0;
+    if (batch) receiveMeterRef.current.record(batch.receivedBefore + fileBytes, batch.totalSize);
+
+    const now = Date.now();
+    if (now - info.lastProgressUpdate >= PROGRESS_INTERVAL || receivedBytes === info.size) {
+        info.lastProgressUpdate = now;
+        const progress = (receivedBytes / receivedFileSize.current) * 100;
+        setReceivedFiles(prev => prev.map((entry, i) => (i === index ? { ...entry, progress: Math.round(progress) } : entry)));
+        setTransferProgress(batch
+            ? Math.round(((batch.receivedBefore + fileBytes) / batch.totalSize) * 100)
+            : Math.round(progress));
+        console.log(`📥 Received ${receivedBytes}/${receivedFileSize.current} bytes (${Math.round(progress)}%)`);
+    }
+
+    // file-end travels on the main channel and may have beaten the last chunks here
+    if (info.pendingEnd && receivedBytes === info.size) {
+        const { endChannel, message } = info.pendingEnd;
+        info.pendingEnd = null;
+        await verifyReceivedFile(peer, endChannel, message);
+    }
+  };
+
+  // The extra lanes can deliver a file's first chunks before its file-start arrives on
+  // the main channel. They wait on the batch until it does.
+  const holdEarlyFrame = (peer, channel, data) => {
+    const batch = incomingBatchRef.current;
+    if (!batch || batch.complete) return;
+    const { early } = batch;
+    if (early.bytes + data.byteLength > MAX_OUT_OF_ORDER_BYTES) {
+        early.dropped = true;
+        return;
+    }
+    early.frames.push({ peer, channel, data });
+    early.bytes += data.byteLength;
+  };
+
+  const replayEarlyFrames = async (channel) => {
+    const batch = incomingBatchRef.current;
+    if (!batch) return;
+    const { early } = batch;
+    const { frames } = early;
+    early.frames = [];
+    early.bytes = 0;
+    for (const frame of frames) {
+        await handleChunkFrame(frame.peer, frame.channel, frame.data, { held: true });
+    }
+
+    const info = fileInfoRef.current;
+    const { dropped } = early;
+    early.dropped = false;
+    if (dropped && !info.complete && info.receivedBytes < info.size) {
+        // Some couldn't be held or opened: have everything from the first gap sent again
+        console.warn(`⚠️ Dropped chunks that arrived before ${info.path} started, re-requesting from byte ${info.receivedBytes}`);
+        info.pendingChunks.clear();
+        info.pendingBytes = 0;
+        info.retryOffset = info.receivedBytes;
+        channel.send(JSON.stringify({ type: 'chunk-retry', transferId: info.id, offset: info.receivedBytes }));
+    }
+  };
+
+  // Pick where an incoming file is written: the folder the receiver chose, a streamed
+  // browser download, or memory (small files, files to preview, and folders that are zipped at the end)
+  const createReceiveSink = async (name, path, size, type) => {
+    if (saveDirectoryRef.current) {
+        try {
+            return await createDirectorySink(saveDirectoryRef.current, path);
+        } catch (error) {
+            console.error('❌ Cannot write to the chosen folder, falling back:', error);
+        }
+    }
+
+    const batch = incomingBatchRef.current;
+    const isLooseFile = !batch || (batch.fileCount === 1 && !path.includes('/'));
+    const canPreview = getPreviewKind(type, path) && size <= MAX_PREVIEW_SIZE;
+    if (canStreamDownloads() && ((isLooseFile && !canPreview) || size > MEMORY_SINK_LIMIT)) {
+        return createDownloadStreamSink(isLooseFile ? name : path.replaceAll('/', '_'), size);
+    }
+
+    return createMemorySink();
+  };
+
+  const abortReceiveSink = async () => {
+    const { sink, complete } = fileInfoRef.current;
+    if (!sink || complete) return;
+    try {
+        await sink.abort();
+    } catch (error) {
+        console.error('❌ Error discarding partial file:', error);
+    }
+  };
+
+  // Compare the whole-file SHA-256 before anything is offered for download
+  const verifyReceivedFile = async (peer, channel, message) => {
+    const { transferId, sha256: expectedHash } = message;
+    const info = fileInfoRef.current;
+    if (info.id !== transferId || info.complete) return;
+
+    if (info.receivedBytes < info.size) {
+        // Chunks still on their way over a parallel channel (or being re-sent)
+        info.pendingEnd = { endChannel: channel, message };
+        return;
+    }
+
+    const batch = incomingBatchRef.current;
+    const actualHash = info.hasher.digest();
+
+    if (info.receivedBytes === info.size && actualHash === expectedHash) {
+        console.log(`✅ ${info.path} verified (sha256 ${actualHash.slice(0, 12)}…)`);
+        info.complete = true;
+        await sendSealed(peer, channel, { type: 'file-ack', transferId, status: 'verified' });
+        await handleFileComplete();
+        return;
+    }
+
+    const retries = batch ? (batch.retries[info.index] || 0) : MAX_FILE_RETRIES;
+    console.error(`❌ Integrity check failed for ${info.path}: expected ${expectedHash}, got ${actualHash}`);
+
+    if (retries < MAX_FILE_RETRIES) {
+        batch.retries[info.index] = retries + 1;
+        setReceiverStatus(`⚠️ ${info.path} failed its integrity check, requesting it again (${retries + 1}/${MAX_FILE_RETRIES})...`);
+        await abortReceiveSink();
+        // The new attempt comes with its own file-start; its chunks are held until then
+        fileInfoRef.current = { id: null, name: '', size: 0, receivedBytes: 0, complete: false };
+        await sendSealed(peer, channel, { type: 'file-ack', transferId, status: 'retry' });
+        return;
+    }
+
+    // Give up on this file rather than save a corrupted copy
+    await abortReceiveSink();
+    info.complete = true;
+    if (batch) {
+        batch.completedCount++;
+        batch.receivedBefore += info.fileSize;
+    }
+    setReceivedFiles(prev => prev.map((entry, i) => (i === info.index ? { ...entry, failed: true } : entry)));
+    setReceiverStatus(`❌ ${info.path} is corrupted and was not saved`);
+    setOverlay({
+        title: 'Integrity Check Failed',
+        message: `${info.path} did not match the sender's checksum after ${MAX_FILE_RETRIES} attempts, so it was not saved.`
+    });
+    await sendSealed(peer, channel, { type: 'file-ack', transferId, status: 'failed' });
+  };
+
+  useEffect(() => {
+    socketRef.current = io('https://code-drop.onrender.com', {
+      transports: ['websocket', 'polling'],
+      timeout: 10000,
+      forceNew: true
+    });
+    const socket = socketRef.current;
+    
+    socket.on('connect', () => {
+        console.log('✅ Socket connected to server');
+        lastPongRef.current = Date.now(); // Reset pong timestamp
+    });
+
+    socket.on('disconnect', (reason) => {
+        console.log('❌ Socket disconnected:', reason);
+        cleanupConnection();
+        setSenderStatus('❌ Server disconnected');
+        setReceiverStatus('❌ Server disconnected');
+    });
 
     socket.on('room-created', (code) => { 
         console.log('🚀 Room created:', code);
-        setSharingCode(code); 
+        joinCodeRef.current = formatJoinCode(code, createPairingNumber());
+        setSharingCode(joinCodeRef.current);
         currentRoomCode.current = code; 
         isSenderRef.current = true;
         setSenderStatus('Waiting for receiver to join...');
@@ -637,120 +1394,117 @@ function App() {
         cleanupConnection();
     });
 
-    socket.on('receiver-joined', async ({ receiverId }) => {
-        console.log('👋 Receiver joined:', receiverId);
-        remoteUserIdRef.current = receiverId;
-        setSenderStatus('🤝 Receiver connected! Setting up P2P...');
-        
-        // Set timeout for P2P connection establishment
-        setConnectionTimeout(() => {
-            console.error('❌ P2P connection timeout');
-            setSenderStatus('❌ Connection timeout');
-            cleanupConnection();
-        }, 30000);
-        
+    // Errors about one receiver; the room and the other receivers carry on
+    socket.on('peer-error', ({ peerId, message }) => {
+        console.warn('⚠️ Peer error:', peerId, message);
+        fingerprintCommitmentsRef.current.delete(peerId);
+        setPendingReceivers((prev) => prev.filter((receiver) => receiver.id !== peerId));
+        if (peersRef.current.has(peerId)) {
+            removePeer(peerId);
+            updateRecipient(peerId, { status: `❌ ${message}` });
+        }
+        if (peersRef.current.size === 0) {
+            setSenderStatus('Waiting for receiver to join...');
+        }
+    });
+
+    // Someone typed the code. They only commit to their fingerprint until our
+    // nonce for them is out (see verification.js).
+    socket.on('receiver-joined', ({ receiverId, commitment }) => {
+        console.log('👋 Receiver waiting for approval:', receiverId);
+        clearConnectionTimeout();
+        if (fingerprintCommitmentsRef.current.has(receiverId)) return;
+        const nonce = createVerificationNonce();
+        fingerprintCommitmentsRef.current.set(receiverId, { commitment, nonce });
+        socket.emit('verification-nonce', { receiverId, nonce });
+    });
+
+    // The sender compares phrases before accepting them
+    socket.on('receiver-fingerprint', async ({ receiverId, fingerprint }) => {
+        const pending = fingerprintCommitmentsRef.current.get(receiverId);
+        if (!pending) return;
+        fingerprintCommitmentsRef.current.delete(receiverId);
         try {
-            peerConnectionRef.current = createPeerConnection();
-            
-            // Create data channel for sender with improved configuration
-            console.log('📡 Creating data channel for sender...');
-            const dataChannel = peerConnectionRef.current.createDataChannel('file-transfer', {
-                ordered: true,
-                maxRetransmits: 0, // Reliable delivery - use retransmits only
-                protocol: 'file-transfer-v1'
-            });
-            
-            dataChannelRef.current = dataChannel;
-            setupDataChannelEvents(dataChannel, true);
-            
-            // Wait for ICE gathering to complete or timeout
-            console.log('🧊 Waiting for ICE gathering...');
-            const gatheringPromise = new Promise((resolve) => {
-                if (peerConnectionRef.current.iceGatheringState === 'complete') {
-                    resolve();
-                    return;
-                }
-                
-                const timeout = setTimeout(() => {
-                    console.log('⏰ ICE gathering timeout, proceeding anyway');
-                    resolve();
-                }, 5000);
-                
-                peerConnectionRef.current.addEventListener('icegatheringstatechange', () => {
-                    if (peerConnectionRef.current.iceGatheringState === 'complete') {
-                        clearTimeout(timeout);
-                        resolve();
-                    }
-                });
-            });
-            
-            console.log('📤 Creating offer...');
-            const offer = await peerConnectionRef.current.createOffer({
-                offerToReceiveAudio: false,
-                offerToReceiveVideo: false,
-                iceRestart: retryConnectionRef.current > 0 // Force ICE restart on retries
-            });
-            
-            console.log('📤 Setting local description...');
-            await peerConnectionRef.current.setLocalDescription(offer);
-            
-            // Wait for ICE gathering with timeout
-            await gatheringPromise;
-            
-            console.log('📤 Sending offer with', peerConnectionRef.current.localDescription.sdp.split('\n').filter(line => line.includes('a=candidate')).length, 'ICE candidates');
-            socket.emit('offer', { sdp: peerConnectionRef.current.localDescription, target: receiverId });
-            
+            if (!(await matchesCommitment(fingerprint, pending.commitment))) {
+                console.error('🚨 Receiver fingerprint does not match its commitment:', receiverId);
+                socket.emit('reject-receiver', { receiverId });
+                return;
+            }
+            const phrase = await deriveVerificationPhrase(getCertificateFingerprint(certificateRef.current), fingerprint, pending.nonce);
+            setPendingReceivers((prev) => [...prev, { id: receiverId, phrase, fingerprint }]);
+            setSenderStatus('🔐 Someone entered your code. Compare the phrase before accepting.');
         } catch (error) {
-            console.error('❌ Error in receiver-joined:', error);
-            setSenderStatus('❌ Error setting up connection');
-            cleanupConnection();
+            console.error('❌ Error in receiver-fingerprint:', error);
+            socket.emit('reject-receiver', { receiverId });
+        }
+    });
+
+    socket.on('receiver-left', ({ receiverId }) => {
+        console.log('🚪 Receiver left before connecting:', receiverId);
+        fingerprintCommitmentsRef.current.delete(receiverId);
+        setPendingReceivers((prev) => prev.filter((receiver) => receiver.id !== receiverId));
+        if (peersRef.current.has(receiverId)) {
+            removePeer(receiverId);
+            updateRecipient(receiverId, { status: '👋 Left before connecting' });
+        }
+        if (peersRef.current.size === 0) {
+            setSenderStatus('Waiting for receiver to join...');
         }
     });
 
     socket.on('offer', async ({ sdp, senderId, isRestart }) => {
         console.log('📨 Offer received from:', senderId, 'isRestart:', !!isRestart);
-        remoteUserIdRef.current = senderId;
+        const peer = peersRef.current.get(senderId);
+        if (!peer) {
+            console.warn('⚠️ Ignoring offer from unknown peer:', senderId);
+            return;
+        }
+        if (!isExpectedRemoteFingerprint(peer, sdp)) {
+            cleanupConnection();
+            setReceiverStatus("❌ Security check failed: the sender's certificate doesn't match the phrase");
+            return;
+        }
         isSenderRef.current = false;
         setReceiverStatus('🤝 Offer received! Connecting...');
         
         // Set timeout for connection establishment
-        setConnectionTimeout(() => {
+        setPeerTimeout(peer, () => {
             console.error('❌ Connection timeout');
-            setReceiverStatus('❌ Connection timeout');
-            cleanupConnection();
+            handleConnectionFailure(peer);
         }, 30000);
         
         try {
             // If this is a restart, clean up first
             if (isRestart) {
-                cleanupConnection();
+                closePeerConnection(peer);
             }
             
-            if (!peerConnectionRef.current) {
-                peerConnectionRef.current = createPeerConnection();
+            if (!peer.pc) {
+                createPeerConnection(peer, await getIceConfig());
             }
+            const { pc } = peer;
             
             console.log('📥 Setting remote description...');
-            await peerConnectionRef.current.setRemoteDescription(new RTCSessionDescription(sdp));
+            await pc.setRemoteDescription(new RTCSessionDescription(sdp));
             
             // Process any pending ICE candidates
-            for (const candidate of pendingIceCandidates.current) {
+            for (const candidate of peer.pendingCandidates) {
                 try {
-                    await peerConnectionRef.current.addIceCandidate(new RTCIceCandidate(candidate));
+                    await pc.addIceCandidate(new RTCIceCandidate(candidate));
                     console.log('✅ Added pending ICE candidate');
                 } catch (err) {
                     console.error('❌ Error adding pending ICE candidate:', err);
                 }
             }
-            pendingIceCandidates.current = [];
+            peer.pendingCandidates = [];
             
             // Wait for ICE gathering to complete or timeout
             console.log('🧊 Creating answer and waiting for ICE gathering...');
-            const answer = await peerConnectionRef.current.createAnswer();
-            await peerConnectionRef.current.setLocalDescription(answer);
+            const answer = await pc.createAnswer();
+            await pc.setLocalDescription(answer);
             
             const gatheringPromise = new Promise((resolve) => {
-                if (peerConnectionRef.current.iceGatheringState === 'complete') {
+                if (pc.iceGatheringState === 'complete') {
                     resolve();
                     return;
                 }
@@ -760,8 +1514,8 @@ function App() {
                     resolve();
                 }, 5000);
                 
-                peerConnectionRef.current.addEventListener('icegatheringstatechange', () => {
-                    if (peerConnectionRef.current.iceGatheringState === 'complete') {
+                pc.addEventListener('icegatheringstatechange', () => {
+                    if (pc.iceGatheringState === 'complete') {
                         clearTimeout(timeout);
                         resolve();
                     }
@@ -770,8 +1524,8 @@ function App() {
             
             await gatheringPromise;
             
-            console.log('📤 Sending answer with', peerConnectionRef.current.localDescription.sdp.split('\n').filter(line => line.includes('a=candidate')).length, 'ICE candidates');
-            socket.emit('answer', { sdp: peerConnectionRef.current.localDescription, target: senderId });
+            console.log('📤 Sending answer with', pc.localDescription.sdp.split('\n').filter(line => line.includes('a=candidate')).length, 'ICE candidates');
+            socket.emit('answer', { sdp: pc.localDescription, target: senderId });
             
         } catch (error) {
             console.error('❌ Error handling offer:', error);
@@ -780,41 +1534,48 @@ function App() {
         }
     });
 
-    socket.on('answer', async ({ sdp }) => {
-        console.log('📨 Answer received');
+    socket.on('answer', async ({ sdp, receiverId }) => {
+        console.log('📨 Answer received from:', receiverId);
+        const peer = peersRef.current.get(receiverId);
         try {
-            if (peerConnectionRef.current && peerConnectionRef.current.signalingState === 'have-local-offer') {
-                await peerConnectionRef.current.setRemoteDescription(new RTCSessionDescription(sdp));
+            if (peer && peer.pc && peer.pc.signalingState === 'have-local-offer') {
+                if (!isExpectedRemoteFingerprint(peer, sdp)) {
+                    removePeer(receiverId);
+                    updateRecipient(receiverId, { status: "❌ Security check failed: the receiver's certificate doesn't match the phrase" });
+                    return;
+                }
+                await peer.pc.setRemoteDescription(new RTCSessionDescription(sdp));
                 console.log('✅ Remote description set successfully');
                 
                 // Process any pending ICE candidates
-                for (const candidate of pendingIceCandidates.current) {
+                for (const candidate of peer.pendingCandidates) {
                     try {
-                        await peerConnectionRef.current.addIceCandidate(new RTCIceCandidate(candidate));
+                        await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
                         console.log('✅ Added pending ICE candidate');
                     } catch (err) {
                         console.error('❌ Error adding pending ICE candidate:', err);
                     }
                 }
-                pendingIceCandidates.current = [];
+                peer.pendingCandidates = [];
             }
         } catch (error) {
             console.error('❌ Error handling answer:', error);
-            setSenderStatus('❌ Error processing answer');
-            cleanupConnection();
+            removePeer(receiverId);
+            updateRecipient(receiverId, { status: '❌ Error processing answer' });
         }
     });
 
-    socket.on('ice-candidate', async ({ candidate }) => {
+    socket.on('ice-candidate', async ({ candidate, from }) => {
         console.log('🧊 ICE candidate received');
-        if (candidate && peerConnectionRef.current) {
+        const peer = peersRef.current.get(from);
+        if (candidate && peer && peer.pc) {
             try {
-                if (peerConnectionRef.current.remoteDescription && peerConnectionRef.current.remoteDescription.type) {
-                    await peerConnectionRef.current.addIceCandidate(new RTCIceCandidate(candidate));
+                if (peer.pc.remoteDescription && peer.pc.remoteDescription.type) {
+                    await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
                     console.log('✅ ICE candidate added successfully');
                 } else {
                     console.log('⏳ Queuing ICE candidate (remote description not set yet)');
-                    pendingIceCandidates.current.push(candidate);
+                    peer.pendingCandidates.push(candidate);
                 }
             } catch (error) {
                 console.error('❌ Error adding ICE candidate:', error);
@@ -822,16 +1583,71 @@ function App() {
         }
     });
 
-    socket.on('peer-disconnected', () => {
-        console.log('👋 Peer disconnected');
-        cleanupConnection();
-        setSenderStatus('👋 Peer disconnected');
-        setReceiverStatus('👋 Peer disconnected');
+    socket.on('peer-disconnected', ({ userId } = {}) => {
+        console.log('👋 Peer disconnected:', userId);
+        if (!isSenderRef.current) {
+            cleanupConnection();
+            setReceiverStatus('👋 Peer disconnected');
+            return;
+        }
+        // One receiver leaving doesn't affect the others
+        removePeer(userId);
+        updateRecipient(userId, { status: '👋 Disconnected' });
+        if (peersRef.current.size === 0) {
+            setSenderStatus('👋 Peer disconnected');
+        }
+    });
+
+    // Fallback when WebRTC can't connect: data goes through the signaling server
+    socket.on('relay-ready', ({ peerId }) => {
+        console.log('🔁 Server relay ready, peer:', peerId);
+        const peer = peersRef.current.get(peerId);
+        if (peer) startRelay(peer);
+    });
+
+    socket.on('relay-unavailable', ({ peerId, reason }) => {
+        console.warn('🚫 Relay unavailable:', reason);
+        const peer = peersRef.current.get(peerId);
+        if (peer) giveUpConnection(peer, reason);
     });
 
-    socket.on('room-joined', (roomCode) => {
+    socket.on('room-joined', (roomCode, { senderId, senderFingerprint } = {}) => {
         console.log('✅ Successfully joined room:', roomCode);
-        setReceiverStatus('✅ Joined room! Waiting for connection...');
+        clearConnectionTimeout(); // The sender may take a while to compare phrases
+        // The phrase already covers the sender we revealed our fingerprint to
+        if (verificationNonceRef.current) return;
+        currentRoomCode.current = roomCode;
+        peersRef.current.set(senderId, createPeer(senderId, senderFingerprint));
+        setReceiverStatus('⏳ Waiting for the sender...');
+    });
+
+    // Our fingerprint goes out only now, once, so nobody can pick a nonce to match it
+    socket.on('verification-nonce', async ({ nonce }) => {
+        const sender = [...peersRef.current.values()][0];
+        if (isSenderRef.current || verificationNonceRef.current || !sender || typeof nonce !== 'string') return;
+        verificationNonceRef.current = nonce;
+        try {
+            const fingerprint = getCertificateFingerprint(certificateRef.current);
+            setVerificationPhrase(await deriveVerificationPhrase(sender.fingerprint, fingerprint, nonce));
+            socket.emit('reveal-fingerprint', { fingerprint });
+            setReceiverStatus('🔐 Waiting for the sender to accept. Check that you both see the same phrase.');
+        } catch (error) {
+            console.error('❌ Could not derive the verification phrase:', error);
+            setReceiverStatus('❌ Could not verify the sender');
+        }
+    });
+
+    socket.on('receiver-accepted', () => {
+        console.log('✅ Sender accepted us');
+        setReceiverStatus('✅ Sender accepted! Waiting for connection...');
+    });
+
+    socket.on('receiver-rejected', ({ reason }) => {
+        console.log('🚫 Sender rejected us:', reason);
+        cleanupConnection();
+        currentRoomCode.current = null;
+        setVerificationPhrase('');
+        setReceiverStatus(`🚫 ${reason}`);
     });
 
     socket.on('pong', () => {
@@ -856,14 +1672,17 @@ function App() {
     // Network change detection
     const handleNetworkChange = () => {
         console.log('🌐 Network change detected');
-        if (isConnectedRef.current) {
+        const peers = [...peersRef.current.values()].filter((peer) => peer.connected);
+        if (peers.length > 0) {
             console.log('🔄 Attempting to recover from network change...');
             // Give some time for network to stabilize, then check connection
             setTimeout(() => {
-                if (peerConnectionRef.current && peerConnectionRef.current.connectionState === 'disconnected') {
-                    console.log('🔄 Restarting connection after network change...');
-                    restartPeerConnection();
-                }
+                peers.forEach((peer) => {
+                    if (peer.pc && peer.pc.connectionState === 'disconnected') {
+                        console.log('🔄 Restarting connection after network change...');
+                        restartPeerConnection(peer);
+                    }
+                });
             }, 2000);
         }
     };
@@ -871,6 +1690,13 @@ function App() {
     window.addEventListener('online', handleNetworkChange);
     window.addEventListener('offline', handleNetworkChange);
 
+    // A /r#<code> link joins its room straight away
+    const { roomCode: linkedRoomCode } = parseRoute(window.location.pathname, window.location.hash).params;
+    if (linkedRoomCode && autoJoinedCodeRef.current !== linkedRoomCode) {
+        autoJoinedCodeRef.current = linkedRoomCode;
+        handleJoinRoom(linkedRoomCode);
+    }
+
     return () => {
         clearInterval(socketHeartbeat);
         window.removeEventListener('online', handleNetworkChange);
@@ -882,180 +1708,800 @@ function App() {
     };
   }, []); // Empty dependency array - socket should only be created once
   
-  const handleFileComplete = () => {
+  const downloadBlob = (blob, name) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFileComplete = async () => {
     try {
-        console.log('📁 Reconstructing file from', receivedFileBuffer.current.length, 'chunks');
-        const blob = new Blob(receivedFileBuffer.current);
-        const url = URL.createObjectURL(blob);
-        
-        // Create download link
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = fileInfoRef.current.name;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        console.log('✅ File download initiated');
-        setReceiverStatus('✅ File downloaded successfully!');
-        setTransferProgress(100);
-        
-        // Reset after delay
-        setTimeout(() => {
-            setTransferProgress(0);
-            setReceiverStatus('Ready to receive another file');
-            receivedFileBuffer.current = [];
-        }, 3000);
+        const { path, index, fileSize, sink, chunkCount } = fileInfoRef.current;
+        const batch = incomingBatchRef.current;
+        console.log(`📁 Finishing ${path} (${chunkCount} chunks, ${sink.kind} sink)`);
+        const blob = await sink.close();
+
+        if (batch) {
+            batch.completedCount++;
+            batch.receivedBefore += fileSize;
+        }
+
+        if (!blob) {
+            // Already written to disk by the directory or streamed-download sink
+            setReceivedFiles(prev => prev.map((entry, i) => (i === index ? { ...entry, progress: 100, saved: true } : entry)));
+            setReceiverStatus(batch && batch.fileCount > 1
+                ? `📥 Saved ${batch.completedCount}/${batch.fileCount} files`
+                : '✅ File saved successfully!');
+            if (!batch || batch.fileCount === 1) setTransferProgress(100);
+            return;
+        }
+
+        // Kept in the page so it can be previewed; nothing is saved until the user asks
+        setReceivedFiles(prev => prev.map((entry, i) => (i === index ? { ...entry, progress: 100, blob } : entry)));
+        if (batch) batch.heldCount++;
+        if (!batch || batch.fileCount === 1) {
+            console.log('✅ File ready to preview or save');
+            setReceiverStatus('✅ File received! Preview it or save it below.');
+            setTransferProgress(100);
+            return;
+        }
+        setReceiverStatus(`📥 Received ${batch.completedCount}/${batch.fileCount} files`);
     } catch (error) {
         console.error('❌ Error completing file download:', error);
         setReceiverStatus('❌ Error downloading file');
     }
   };
 
-  const sendFile = () => {
-    if (!file || !dataChannelRef.current || dataChannelRef.current.readyState !== 'open') {
-        console.error('❌ Cannot send file - connection not ready');
-        console.log('File:', !!file, 'Channel:', !!dataChannelRef.current, 'State:', dataChannelRef.current?.readyState);
-        setSenderStatus('❌ Connection not ready');
-        return;
+  const handleBatchComplete = async () => {
+    const batch = incomingBatchRef.current;
+    if (!batch) return;
+    batch.complete = true;
+
+    if (batch.fileCount > 1) {
+        setReceiverStatus(batch.heldCount > 0
+            ? `✅ ${batch.fileCount} files received! Preview them or save them below.`
+            : `✅ ${batch.fileCount} files saved`);
     }
+    setTransferProgress(100);
+
+    // Reset after delay
+    setTimeout(() => {
+        setTransferProgress(0);
+        if (incomingBatchRef.current === batch) {
+            incomingBatchRef.current = null;
+        }
+    }, 3000);
+  };
 
-    console.log('📤 Starting file transfer:', file.name, file.size, 'bytes');
-    setSenderStatus(`📤 Sending: ${file.name}`);
+  // The receiver looked at the manifest and agreed: only now does the sender start streaming
+  const handleAcceptOffer = async () => {
+    const offer = incomingOffer;
+    const { peer } = incomingOfferRef.current || {};
+    incomingOfferRef.current = null;
+    if (!offer || !peer || !peer.channel || !peer.session) {
+        setIncomingOffer(null);
+        return;
+    }
+    console.log('✅ Accepting batch', offer.batchId);
+    incomingBatchRef.current = {
+        id: offer.batchId,
+        peerId: peer.id,
+        files: offer.files,
+        fileCount: offer.files.length,
+        totalSize: offer.totalSize || 1,
+        receivedBefore: 0,
+        completedCount: 0,
+        heldCount: 0, // files kept in memory for preview instead of written to disk
+        retries: {},
+        early: { frames: [], bytes: 0, dropped: false }, // chunk frames ahead of their file-start (see holdEarlyFrame)
+        complete: false
+    };
+    setReceivedFiles(offer.files.map((entry) => ({ ...entry, progress: 0 })));
     setTransferProgress(0);
+    setIncomingOffer(null);
+    setReceiverStatus('📥 Waiting for the first file...');
+    await sendSealed(peer, peer.channel, { type: 'batch-accept', batchId: offer.batchId });
+  };
+
+  const handleDeclineOffer = async () => {
+    const offer = incomingOffer;
+    const { peer } = incomingOfferRef.current || {};
+    incomingOfferRef.current = null;
+    if (!offer) return;
+    console.log('🚫 Declining batch', offer.batchId);
+    setIncomingOffer(null);
+    setReceiverStatus('🚫 You declined the files');
+    if (peer?.channel && peer.session) await sendSealed(peer, peer.channel, { type: 'batch-decline', batchId: offer.batchId });
+  };
+
+  const handleSaveReceivedFile = (index) => {
+    const entry = receivedFiles[index];
+    if (!entry || !entry.blob) return;
+    downloadBlob(entry.blob, entry.path.split('/').pop());
+    setReceivedFiles(prev => prev.map((other, i) => (i === index ? { ...other, saved: true } : other)));
+  };
+
+  // Zip everything still held in the page so the folder structure survives the download
+  const handleSaveAllReceived = async () => {
+    const entries = receivedFiles.filter((entry) => entry.blob);
+    if (entries.length === 0) return;
 
     try {
-        // Send file metadata
-        const startMessage = JSON.stringify({
-            type: 'file-start',
-            fileName: file.name,
-            fileSize: file.size
-        });
-        
-        dataChannelRef.current.send(startMessage);
-        console.log('📤 Sent file metadata');
-
-        // Send file in chunks
-        const fileReader = new FileReader();
-        let offset = 0;
-        let chunkCount = 0;
-
-        const readChunk = () => {
-            if (offset >= file.size) {
-                // File transfer complete
-                const endMessage = JSON.stringify({
+        console.log(`📦 Packing ${entries.length} files into a zip`);
+        setReceiverStatus(`📦 Packing ${entries.length} files...`);
+
+        const roots = new Set(entries.map(({ path }) => path.split('/')[0]));
+        const sharedRoot = roots.size === 1 && entries.every(({ path }) => path.includes('/'));
+        const zipName = sharedRoot ? `${[...roots][0]}.zip` : `codedrop-${entries.length}-files.zip`;
+
+        downloadBlob(await createZip(entries), zipName);
+        setReceivedFiles(prev => prev.map((entry) => (entry.blob ? { ...entry, saved: true } : entry)));
+        setReceiverStatus(`✅ ${entries.length} files downloaded as ${zipName}`);
+    } catch (error) {
+        console.error('❌ Error packing received files:', error);
+        setReceiverStatus('❌ Error downloading files');
+    }
+  };
+
+  // The file list and main progress bar follow the slowest receiver; each
+  // receiver's own progress is shown in its row
+  const refreshSendProgress = () => {
+    const transfers = [...peersRef.current.values()].map((peer) => peer.transfer).filter(Boolean);
+    if (transfers.length === 0) return;
+    const { queue } = transfers[0];
+    setFileProgress(Object.fromEntries(queue.map((entry, index) => [index, Math.min(...transfers.map((transfer) => {
+        if (transfer.index > index) return 100;
+        return transfer.index < index ? 0 : transfer.filePercent;
+    }))])));
+    setSendProgress(Math.min(...transfers.map((transfer) => transfer.percent)));
+  };
+
+  // Stream file chunks over a specific channel, starting at the given byte offset.
+  // Stops as soon as that channel is replaced or closed, or a newer loop takes over
+  // the transfer (resume or retransmit), so two loops never interleave their chunks.
+  // Chunks are read ahead from a file stream and queued until the channel's buffer
+  // is full; the loop then sleeps until bufferedamountlow instead of polling.
+  // With parallel channels, each chunk goes to whichever channel has the most room.
+  const sendFileChunks = (peer, channel, transfer, startOffset) => {
+    const { file: transferFile, body, sentBefore, totalSize } = transfer;
+    const loopToken = {};
+    transfer.activeLoop = loopToken;
+    const chunkSize = getChunkSize(peer, channel);
+    const maxBufferedAmount = getMaxBufferedAmount(channel);
+    // Every chunk is encrypted under the key from this channel's handshake
+    const { session } = peer;
+    const reader = createChunkReader(body, {
+        start: startOffset,
+        chunkSize,
+        seal: (chunkOffset, payload) => sealChunk(session.key, transfer.id, chunkOffset, payload)
+    });
+    // Offsets count the bytes on the wire; batch progress counts original bytes
+    const scale = body.size > 0 ? transferFile.size / body.size : 1;
+    let offset = startOffset;
+    let chunkCount = 0;
+    let lastProgressUpdate = 0;
+
+    const isLoopCurrent = () => transfer.activeLoop === loopToken && peer.transfer === transfer;
+    const isChannelUsable = () => channel === peer.channel && channel.readyState === 'open' && session && peer.session === session;
+    const getLanes = () => [channel, ...peer.lanes.filter((lane) => lane.readyState === 'open')];
+
+    const updateProgress = () => {
+        const progress = Math.min((offset / body.size) * 100, 100);
+        transfer.filePercent = Math.round(progress);
+        transfer.percent = Math.round(((sentBefore + offset * scale) / totalSize) * 100);
+        updateRecipient(peer.id, { progress: transfer.percent });
+        refreshSendProgress();
+    };
+
+    const sendChunks = async () => {
+        console.log(`📤 Streaming ${transfer.path} from byte ${startOffset} in ${chunkSize}-byte chunks`);
+        while (true) {
+            if (!isLoopCurrent()) return;
+
+            if (!isChannelUsable()) {
+                console.warn(`⏸️ Transfer paused at ${offset}/${body.size} bytes`);
+                setTransferStatus(peer, '⏸️ Connection lost - transfer will resume when reconnected');
+                return;
+            }
+
+            // Let a slow path (like the server relay) drain before queueing more
+            const lanes = getLanes();
+            const lane = lanes.reduce((best, candidate) => (candidate.bufferedAmount < best.bufferedAmount ? candidate : best));
+            if (lane.bufferedAmount > maxBufferedAmount) {
+                await waitForDrain(lanes);
+                continue;
+            }
+
+            const chunk = await reader.next();
+            if (!isLoopCurrent() || !isChannelUsable()) continue;
+
+            if (!chunk) {
+                // All bytes are out - the receiver answers file-end with a file-ack once it has checked the hash
+                const fileEnd = await sealControlMessage(peer.session, {
                     type: 'file-end',
-                    fileName: file.name
+                    transferId: transfer.id,
+                    fileName: transferFile.name,
+                    path: transfer.path,
+                    sha256: transfer.sha256 || (transfer.sha256 = transfer.hasher.digest())
                 });
-                dataChannelRef.current.send(endMessage);
-                console.log('✅ File transfer completed');
-                setSenderStatus('✅ File sent successfully!');
-                
-                setTimeout(() => {
-                    setTransferProgress(0);
-                    setSenderStatus('Ready to send another file');
-                }, 3000);
+                if (!isLoopCurrent() || !isChannelUsable()) continue;
+                channel.send(JSON.stringify(fileEnd));
+                transfer.activeLoop = null;
+                updateProgress();
+                console.log(`📤 Sent ${transfer.path} in ${chunkCount} chunks, waiting for verification`);
+                setTransferStatus(peer, `🔍 Waiting for receiver to verify: ${transfer.path}`);
                 return;
             }
 
-            const chunk = file.slice(offset, offset + CHUNK_SIZE);
-            fileReader.readAsArrayBuffer(chunk);
-        };
+            // Chunks before hashedBytes were already hashed on an earlier pass (retransmit or resume)
+            if (chunk.offset === transfer.hashedBytes) {
+                transfer.hasher.update(chunk.payload);
+                transfer.hashedBytes += chunk.payload.byteLength;
+            }
 
-        fileReader.onload = (event) => {
-            try {
-                if (dataChannelRef.current && dataChannelRef.current.readyState === 'open') {
-                    dataChannelRef.current.send(event.target.result);
-                    chunkCount++;
-                    offset += event.target.result.byteLength;
-                    
-                    const progress = Math.min((offset / file.size) * 100, 100);
-                    setTransferProgress(Math.round(progress));
-                    
-                    console.log(`📤 Sent chunk ${chunkCount}, ${offset}/${file.size} bytes (${Math.round(progress)}%)`);
-                    
-                    // Continue reading next chunk with adaptive delay
-                    const delay = dataChannelRef.current.bufferedAmount > 64 * 1024 ? 50 : 10;
-                    setTimeout(readChunk, delay);
-                } else {
-                    console.error('❌ Data channel not ready during transfer');
-                    setSenderStatus('❌ Connection lost during transfer');
-                }
-            } catch (error) {
-                console.error('❌ Error sending chunk:', error);
-                setSenderStatus('❌ Error sending file');
+            lane.send(chunk.frame);
+            chunkCount++;
+            offset = chunk.offset + chunk.payload.byteLength;
+            peer.sendMeter.record(sentBefore + Math.round(offset * scale), totalSize);
+
+            const now = Date.now();
+            if (now - lastProgressUpdate >= PROGRESS_INTERVAL) {
+                lastProgressUpdate = now;
+                updateProgress();
             }
-        };
+        }
+    };
+
+    sendChunks()
+        .catch((error) => {
+            console.error('❌ Error sending chunk:', error);
+            setTransferStatus(peer, '❌ Error sending file');
+        })
+        .finally(() => reader.cancel());
+  };
+
+  // Parallel channels: a few extra data channels on the same connection, so more
+  // frames can be in flight than one channel's send buffer holds. Relayed peers have one.
+  const openTransferLanes = (peer) => {
+    if (!peer.pc || peer.channel?.relayed || peer.lanes.length > 0) return;
+    console.log('📡 Opening', TRANSFER_LANES - 1, 'extra transfer channels for', peer.id);
+    for (let i = 1; i < TRANSFER_LANES; i++) {
+        setupLaneEvents(peer, peer.pc.createDataChannel(TRANSFER_LANE_LABEL, { ordered: true }));
+    }
+  };
+
+  // The receiver has checked the whole-file hash: move on, or send the file again
+  const handleFileAck = async (peer, channel, { transferId, status }) => {
+    const transfer = peer.transfer;
+    if (!transfer || transfer.id !== transferId) return;
+
+    const { index, queue } = transfer;
+
+    if (status === 'retry') {
+        console.warn(`⚠️ Receiver rejected ${transfer.path} (hash mismatch), sending it again`);
+        startQueuedFile(peer, channel, transfer, index);
+        return;
+    }
+
+    if (status === 'failed') {
+        console.error(`❌ Receiver gave up on ${transfer.path} after repeated hash mismatches`);
+        transfer.failed.push(transfer.path);
+    } else {
+        console.log(`✅ ${transfer.path} verified by receiver`);
+    }
+
+    if (index + 1 < queue.length) {
+        startQueuedFile(peer, channel, transfer, index + 1);
+        return;
+    }
+
+    await sendSealed(peer, channel, { type: 'batch-end', batchId: transfer.batchId });
+    peer.transfer = null;
+    console.log('✅ File transfer completed');
+    if (transfer.failed.length > 0) {
+        transfer.outcome.failedReceivers++;
+        setTransferStatus(peer, `❌ ${transfer.failed.length} of ${queue.length} files failed verification: ${transfer.failed.join(', ')}`);
+    } else {
+        setTransferStatus(peer, queue.length === 1 ? '✅ File received' : `✅ All ${queue.length} files received`);
+    }
+
+    reportBatchOutcome(transfer);
+  };
+
+  // Once every receiver a batch was offered to has declined or finished, sum it up
+  const reportBatchOutcome = (batch) => {
+    const isPending = [...peersRef.current.values()].some((peer) => (
+        peer.transfer?.batchId === batch.batchId || peer.offeredBatch?.batchId === batch.batchId
+    ));
+    if (isPending) return;
+
+    const { queue } = batch;
+    const { receiverCount, failedReceivers, declinedReceivers } = batch.outcome;
+    if (declinedReceivers === receiverCount) {
+        setSenderStatus(receiverCount === 1 ? '🚫 The files were declined' : `🚫 All ${receiverCount} receivers declined the files`);
+        return;
+    }
+    if (failedReceivers > 0) {
+        setSenderStatus(receiverCount === 1
+            ? `❌ ${batch.failed.length} of ${queue.length} files failed verification: ${batch.failed.join(', ')}`
+            : `❌ Some files failed verification for ${failedReceivers} of ${receiverCount} receivers`);
+        return;
+    }
+    setFileProgress(Object.fromEntries(queue.map((entry, i) => [i, 100])));
+    setSendProgress(100);
+    if (receiverCount > 1) {
+        setSenderStatus(declinedReceivers > 0
+            ? `✅ Sent to ${receiverCount - declinedReceivers} of ${receiverCount} receivers (${declinedReceivers} declined)`
+            : `✅ Sent to all ${receiverCount} receivers!`);
+    } else {
+        setSenderStatus(queue.length === 1 ? '✅ File sent successfully!' : `✅ All ${queue.length} files sent successfully!`);
+    }
+
+    setTimeout(() => {
+        setSendProgress(0);
+        setSenderStatus('Ready to send again');
+    }, 3000);
+  };
+
+  // The receiver answered the manifest: stream the batch, or leave this receiver out
+  const answerOfferedBatch = (peer, channel, { type, batchId, reason }) => {
+    const batch = peer.offeredBatch;
+    if (!batch || batch.batchId !== batchId) return;
+    peer.offeredBatch = null;
+
+    if (type === 'batch-accept') {
+        console.log('✅ Receiver accepted batch', batchId);
+        startQueuedFile(peer, channel, batch, 0);
+        return;
+    }
+
+    console.log('🚫 Receiver declined batch', batchId);
+    batch.outcome.declinedReceivers++;
+    setTransferStatus(peer, reason === 'busy'
+        ? '⏳ Busy receiving other files - try again in a moment'
+        : '🚫 Declined the files');
+    reportBatchOutcome(batch);
+  };
+
+  // A chunk arrived damaged - rewind to it and stream again from there
+  const retransmitFrom = (peer, channel, { transferId, offset }) => {
+    const transfer = peer.transfer;
+    if (!transfer || transfer.id !== transferId || offset < 0 || offset > transfer.hashedBytes) return;
+
+    console.warn(`🔁 Retransmitting ${transfer.path} from byte ${offset}`);
+    channel.send(JSON.stringify({ type: 'file-resume', transferId, offset }));
+    sendFileChunks(peer, channel, transfer, offset);
+  };
 
-        fileReader.onerror = (error) => {
-            console.error('❌ FileReader error:', error);
-            setSenderStatus('❌ Error reading file');
+  // The bytes that go over the wire for a queued file: gzipped when it looks
+  // compressible and actually shrinks. Every receiver of a batch shares one copy.
+  const getTransferBody = (batch, index) => {
+    if (!batch.bodies.has(index)) {
+        const { file: queuedFile, path } = batch.queue[index];
+        const prepare = async () => {
+            const encoding = batch.compress ? await chooseEncoding(queuedFile, path) : null;
+            if (!encoding) return { body: queuedFile, encoding: null };
+            const body = await compressBlob(queuedFile, encoding);
+            if (body.size >= queuedFile.size) return { body: queuedFile, encoding: null };
+            console.log(`🗜️ Compressed ${path}: ${queuedFile.size} -> ${body.size} bytes (${encoding})`);
+            return { body, encoding };
         };
+        batch.bodies.set(index, prepare().catch((error) => {
+            console.warn('⚠️ Could not compress', path, '- sending it as it is:', error);
+            return { body: queuedFile, encoding: null };
+        }));
+    }
+    return batch.bodies.get(index);
+  };
+
+  // Announce the queued file at `index` and start streaming it from byte 0
+  const startQueuedFile = async (peer, channel, batch, index) => {
+    const { file: queuedFile, path } = batch.queue[index];
+    const sentBefore = batch.queue.slice(0, index).reduce((sum, entry) => sum + entry.file.size, 0);
+    const transfer = {
+        ...batch,
+        id: createTransferId(),
+        index,
+        file: queuedFile,
+        path,
+        sentBefore,
+        body: queuedFile,
+        encoding: null,
+        hasher: createSha256(),
+        hashedBytes: 0,
+        filePercent: 0,
+        percent: Math.round((sentBefore / batch.totalSize) * 100)
+    };
+    peer.transfer = transfer;
+
+    if (batch.compress) {
+        setTransferStatus(peer, `🗜️ Compressing: ${path}`);
+        Object.assign(transfer, await getTransferBody(batch, index));
+    }
+
+    // The connection may have dropped, or the transfer moved on, in the meantime
+    const isCurrent = () => peer.transfer === transfer && channel === peer.channel && channel.readyState === 'open' && peer.session;
+    if (!isCurrent()) return;
+    const fileStart = await sealControlMessage(peer.session, {
+        type: 'file-start',
+        transferId: transfer.id,
+        batchId: batch.batchId,
+        index,
+        fileName: queuedFile.name,
+        path,
+        fileSize: queuedFile.size,
+        encoding: transfer.encoding,
+        transferSize: transfer.body.size,
+        hashAlgorithm: 'SHA-256'
+    });
+    if (!isCurrent()) return;
+    channel.send(JSON.stringify(fileStart));
+    console.log(`📤 Sending file ${index + 1}/${batch.queue.length}:`, path);
+    setTransferStatus(peer, batch.queue.length === 1
+        ? `📤 Sending: ${path}`
+        : `📤 Sending (${index + 1}/${batch.queue.length}): ${path}`);
+    refreshSendProgress();
+
+    sendFileChunks(peer, channel, transfer, 0);
+  };
+
+  // Continue an interrupted batch from the file and offset the receiver reports.
+  // A receiver that dropped out and joined again picks up the batch it left behind.
+  const resumeTransfer = (peer, channel, { batchId, index, offset }) => {
+    let transfer = peer.transfer;
+    if (!transfer || transfer.batchId !== batchId) {
+        transfer = interruptedTransfersRef.current.get(batchId);
+        interruptedTransfersRef.current.delete(batchId);
+    }
+
+    if (!transfer || index < 0 || index >= transfer.queue.length) {
+        console.warn('⚠️ Cannot resume unknown transfer:', batchId);
+        channel.send(JSON.stringify({ type: 'resume-reject', batchId }));
+        return;
+    }
+    peer.transfer = transfer;
+
+    if (index !== transfer.index || offset <= 0 || offset > transfer.body.size) {
+        // The receiver never got this file's start - send it again from scratch
+        startQueuedFile(peer, channel, transfer, index);
+        return;
+    }
+
+    console.log(`🔄 Resuming ${transfer.path} from byte ${offset}`);
+    setTransferStatus(peer, `📤 Resuming: ${transfer.path}`);
+    channel.send(JSON.stringify({ type: 'file-resume', transferId: transfer.id, offset }));
+    sendFileChunks(peer, channel, transfer, offset);
+  };
+
+  // Send the selected files to every connected receiver that isn't busy with an earlier batch
+  const sendFile = async () => {
+    const peers = getOpenPeers().filter((peer) => !isPeerBusy(peer));
+    if (files.length === 0 || peers.length === 0) {
+        console.error('❌ Cannot send file - connection not ready');
+        console.log('Files:', files.length, 'Idle receivers:', peers.length);
+        setSenderStatus('❌ Connection not ready');
+        return;
+    }
 
-        readChunk();
+    const totalSize = files.reduce((sum, entry) => sum + entry.file.size, 0);
+    console.log('📤 Starting transfer of', files.length, 'files,', totalSize, 'bytes to', peers.length, 'receivers');
+    setSendProgress(0);
+    setFileProgress({});
+    setSenderStatus('📦 Preparing the file list...');
+
+    let manifest;
+    try {
+        manifest = await createManifest(files);
     } catch (error) {
-        console.error('❌ Error starting file transfer:', error);
-        setSenderStatus('❌ Error starting transfer');
+        console.error('❌ Error building the manifest:', error);
+        manifest = files.map(({ file: queuedFile, path }) => ({ path, size: queuedFile.size, type: queuedFile.type || '' }));
     }
+
+    const batch = {
+        batchId: createTransferId(),
+        queue: files,
+        totalSize: totalSize || 1,
+        compress: compressTransfers,
+        bodies: new Map(), // queue index -> Promise<{ body, encoding }> (see getTransferBody)
+        outcome: { receiverCount: peers.length, failedReceivers: 0, declinedReceivers: 0 }
+    };
+    setSenderStatus(peers.length === 1
+        ? '⏳ Waiting for the other side to accept...'
+        : `⏳ Waiting for ${peers.length} receivers to accept...`);
+
+    await Promise.all(peers.map(async (peer) => {
+        try {
+            if (parallelChannels) openTransferLanes(peer);
+            // Send the manifest; the files follow once the receiver accepts (see answerOfferedBatch)
+            peer.offeredBatch = { ...batch, failed: [] };
+            const batchStart = await sealControlMessage(peer.session, {
+                type: 'batch-start',
+                batchId: batch.batchId,
+                totalSize,
+                files: manifest
+            });
+            peer.channel.send(JSON.stringify(batchStart));
+            console.log('📤 Sent batch manifest to', peer.id);
+            setTransferStatus(peer, '⏳ Waiting for them to accept...');
+        } catch (error) {
+            peer.offeredBatch = null;
+            console.error('❌ Error starting file transfer:', error);
+            setTransferStatus(peer, '❌ Error starting transfer');
+        }
+    }));
   };
 
-  const handleFileSelect = (selectedFile) => {
-    if (selectedFile) {
-      console.log('📁 File selected:', selectedFile.name, selectedFile.size, 'bytes');
-      setFile(selectedFile);
-      setSenderStatus('Creating room...');
-      
-      // Clean any existing connection
-      cleanupConnection();
-      retryConnectionRef.current = 0; // Reset retry counter
-      
-      socketRef.current.emit('create-room');
+  // The sender accepted a receiver: build its peer connection and send the offer
+  const connectToReceiver = async (peer) => {
+    setPeerStatus(peer, '🤝 Setting up P2P...');
+    
+    // Set timeout for P2P connection establishment
+    setPeerTimeout(peer, () => {
+      console.error('❌ P2P connection timeout');
+      handleConnectionFailure(peer);
+    }, 30000);
+    
+    try {
+      const pc = createPeerConnection(peer, await getIceConfig());
+    
+      // Create data channel for sender with improved configuration
+      console.log('📡 Creating data channel for sender...');
+      const dataChannel = pc.createDataChannel('file-transfer', {
+        ordered: true, // Reliable, ordered delivery (no maxRetransmits/maxPacketLifeTime)
+        protocol: 'file-transfer-v1'
+      });
+    
+      peer.channel = dataChannel;
+      setupDataChannelEvents(peer, dataChannel, true);
+    
+      // Wait for ICE gathering to complete or timeout
+      console.log('🧊 Waiting for ICE gathering...');
+      const gatheringPromise = new Promise((resolve) => {
+        if (pc.iceGatheringState === 'complete') {
+          resolve();
+          return;
+        }
+    
+        const timeout = setTimeout(() => {
+          console.log('⏰ ICE gathering timeout, proceeding anyway');
+          resolve();
+        }, 5000);
+    
+        pc.addEventListener('icegatheringstatechange', () => {
+          if (pc.iceGatheringState === 'complete') {
+            clearTimeout(timeout);
+            resolve();
+          }
+        });
+      });
+    
+      console.log('📤 Creating offer...');
+      const offer = await pc.createOffer({
+        offerToReceiveAudio: false,
+        offerToReceiveVideo: false,
+        iceRestart: peer.retries > 0 // Force ICE restart on retries
+      });
+    
+      console.log('📤 Setting local description...');
+      await pc.setLocalDescription(offer);
+    
+      // Wait for ICE gathering with timeout
+      await gatheringPromise;
+    
+      console.log('📤 Sending offer with', pc.localDescription.sdp.split('\n').filter(line => line.includes('a=candidate')).length, 'ICE candidates');
+      socketRef.current.emit('offer', { sdp: pc.localDescription, target: peer.id });
+    
+    } catch (error) {
+      console.error('❌ Error connecting to receiver:', error);
+      removePeer(peer.id);
+      updateRecipient(peer.id, { status: '❌ Error setting up connection' });
+    }
+  };
+
+  const handleAcceptReceiver = (receiverId) => {
+    const receiver = pendingReceivers.find(({ id }) => id === receiverId);
+    if (!receiver) return;
+    console.log('✅ Accepting receiver:', receiver.id);
+    setPendingReceivers((prev) => prev.filter(({ id }) => id !== receiver.id));
+    setRecipients((prev) => [...prev, { id: receiver.id, phrase: receiver.phrase, status: '', progress: 0, transport: null }]);
+    const peer = createPeer(receiver.id, receiver.fingerprint);
+    peersRef.current.set(receiver.id, peer);
+    setSenderStatus('🤝 Receiver connected! Setting up P2P...');
+    socketRef.current.emit('accept-receiver', { receiverId: receiver.id });
+    connectToReceiver(peer);
+  };
+
+  const handleRejectReceiver = (receiverId) => {
+    console.log('🚫 Rejecting receiver:', receiverId);
+    socketRef.current.emit('reject-receiver', { receiverId });
+    setPendingReceivers((prev) => prev.filter(({ id }) => id !== receiverId));
+    if (peersRef.current.size === 0) {
+      setSenderStatus('Waiting for receiver to join...');
     }
   };
 
-  const handleJoinRoom = (roomCode) => {
-    if (roomCode.length === 4) {
+  // A fresh room for whatever the sender shares: the selected files, or only snippets
+  const startRoom = (selectedFiles) => {
+    setFiles(selectedFiles);
+    setFileProgress({});
+    setSenderStatus('Creating room...');
+    interruptedTransfersRef.current.clear();
+    
+    // Clean any existing connection
+    cleanupConnection();
+    abortReceiveSink();
+    incomingBatchRef.current = null;
+    setReceivedFiles([]);
+    setSnippets([]);
+    
+    createRoom();
+  };
+
+  const handleFileSelect = (selectedFiles) => {
+    if (selectedFiles && selectedFiles.length > 0) {
+      const totalSize = selectedFiles.reduce((sum, entry) => sum + entry.file.size, 0);
+      console.log('📁 Files selected:', selectedFiles.length, totalSize, 'bytes');
+      startRoom(selectedFiles);
+    }
+  };
+
+  const handleShareText = () => {
+    console.log('📝 Creating a room for snippets');
+    startRoom([]);
+  };
+
+  // Snippets go to everyone connected, even mid-transfer; they are small enough
+  // to slip in between the chunk frames
+  const sendSnippet = async (text, language) => {
+    const peers = getOpenPeers();
+    if (peers.length === 0 || new TextEncoder().encode(text).length > MAX_SNIPPET_BYTES) return false;
+    let delivered = 0;
+    await Promise.all(peers.map(async (peer) => {
+      try {
+        const message = await sealControlMessage(peer.session, { type: 'snippet', text, language });
+        peer.channel.send(JSON.stringify(message));
+        delivered++;
+      } catch (error) {
+        console.error('❌ Could not send snippet to', peer.id, error);
+      }
+    }));
+    if (delivered === 0) return false;
+    console.log('📝 Snippet sent to', delivered, 'peers');
+    setSnippets((previous) => [...previous, { id: createTransferId(), text, language, sent: true }]);
+    return true;
+  };
+
+  // A connected receiver queues files to send back over the same connection
+  const handleQueueFiles = (selectedFiles) => {
+    if (selectedFiles && selectedFiles.length > 0) {
+      console.log('📁 Files queued to send back:', selectedFiles.length);
+      setFiles(selectedFiles);
+      setFileProgress({});
+      setSendProgress(0);
+      setSenderStatus(`${selectedFiles.length === 1 ? '1 file' : `${selectedFiles.length} files`} ready to send`);
+    }
+  };
+
+  // Let the receiver write incoming files (and folder trees) straight into a local folder
+  const handlePickSaveDirectory = async () => {
+    try {
+      const directoryHandle = await pickSaveDirectory();
+      saveDirectoryRef.current = directoryHandle;
+      setSaveDirectoryName(directoryHandle.name);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('❌ Error choosing a save folder:', error);
+        setOverlay({ title: 'Folder Unavailable', message: 'Could not get access to that folder. Files will be downloaded instead.' });
+      }
+    }
+  };
+
+  const handleJoinRoom = async (input) => {
+    const parsed = parseJoinCode(input);
+    if (parsed) {
+      const { roomCode, joinCode } = parsed;
       console.log('🚪 Attempting to join room:', roomCode);
       currentRoomCode.current = roomCode;
+      joinCodeRef.current = joinCode;
       setReceiverStatus('⏳ Joining room...');
       
       // Clean any existing connection
       cleanupConnection();
       isSenderRef.current = false;
-      retryConnectionRef.current = 0; // Reset retry counter
+      abortReceiveSink();
+      fileInfoRef.current = { id: null, name: '', size: 0, receivedBytes: 0, complete: false };
+      incomingBatchRef.current = null;
+      setReceivedFiles([]);
+      setVerificationPhrase('');
+      setSnippets([]);
+      // Anything queued now is sent back to the sender
+      setFiles([]);
+      setFileProgress({});
+      setSendProgress(0);
+      setSenderStatus('Select files to send back');
+      
+      let commitment;
+      try {
+        certificateRef.current = await createDtlsCertificate();
+        commitment = await commitToFingerprint(getCertificateFingerprint(certificateRef.current));
+      } catch (error) {
+        console.error('❌ Could not create a DTLS certificate:', error);
+        setReceiverStatus('❌ This browser could not set up a secure connection');
+        return;
+      }
       
       // Set timeout for joining room
       setConnectionTimeout(() => {
         setReceiverStatus('❌ Failed to join room');
       }, 10000);
       
-      socketRef.current.emit('join-room', roomCode);
+      socketRef.current.emit('join-room', roomCode, { commitment });
     } else {
-      setOverlay({ title: 'Invalid Code', message: 'Please enter a valid 4-digit code.' });
+      setOverlay({ title: 'Invalid Code', message: 'Please enter the whole code exactly as the sender shared it, e.g. tiger-lamp-42-1234.' });
     }
   };
 
   const renderContent = () => {
-    switch (mode) {
-      case 'realtime':
+    switch (route.page) {
+      case 'send':
+      case 'receive':
         return (
           <RealtimeSharing 
+            role={route.page === 'send' ? 'sender' : 'receiver'}
+            onRoleChange={(role) => navigate(role === 'sender' ? '/send' : '/receive')}
+            joinCode={route.params.roomCode}
             onFileSelect={handleFileSelect} 
+            onQueueFiles={handleQueueFiles}
             onJoinRoom={handleJoinRoom} 
-            file={file} 
+            files={files}
+            fileProgress={fileProgress}
+            receivedFiles={receivedFiles}
+            saveDirectoryName={saveDirectoryName}
+            onPickSaveDirectory={canPickSaveDirectory() ? handlePickSaveDirectory : null}
             sharingCode={sharingCode} 
             senderStatus={senderStatus} 
             receiverStatus={receiverStatus} 
             transferProgress={transferProgress}
+            sendProgress={sendProgress}
             onSendFile={sendFile}
-            canSendFile={dataChannelRef.current && dataChannelRef.current.readyState === 'open' && isConnectedRef.current}
+            transport={transport}
+            pendingReceivers={pendingReceivers}
+            recipients={recipients}
+            verificationPhrase={verificationPhrase}
+            onAcceptReceiver={handleAcceptReceiver}
+            onRejectReceiver={handleRejectReceiver}
+            incomingOffer={incomingOffer}
+            onAcceptOffer={handleAcceptOffer}
+            onDeclineOffer={handleDeclineOffer}
+            onSaveReceivedFile={handleSaveReceivedFile}
+            onSaveAllReceived={handleSaveAllReceived}
+            snippets={snippets}
+            onSendSnippet={sendSnippet}
+            onShareText={handleShareText}
+            canSendSnippet={getOpenPeers().length > 0}
+            diagnostics={diagnostics}
+            turnTest={turnTest}
+            parallelChannels={parallelChannels}
+            onParallelChannelsChange={setParallelChannels}
+            compressTransfers={compressTransfers}
+            onCompressTransfersChange={setCompressTransfers}
+            canCompress={canCompress()}
+            canSendFile={getOpenPeers().some((peer) => !isPeerBusy(peer))}
           />
         );
       case 'upload':
         return <UploadSharing />;
+      case 'decrypt':
+        return <DecryptDownload />;
+      case 'download':
+        return <DownloadPage fileId={route.params.fileId} />;
       default:
-        return <ModeSelector setMode={setMode} />;
+        return <ModeSelector onNavigate={navigate} />;
     }
   };
 
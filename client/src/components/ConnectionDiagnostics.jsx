@@ -0,0 +1,80 @@
+import React from 'react';
+import { formatBytes, formatDuration, formatRate } from '../utils/format';
+
+const HIGH_RTT = 0.3; // seconds
+const FULL_BUFFER = 1024 * 1024; // bytes queued in the data channel
+
+// Candidate pair types in plain words
+const describeRoute = ({ transport, localCandidateType, remoteCandidateType }) => {
+  if (transport === 'relay') return 'Relayed through the CodeDrop server';
+  if (!localCandidateType || !remoteCandidateType) return 'Connecting...';
+  const types = [localCandidateType, remoteCandidateType];
+  const pair = `${localCandidateType} ↔ ${remoteCandidateType}`;
+  if (types.includes('relay')) return `Via a TURN relay (${pair})`;
+  if (types.includes('srflx') || types.includes('prflx')) return `Direct, through NAT (${pair})`;
+  return `Direct, same network (${pair})`;
+};
+
+// The likely reasons a transfer to or from this peer is slow
+const getSlowReasons = (peer) => {
+  const reasons = [];
+  if (peer.transport === 'relay') reasons.push('Every byte passes through the server, so its bandwidth is the limit.');
+  else if (peer.localCandidateType === 'relay' || peer.remoteCandidateType === 'relay') reasons.push('A TURN relay adds a hop and shares its bandwidth with other users.');
+  if (peer.rtt > HIGH_RTT) reasons.push('High latency: each acknowledgement takes a long time to come back.');
+  if (peer.bufferedAmount > FULL_BUFFER) reasons.push('The send buffer is full: the network, not this device, is the bottleneck.');
+  return reasons;
+};
+
+// Live numbers behind a transfer, folded away until someone wants them
+function ConnectionDiagnostics({ diagnostics, turnTest, getPeerLabel }) {
+  const { peers, receive } = diagnostics;
+  const active = receive || peers.map((peer) => peer.send).find(Boolean);
+
+  const renderRates = (label, rates) => (
+    <>
+      <dt>{label}</dt>
+      <dd>
+        {formatRate(rates.current)} now, {formatRate(rates.average)} average
+        {' · '}{rates.secondsLeft === null ? 'stalled' : `${formatDuration(rates.secondsLeft)} left`}
+      </dd>
+    </>
+  );
+
+  const renderTurnTest = () => {
+    if (turnTest.status === 'testing') return 'Checking...';
+    if (turnTest.status === 'error') return '⚠️ Could not be checked';
+    if (turnTest.candidateTypes.includes('TURN/relay')) return '✅ Available as a fallback';
+    return '⚠️ Unavailable - connections between strict firewalls may fail';
+  };
+
+  return (
+    <details className="diagnostics">
+      <summary>
+        Connection details
+        {active && ` · ${formatRate(active.current)}${active.secondsLeft !== null ? `, ${formatDuration(active.secondsLeft)} left` : ''}`}
+      </summary>
+      {receive && <dl className="diagnostics-list">{renderRates('Receiving', receive)}</dl>}
+      {peers.map((peer, index) => (
+        <div key={peer.id} className="diagnostics-peer">
+          <h4>{getPeerLabel(peer.id, index)}</h4>
+          <dl className="diagnostics-list">
+            <dt>Route</dt>
+            <dd>{describeRoute(peer)}</dd>
+            <dt>Round trip</dt>
+            <dd>{typeof peer.rtt === 'number' ? `${Math.round(peer.rtt * 1000)} ms` : '-'}</dd>
+            <dt>Buffered</dt>
+            <dd>{typeof peer.bufferedAmount === 'number' ? formatBytes(peer.bufferedAmount) : '-'}</dd>
+            {peer.send && renderRates('Sending', peer.send)}
+          </dl>
+          {getSlowReasons(peer).map((reason) => <p key={reason} className="diagnostics-hint">{reason}</p>)}
+        </div>
+      ))}
+      <dl className="diagnostics-list">
+        <dt>TURN relay</dt>
+        <dd>{renderTurnTest()}</dd>
+      </dl>
+    </details>
+  );
+}
+
+export default ConnectionDiagnostics;
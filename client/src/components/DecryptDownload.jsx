@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { DownloadIcon } from './Icons.jsx';
+import { decryptStream, parseKeyFragment } from '../utils/fileCrypto';
+import { canStreamDownloads, createDownloadStreamSink, createMemorySink } from '../utils/fileSink';
+
+function DecryptDownload() {
+  const params = new URLSearchParams(window.location.search);
+  const source = params.get('src');
+  const { needsPassphrase, rawKey } = parseKeyFragment(window.location.hash);
+
+  const [passphrase, setPassphrase] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [status, setStatus] = useState('');
+
+  const downloadBlob = (blob, name) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDecrypt = async () => {
+    setIsWorking(true);
+    setProgress(0);
+    setStatus('Downloading encrypted file...');
+
+    let sink = null;
+    try {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(response.status === 404 || response.status === 410 ? 'This file has expired or been removed.' : `Server responded with ${response.status}.`);
+      }
+
+      let metadata = null;
+      let written = 0;
+      for await (const item of decryptStream(response.body, { rawKey, passphrase })) {
+        if (item.type === 'metadata') {
+          metadata = item.metadata;
+          setStatus(`🔓 Decrypting ${metadata.name}...`);
+          sink = canStreamDownloads()
+            ? await createDownloadStreamSink(metadata.name, metadata.size)
+            : createMemorySink();
+          continue;
+        }
+        await sink.write(item.data);
+        written += item.data.byteLength;
+        setProgress(metadata.size ? Math.round((written / metadata.size) * 100) : 100);
+      }
+
+      const blob = await sink.close();
+      if (blob) {
+        downloadBlob(new Blob([blob], { type: metadata.type }), metadata.name);
+      }
+      setProgress(100);
+      setStatus(`✅ ${metadata.name} decrypted and downloaded`);
+    } catch (error) {
+      console.error('❌ Decryption failed:', error);
+      if (sink) await sink.abort();
+      setStatus(`❌ ${error.message}`);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  if (!source || (!needsPassphrase && !rawKey)) {
+    return (
+      <div className="sharing-container">
+        <div className="file-info-container">
+          <h2>Invalid Link</h2>
+          <p className="status-text">This link is incomplete. Ask the sender to copy the whole link, including everything after "#".</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="sharing-container">
+      <div className="file-info-container">
+        <div className="mode-card-icon"><DownloadIcon /></div>
+        <h2>🔒 Encrypted File</h2>
+        <p className="status-text">This file is decrypted in your browser. The server never sees its contents.</p>
+
+        {needsPassphrase && (
+          <input
+            type="password"
+            className="passphrase-input"
+            placeholder="Enter passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            onKeyUp={(e) => {
+              if (e.key === 'Enter' && passphrase && !isWorking) handleDecrypt();
+            }}
+            disabled={isWorking}
+          />
+        )}
+
+        {(isWorking || progress > 0) && (
+          <progress className="transfer-progress" value={progress} max="100"></progress>
+        )}
+        {status && <p className="status-text">{status}</p>}
+
+        <button
+          className="button-primary"
+          style={{ marginTop: '1rem' }}
+          onClick={handleDecrypt}
+          disabled={isWorking || (needsPassphrase && !passphrase)}
+        >
+          {isWorking ? 'Decrypting...' : 'Download & Decrypt'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DecryptDownload;
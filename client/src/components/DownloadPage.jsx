@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { DownloadIcon } from './Icons.jsx';
+import { formatBytes, formatTimeLeft } from '../utils/format';
+import SnippetView from './SnippetView.jsx';
+
+const API_URL = 'http://localhost:3001';
+const TEXT_PREVIEW_BYTES = 64 * 1024;
+
+// Landing page for a shared upload link (/d/<id>): what the file is, how long
+// the link stays valid, an inline preview where the server allows one, and the
+// actual download.
+function DownloadPage({ fileId }) {
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState('');
+  const [textPreview, setTextPreview] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_URL}/api/files/${encodeURIComponent(fileId)}`)
+      .then(async (response) => {
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(body.error || `Server responded with ${response.status}`);
+        }
+        return body;
+      })
+      .then((info) => {
+        if (!cancelled) setFile(info);
+      })
+      .catch((err) => {
+        console.error('❌ Could not load file details:', err);
+        if (!cancelled) {
+          setFile(null);
+          setError(err.message);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fileId, refreshCount]);
+
+  const previewUrl = file?.previewType === 'text' ? file.previewUrl : null;
+  useEffect(() => {
+    if (!previewUrl) return;
+    let cancelled = false;
+    fetch(previewUrl, { headers: { Range: `bytes=0-${TEXT_PREVIEW_BYTES - 1}` } })
+      .then((response) => (response.ok ? response.text() : null))
+      .then((text) => {
+        if (!cancelled) setTextPreview(text);
+      })
+      .catch(() => {
+        if (!cancelled) setTextPreview(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [previewUrl]);
+
+  // Keep the "time left" line current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // The server counts the download; reload the details so the remaining count
+  // (or the expired state, for a burned link) shows up
+  const handleDownload = () => {
+    setTimeout(() => setRefreshCount((count) => count + 1), 1500);
+  };
+
+  const renderPreview = () => {
+    switch (file.previewType) {
+      case 'image':
+        return <img className="file-preview-media" src={file.previewUrl} alt={file.name} />;
+      case 'video':
+        return <video className="file-preview-media" src={file.previewUrl} controls preload="metadata" />;
+      case 'audio':
+        return <audio className="file-preview-audio" src={file.previewUrl} controls preload="metadata" />;
+      case 'pdf':
+        return <iframe className="file-preview-frame" src={file.previewUrl} title={file.name} />;
+      case 'text':
+        if (textPreview === null) return null;
+        return (
+          <>
+            {file.language
+              ? <SnippetView text={textPreview} language={file.language} />
+              : <pre className="file-preview-text">{textPreview}</pre>}
+            {file.size > TEXT_PREVIEW_BYTES && (
+              <p className="status-text">Showing the first {formatBytes(TEXT_PREVIEW_BYTES)}.</p>
+            )}
+          </>
+        );
+      default:
+        return null;
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="sharing-container">
+        <div className="file-info-container">
+          <h2>Link Unavailable</h2>
+          <p className="status-text">{error}. Ask the sender to upload the file again.</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!file) {
+    return (
+      <div className="sharing-container">
+        <div className="file-info-container">
+          <p className="status-text">Loading file details...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="sharing-container">
+      <div className="file-info-container">
+        <div className="mode-card-icon"><DownloadIcon /></div>
+        <h2>{file.name}</h2>
+        <dl className="file-details">
+          <dt>Size</dt>
+          <dd>{formatBytes(file.size)}</dd>
+          <dt>Type</dt>
+          <dd>{file.mimeType}</dd>
+          <dt>Expires in</dt>
+          <dd>{formatTimeLeft(file.expiresAt - now)}</dd>
+          {file.remainingDownloads !== null && (
+            <>
+              <dt>Downloads left</dt>
+              <dd>{file.remainingDownloads}</dd>
+            </>
+          )}
+        </dl>
+
+        {file.previewType && <div className="file-preview">{renderPreview()}</div>}
+        {file.remainingDownloads !== null && (
+          <p className="status-text">🔥 This link stops working after its last download, so there is no preview.</p>
+        )}
+
+        <a className="button-primary download-button" href={file.downloadUrl} onClick={handleDownload}>
+          Download
+        </a>
+      </div>
+    </div>
+  );
+}
+
+export default DownloadPage;
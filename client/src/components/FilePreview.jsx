@@ -0,0 +1,46 @@
+import React, { useEffect, useState } from 'react';
+import { getPreviewKind, createPreviewBlob, MAX_TEXT_PREVIEW } from '../utils/preview';
+
+// Shows a received file in the page before it is saved
+function FilePreview({ entry, onSave, onClose }) {
+  const kind = getPreviewKind(entry.type, entry.path);
+  const [url, setUrl] = useState(null);
+  const [text, setText] = useState(null);
+
+  useEffect(() => {
+    if (kind === 'text') {
+      let cancelled = false;
+      entry.blob.slice(0, MAX_TEXT_PREVIEW).text().then((content) => {
+        if (!cancelled) setText(entry.blob.size > MAX_TEXT_PREVIEW ? `${content}\n…` : content);
+      });
+      return () => { cancelled = true; };
+    }
+    const objectUrl = URL.createObjectURL(createPreviewBlob(entry.blob, entry.type, entry.path));
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [entry, kind]);
+
+  const renderBody = () => {
+    if (kind === 'text') return <pre className="file-preview-text">{text ?? 'Loading…'}</pre>;
+    if (!url) return null;
+    if (kind === 'image') return <img className="file-preview-media" src={url} alt={entry.path} />;
+    if (kind === 'video') return <video className="file-preview-media" src={url} controls />;
+    if (kind === 'audio') return <audio src={url} controls />;
+    return null;
+  };
+
+  return (
+    <div className="overlay-backdrop" onClick={onClose}>
+      <div className="overlay-content file-preview" onClick={(e) => e.stopPropagation()}>
+        <h2 className="overlay-title" title={entry.path}>{entry.path}</h2>
+        <div className="file-preview-body">{renderBody()}</div>
+        <div className="approval-actions">
+          <button className="button-primary" onClick={onSave}>Save</button>
+          <button className="approval-reject" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FilePreview;
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import { CopyIcon } from './Icons.jsx';
+import { formatBytes, formatTimeLeft } from '../utils/format';
+import {
+  extendUpload,
+  fetchUploadStatus,
+  loadMyUploads,
+  removeMyUpload,
+  revokeUpload,
+  updateMyUpload
+} from '../utils/myUploads';
+
+// Uploads made from this browser, refreshed from the server on mount so the
+// download counts are current. Revoke/extend use the saved manage token.
+function MyUploads() {
+  const [uploads, setUploads] = useState(loadMyUploads);
+  const [extendChoice, setExtendChoice] = useState({}); // upload id -> expiry option
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadMyUploads().filter((upload) => !upload.gone).forEach((upload) => {
+      fetchUploadStatus(upload)
+        .then((status) => updateMyUpload(upload.id, {
+          downloads: status.downloads,
+          expiresAt: status.expiresAt,
+          gone: status.expired
+        }))
+        .catch((error) => (error.status === 404 ? updateMyUpload(upload.id, { gone: true }) : null))
+        .then((updated) => {
+          if (updated && !cancelled) setUploads(updated);
+        });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const runAction = async (upload, action) => {
+    setBusyId(upload.id);
+    setMessage('');
+    try {
+      await action();
+    } catch (error) {
+      console.error('❌ Upload management failed:', error);
+      if (error.status === 404 || error.status === 410) {
+        setUploads(updateMyUpload(upload.id, { gone: true }));
+      }
+      setMessage(`❌ ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevoke = (upload) => {
+    if (!window.confirm(`Delete "${upload.name}" now? The link will stop working immediately.`)) return;
+    runAction(upload, async () => {
+      await revokeUpload(upload);
+      setUploads(updateMyUpload(upload.id, { gone: true }));
+      setMessage(`🗑️ "${upload.name}" was deleted.`);
+    });
+  };
+
+  const handleExtend = (upload) => runAction(upload, async () => {
+    const status = await extendUpload(upload, extendChoice[upload.id] || '24h');
+    setUploads(updateMyUpload(upload.id, { expiresAt: status.expiresAt, downloads: status.downloads }));
+    setMessage(`⏳ "${upload.name}" now expires in ${formatTimeLeft(status.expiresAt - Date.now())}.`);
+  });
+
+  const handleCopy = (upload) => {
+    navigator.clipboard.writeText(upload.link);
+    setCopiedId(upload.id);
+    setTimeout(() => setCopiedId(null), 2000);
+  };
+
+  if (uploads.length === 0) return null;
+
+  return (
+    <div className="my-uploads">
+      <h3>My Uploads</h3>
+      {message && <p className="status-text">{message}</p>}
+      <ul className="my-uploads-list">
+        {uploads.map((upload) => {
+          const downloads = upload.downloads || 0;
+          return (
+            <li key={upload.id} className={`my-upload${upload.gone ? ' gone' : ''}`}>
+              <div className="my-upload-info">
+                <span className="my-upload-name">{upload.encrypted ? '🔒 ' : ''}{upload.name}</span>
+                <span className="my-upload-meta">
+                  {formatBytes(upload.size)} · {downloads} download{downloads === 1 ? '' : 's'}
+                  {upload.maxDownloads ? ` of ${upload.maxDownloads}` : ''} ·{' '}
+                  {upload.gone ? 'expired' : `expires in ${formatTimeLeft(upload.expiresAt - Date.now())}`}
+                </span>
+              </div>
+              <div className="my-upload-actions">
+                {upload.gone ? (
+                  <button onClick={() => setUploads(removeMyUpload(upload.id))}>
+                    Remove
+                  </button>
+                ) : (
+                  <>
+                    <button className="icon-button" onClick={() => handleCopy(upload)} aria-label="Copy link">
+                      <CopyIcon />
+                    </button>
+                    {copiedId === upload.id && <span className="copied-feedback">Copied!</span>}
+                    <select
+                      value={extendChoice[upload.id] || '24h'}
+                      onChange={(e) => setExtendChoice((prev) => ({ ...prev, [upload.id]: e.target.value }))}
+                      disabled={busyId === upload.id}
+                    >
+                      <option value="1h">+1 hour</option>
+                      <option value="24h">+24 hours</option>
+                      <option value="7d">+7 days</option>
+                    </select>
+                    <button onClick={() => handleExtend(upload)} disabled={busyId === upload.id}>
+                      Extend
+                    </button>
+                    <button className="danger" onClick={() => handleRevoke(upload)} disabled={busyId === upload.id}>
+                      Revoke
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default MyUploads;
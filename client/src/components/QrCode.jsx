@@ -0,0 +1,33 @@
+import React, { useMemo } from 'react';
+import { createQrMatrix } from '../utils/qrCode';
+
+const QUIET_ZONE = 4; // Light border scanners need around the code, in modules
+
+// Rendered locally as SVG; always dark on light, whatever the theme, so phones can scan it
+function QrCode({ value, size = 180 }) {
+  const { path, dimension } = useMemo(() => {
+    const matrix = createQrMatrix(value);
+    let d = '';
+    matrix.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) d += `M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`;
+    }));
+    return { path: d, dimension: matrix.length + QUIET_ZONE * 2 };
+  }, [value]);
+
+  return (
+    <svg
+      className="qr-code"
+      width={size}
+      height={size}
+      viewBox={`0 0 ${dimension} ${dimension}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={`QR code for ${value}`}
+    >
+      <rect width={dimension} height={dimension} fill="#fff" />
+      <path d={path} fill="#000" />
+    </svg>
+  );
+}
+
+export default QrCode;
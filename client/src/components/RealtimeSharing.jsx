@@ -1,27 +1,111 @@
 import React, { useState } from 'react';
 import { CopyIcon } from './Icons.jsx';
+import QrCode from './QrCode.jsx';
+import FilePreview from './FilePreview.jsx';
+import SnippetComposer from './SnippetComposer.jsx';
+import SnippetView from './SnippetView.jsx';
+import ConnectionDiagnostics from './ConnectionDiagnostics.jsx';
+import { getDroppedFiles, getSelectedFiles } from '../utils/fileEntries';
+import { parseJoinCode } from '../utils/roomCode';
+import { getJoinLink } from '../utils/routes';
+import { getPreviewKind } from '../utils/preview';
 
 function RealtimeSharing(props) {
   const { 
+    role,
+    onRoleChange,
+    joinCode,
     onFileSelect, 
     onJoinRoom, 
-    file, 
+    files,
+    fileProgress,
+    receivedFiles,
+    saveDirectoryName,
+    onPickSaveDirectory,
     sharingCode, 
     senderStatus, 
     receiverStatus, 
     transferProgress,
+    sendProgress,
     onSendFile,
-    canSendFile 
+    onQueueFiles,
+    canSendFile,
+    transport,
+    pendingReceivers,
+    recipients,
+    verificationPhrase,
+    onAcceptReceiver,
+    onRejectReceiver,
+    incomingOffer,
+    onAcceptOffer,
+    onDeclineOffer,
+    onSaveReceivedFile,
+    onSaveAllReceived,
+    snippets,
+    onSendSnippet,
+    onShareText,
+    canSendSnippet,
+    diagnostics,
+    turnTest,
+    parallelChannels,
+    onParallelChannelsChange,
+    compressTransfers,
+    onCompressTransfersChange,
+    canCompress
   } = props;
   
-  const [role, setRole] = useState('sender');
-  const [codeInput, setCodeInput] = useState('');
-  const [showCopied, setShowCopied] = useState(false);
+  const [codeInput, setCodeInput] = useState(joinCode || '');
+  const [copied, setCopied] = useState(null); // 'code' | 'link' just copied
+  const [previewIndex, setPreviewIndex] = useState(null); // received file open in the preview
+  const [sharingText, setSharingText] = useState(false); // sender opened a room without files
+  const isCodeValid = parseJoinCode(codeInput) !== null;
 
-  const handleDrop = (e) => { 
+  // Relayed transfers pass through (and are limited by) the server, so say so
+  const renderRelayNotice = (relayed) => relayed && (
+    <p className="relay-notice">
+      🔁 Relayed through the CodeDrop server - a direct connection wasn't possible, so this may be slower.
+    </p>
+  );
+
+  // Both screens show the same phrase only if nobody swapped the connection keys
+  const renderVerificationPhrase = () => verificationPhrase && (
+    <p className="verification-line">
+      🔐 Verification phrase: <strong className="verification-phrase">{verificationPhrase}</strong>
+    </p>
+  );
+
+  const renderApprovalPrompt = (receiver) => (
+    <div className="approval-prompt" key={receiver.id}>
+      <p>Someone entered your code. Ask them to read out the phrase on their screen:</p>
+      <p className="verification-phrase">{receiver.phrase}</p>
+      <p className="status-text">Only accept if it matches exactly.</p>
+      <div className="approval-actions">
+        <button className="button-primary" onClick={() => onAcceptReceiver(receiver.id)}>Accept</button>
+        <button className="approval-reject" onClick={() => onRejectReceiver(receiver.id)}>Reject</button>
+      </div>
+    </div>
+  );
+
+  // Everyone the sender accepted, each with its own phrase, status and progress
+  const renderRecipients = () => recipients.length > 0 && (
+    <ul className="recipient-list">
+      {recipients.map((recipient, index) => (
+        <li key={recipient.id} className="recipient">
+          <div className="recipient-header">
+            <span className="recipient-name">Receiver {index + 1}{recipient.transport === 'relay' && ' (relayed)'}</span>
+            <span className="verification-phrase">{recipient.phrase}</span>
+          </div>
+          <progress className="file-queue-progress" value={recipient.progress} max="100"></progress>
+          <span className="recipient-status">{recipient.status}</span>
+        </li>
+      ))}
+    </ul>
+  );
+
+  const handleDrop = async (e) => { 
     e.preventDefault(); 
     e.stopPropagation(); 
-    onFileSelect(e.dataTransfer.files[0]); 
+    onFileSelect(await getDroppedFiles(e.dataTransfer)); 
   };
   
   const handleDragOver = (e) => { 
@@ -29,13 +113,15 @@ function RealtimeSharing(props) {
     e.stopPropagation(); 
   };
   
-  const handleFileChange = (e) => onFileSelect(e.target.files[0]);
+  const handleFileChange = (e) => onFileSelect(getSelectedFiles(e.target.files));
+
+  const joinLink = sharingCode ? getJoinLink(sharingCode) : '';
 
-  const copyCodeToClipboard = () => {
-    if (!sharingCode) return;
-    navigator.clipboard.writeText(sharingCode);
-    setShowCopied(true);
-    setTimeout(() => setShowCopied(false), 2000);
+  const copyToClipboard = (text, what) => {
+    if (!text) return;
+    navigator.clipboard.writeText(text);
+    setCopied(what);
+    setTimeout(() => setCopied(null), 2000);
   };
 
   const formatBytes = (bytes = 0) => {
@@ -46,34 +132,205 @@ function RealtimeSharing(props) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
+  const renderFileList = (entries, getProgress, renderActions) => (
+    <ul className="file-queue">
+      {entries.map((entry, index) => (
+        <li key={entry.path} className={`file-queue-item${entry.failed ? ' failed' : ''}`}>
+          <span className="file-queue-name" title={entry.path}>{entry.path}</span>
+          <span className="file-queue-size">{formatBytes(entry.size)}</span>
+          <progress className="file-queue-progress" value={getProgress(entry, index)} max="100"></progress>
+          {renderActions && renderActions(entry, index)}
+        </li>
+      ))}
+    </ul>
+  );
+
+  // Received files stay in the page until saved, so they can be looked at first
+  const renderReceivedActions = (entry, index) => entry.blob && (
+    <div className="file-queue-actions">
+      {getPreviewKind(entry.type, entry.path) && <button onClick={() => setPreviewIndex(index)}>Preview</button>}
+      <button onClick={() => onSaveReceivedFile(index)}>{entry.saved ? 'Saved ✓' : 'Save'}</button>
+    </div>
+  );
+
+  // The other side's manifest: nothing is transferred until it is accepted
+  const renderOffer = () => {
+    const offerSize = incomingOffer.files.reduce((sum, entry) => sum + entry.size, 0);
+    return (
+      <div className="approval-prompt">
+        <p>
+          {incomingOffer.from} wants to send you {incomingOffer.files.length === 1 ? 'a file' : `${incomingOffer.files.length} files`} ({formatBytes(offerSize)}):
+        </p>
+        <ul className="offer-list">
+          {incomingOffer.files.map((entry) => (
+            <li key={entry.path} className="offer-item">
+              {entry.thumbnail
+                ? <img className="offer-thumbnail" src={entry.thumbnail} alt="" />
+                : <span className="offer-thumbnail offer-thumbnail-empty">{(entry.path.split('.').pop() || '').slice(0, 4)}</span>}
+              <span className="file-queue-name" title={entry.path}>{entry.path}</span>
+              <span className="file-queue-size">{formatBytes(entry.size)}</span>
+            </li>
+          ))}
+        </ul>
+        <div className="approval-actions">
+          <button className="button-primary" onClick={onAcceptOffer}>Accept</button>
+          <button className="approval-reject" onClick={onDeclineOffer}>Decline</button>
+        </div>
+      </div>
+    );
+  };
+
+  const heldCount = receivedFiles.filter((entry) => entry.blob).length;
+
+  const renderProgressBar = (progress) => (
+    <div style={{ marginTop: '16px' }}>
+      <progress 
+        className="transfer-progress" 
+        value={progress} 
+        max="100"
+        style={{ width: '100%', height: '20px' }}
+      ></progress>
+      <p style={{ textAlign: 'center', margin: '8px 0' }}>{progress}%</p>
+    </div>
+  );
+
+  // Offers and received files, which either side of the room can get
+  const renderIncoming = () => (
+    <>
+      {incomingOffer && renderOffer()}
+      {receivedFiles.length > 0 && renderFileList(receivedFiles, (entry) => entry.progress, renderReceivedActions)}
+      {heldCount > 1 && (
+        <button className="button-primary save-all-button" onClick={onSaveAllReceived}>
+          Save all {heldCount} files (.zip)
+        </button>
+      )}
+      {transferProgress > 0 && renderProgressBar(transferProgress)}
+    </>
+  );
+
+  const renderPreview = () => previewIndex !== null && receivedFiles[previewIndex]?.blob && (
+    <FilePreview
+      entry={receivedFiles[previewIndex]}
+      onSave={() => onSaveReceivedFile(previewIndex)}
+      onClose={() => setPreviewIndex(null)}
+    />
+  );
+
+  // Text and code either side can paste; it shows up on the other screen right away
+  const renderSnippets = () => (canSendSnippet || snippets.length > 0) && (
+    <div className="snippets">
+      <h3>Text & code</h3>
+      {snippets.map((snippet) => (
+        <SnippetView key={snippet.id} text={snippet.text} language={snippet.language} label={snippet.sent ? 'You sent' : 'Received'} />
+      ))}
+      <SnippetComposer onSubmit={onSendSnippet} submitLabel="Send snippet" disabled={!canSendSnippet} />
+    </div>
+  );
+
+  const handleShareText = () => {
+    setSharingText(true);
+    onShareText();
+  };
+
+  // Once connected, the receiver can send files back over the same connection
+  const renderSendBack = () => (canSendFile || files.length > 0) && (
+    <div className="send-back">
+      <h3>Send files back</h3>
+      <label className="send-back-picker">
+        {files.length > 0 ? 'Choose different files' : 'Choose files'}
+        <input type="file" multiple onChange={(e) => onQueueFiles(getSelectedFiles(e.target.files))} style={{ display: 'none' }} />
+      </label>
+      {files.length > 0 && (
+        <>
+          {renderFileList(
+            files.map(({ file, path }) => ({ path, size: file.size })),
+            (entry, index) => fileProgress[index] || 0
+          )}
+          {canSendFile && (
+            <button className="button-primary" onClick={onSendFile}>
+              📤 {files.length === 1 ? 'Send File' : `Send ${files.length} Files`}
+            </button>
+          )}
+          {sendProgress > 0 && sendProgress < 100 && renderProgressBar(sendProgress)}
+          <p className="status-text">{senderStatus}</p>
+        </>
+      )}
+    </div>
+  );
+
+  const totalSize = files.reduce((sum, entry) => sum + entry.file.size, 0);
+
   if (role === 'sender') {
     return (
       <div className="sharing-container">
-        {!file ? (
-          <label htmlFor="file-input" className="dropzone" onDrop={handleDrop} onDragOver={handleDragOver}>
-            <h2>Send a File</h2>
-            <p><strong>Drag & Drop File Here</strong></p>
-            <p className="dropzone-subtext">or Click to Select</p>
-            <input type="file" id="file-input" onChange={handleFileChange} style={{ display: 'none' }} />
-          </label>
+        {files.length === 0 && !sharingText ? (
+          <>
+            <label htmlFor="file-input" className="dropzone" onDrop={handleDrop} onDragOver={handleDragOver}>
+              <h2>Send Files</h2>
+              <p><strong>Drag & Drop Files or Folders Here</strong></p>
+              <p className="dropzone-subtext">or Click to Select</p>
+              <input type="file" id="file-input" multiple onChange={handleFileChange} style={{ display: 'none' }} />
+              <label htmlFor="folder-input" className="dropzone-folder-link" onClick={(e) => e.stopPropagation()}>
+                Select a folder instead
+                <input type="file" id="folder-input" webkitdirectory="" onChange={handleFileChange} style={{ display: 'none' }} />
+              </label>
+            </label>
+            <p className="role-switcher">
+              Only text or code? 
+              <button onClick={handleShareText}>Share a snippet</button>
+            </p>
+          </>
         ) : (
           <div className="file-info-container">
             <h2>Your Sharing Code</h2>
-            <p className="file-name">{file.name} ({formatBytes(file.size)})</p>
+            {files.length === 0 && <p className="file-name">Text & code snippets</p>}
+            {files.length === 1 && <p className="file-name">{files[0].path} ({formatBytes(files[0].file.size)})</p>}
+            {files.length > 1 && (
+              <>
+                <p className="file-name">{files.length} files ({formatBytes(totalSize)})</p>
+                {renderFileList(
+                  files.map(({ file, path }) => ({ path, size: file.size })),
+                  (entry, index) => fileProgress[index] || 0
+                )}
+              </>
+            )}
             <div className="sharing-code-wrapper">
-              <strong className="sharing-code" onClick={copyCodeToClipboard}>
+              <strong className="sharing-code" onClick={() => copyToClipboard(sharingCode, 'code')}>
                 {sharingCode || '----'}<CopyIcon />
               </strong>
-              {showCopied && <span className="copied-feedback">Copied!</span>}
-            </div>
-            
-            {/* Debug info - remove this later */}
-            <div style={{fontSize: '12px', color: '#666', marginTop: '8px'}}>
-              Debug: canSendFile={String(canSendFile)}, status: "{senderStatus}"
+              {copied === 'code' && <span className="copied-feedback">Copied!</span>}
             </div>
+
+            {joinLink && (
+              <div className="join-link">
+                <QrCode value={joinLink} />
+                <p className="join-link-hint">Scan, or send this link - it opens straight into the room:</p>
+                <div className="join-link-row">
+                  <a href={joinLink} target="_blank" rel="noopener noreferrer">{joinLink}</a>
+                  <button className="icon-button" aria-label="Copy link" onClick={() => copyToClipboard(joinLink, 'link')}><CopyIcon /></button>
+                </div>
+                {copied === 'link' && <span className="copied-feedback">Link copied!</span>}
+              </div>
+            )}
+
+            {pendingReceivers.map(renderApprovalPrompt)}
+            {renderRecipients()}
             
+            {files.length > 0 && (
+              <label className="encryption-toggle parallel-toggle">
+                <input type="checkbox" checked={parallelChannels} onChange={(e) => onParallelChannelsChange(e.target.checked)} />
+                ⚡ Parallel channels (can be faster on fast networks)
+              </label>
+            )}
+            {files.length > 0 && canCompress && (
+              <label className="encryption-toggle compress-toggle">
+                <input type="checkbox" checked={compressTransfers} onChange={(e) => onCompressTransfersChange(e.target.checked)} />
+                🗜️ Compress text, logs and other compressible files
+              </label>
+            )}
+
             {/* Show Send File Button when ready - Updated condition */}
-            {canSendFile && (senderStatus.includes('Click to send') || senderStatus.includes('Connection established')) && (
+            {canSendFile && files.length > 0 && (senderStatus.includes('Click to send') || senderStatus.includes('Connection established')) && (
               <button 
                 className="send-file-button" 
                 onClick={onSendFile}
@@ -88,22 +345,12 @@ function RealtimeSharing(props) {
                   marginTop: '16px'
                 }}
               >
-                📤 Send File
+                📤 {files.length === 1 ? 'Send File' : `Send ${files.length} Files`}
               </button>
             )}
             
             {/* Show progress bar during transfer */}
-            {transferProgress > 0 && transferProgress < 100 && (
-              <div style={{ marginTop: '16px' }}>
-                <progress 
-                  className="transfer-progress" 
-                  value={transferProgress} 
-                  max="100"
-                  style={{ width: '100%', height: '20px' }}
-                ></progress>
-                <p style={{ textAlign: 'center', margin: '8px 0' }}>{transferProgress}%</p>
-              </div>
-            )}
+            {sendProgress > 0 && sendProgress < 100 && renderProgressBar(sendProgress)}
             
             <p className="status-text" style={{ 
               marginTop: '16px', 
@@ -117,11 +364,26 @@ function RealtimeSharing(props) {
             }}>
               {senderStatus}
             </p>
+            {renderRelayNotice(recipients.some((recipient) => recipient.transport === 'relay'))}
+            <ConnectionDiagnostics
+              diagnostics={diagnostics}
+              turnTest={turnTest}
+              getPeerLabel={(id) => `Receiver ${recipients.findIndex((recipient) => recipient.id === id) + 1}`}
+            />
+            {renderSnippets()}
+
+            {(incomingOffer || receivedFiles.length > 0) && (
+              <div className="receiver-status">
+                {renderIncoming()}
+                <p className="status-text">{receiverStatus}</p>
+              </div>
+            )}
+            {renderPreview()}
           </div>
         )}
         <p className="role-switcher">
           Not the sender? 
-          <button onClick={() => setRole('receiver')}>Receive a file</button>
+          <button onClick={() => onRoleChange('receiver')}>Receive a file</button>
         </p>
       </div>
     );
@@ -131,17 +393,21 @@ function RealtimeSharing(props) {
     <div className="sharing-container">
       <div className="receiver-container">
         <h2>Receive a File</h2>
-        <p>Enter the 4-digit code from the sender.</p>
+        <p>Enter the room code from the sender.</p>
         <div className="receiver-input-group">
           <input 
             type="text" 
             className="code-input" 
-            placeholder="1234" 
-            maxLength="4" 
+            placeholder="tiger-lamp-42-1234" 
+            maxLength="100" 
+            autoCapitalize="none"
+            autoComplete="off"
+            autoCorrect="off"
+            spellCheck="false"
             value={codeInput} 
-            onChange={(e) => setCodeInput(e.target.value.trim())} 
+            onChange={(e) => setCodeInput(e.target.value)} 
             onKeyUp={(e) => {
-              if (e.key === 'Enter' && codeInput.length === 4) {
+              if (e.key === 'Enter' && isCodeValid) {
                 onJoinRoom(codeInput);
               }
             }}
@@ -149,24 +415,19 @@ function RealtimeSharing(props) {
           <button 
             className="button-primary" 
             onClick={() => onJoinRoom(codeInput)}
-            disabled={codeInput.length !== 4}
+            disabled={!isCodeValid}
           >
             Connect
           </button>
         </div>
+        {onPickSaveDirectory && (
+          <p className="save-location">
+            {saveDirectoryName ? `Saving to: ${saveDirectoryName}` : 'Large files? Save straight to disk.'}
+            <button onClick={onPickSaveDirectory}>{saveDirectoryName ? 'Change folder' : 'Choose folder'}</button>
+          </p>
+        )}
         <div className="receiver-status">
-          {/* Show progress bar during transfer */}
-          {transferProgress > 0 && (
-            <div style={{ marginTop: '16px' }}>
-              <progress 
-                className="transfer-progress" 
-                value={transferProgress} 
-                max="100"
-                style={{ width: '100%', height: '20px' }}
-              ></progress>
-              <p style={{ textAlign: 'center', margin: '8px 0' }}>{transferProgress}%</p>
-            </div>
-          )}
+          {renderIncoming()}
           <p className="status-text" style={{ 
             marginTop: '16px', 
             padding: '8px', 
@@ -179,11 +440,17 @@ function RealtimeSharing(props) {
           }}>
             {receiverStatus}
           </p>
+          {renderVerificationPhrase()}
+          {renderRelayNotice(transport === 'relay')}
+          <ConnectionDiagnostics diagnostics={diagnostics} turnTest={turnTest} getPeerLabel={() => 'Sender'} />
         </div>
+        {renderSnippets()}
+        {renderSendBack()}
+        {renderPreview()}
       </div>
       <p className="role-switcher">
         Not receiving? 
-        <button onClick={() => setRole('sender')}>Send a file</button>
+        <button onClick={() => onRoleChange('sender')}>Send a file</button>
       </p>
     </div>
   );
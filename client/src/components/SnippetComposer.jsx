@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { LANGUAGES, MAX_SNIPPET_BYTES } from '../utils/snippet';
+
+// Textarea plus language picker; hands the snippet to onSubmit and clears itself
+function SnippetComposer({ onSubmit, submitLabel, disabled, maxBytes = MAX_SNIPPET_BYTES }) {
+  const [text, setText] = useState('');
+  const [language, setLanguage] = useState('plain');
+  const size = new TextEncoder().encode(text).length;
+  const tooLong = maxBytes !== null && size > maxBytes;
+
+  const handleSubmit = async () => {
+    if (await onSubmit(text, language) !== false) setText('');
+  };
+
+  return (
+    <div className="snippet-composer">
+      <textarea
+        className="snippet-input"
+        placeholder="Paste text or code..."
+        spellCheck="false"
+        rows="8"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+      <div className="snippet-composer-actions">
+        <select value={language} onChange={(e) => setLanguage(e.target.value)} aria-label="Language">
+          {LANGUAGES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <button className="button-primary" onClick={handleSubmit} disabled={disabled || !text.trim() || tooLong}>
+          {submitLabel}
+        </button>
+      </div>
+      {tooLong && <p className="status-text">Too long to send as a snippet - send it as a file instead.</p>}
+    </div>
+  );
+}
+
+export default SnippetComposer;
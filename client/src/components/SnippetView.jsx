@@ -0,0 +1,32 @@
+import React, { useMemo, useState } from 'react';
+import { CopyIcon } from './Icons.jsx';
+import { getLanguage, highlight } from '../utils/snippet';
+
+// A highlighted text or code snippet with a copy button
+function SnippetView({ text, language, label }) {
+  const [copied, setCopied] = useState(false);
+  const tokens = useMemo(() => highlight(text, language), [text, language]);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(text);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="snippet">
+      <div className="snippet-header">
+        <span>{label ? `${label} · ` : ''}{getLanguage(language).label}</span>
+        {copied && <span className="copied-feedback">Copied!</span>}
+        <button className="icon-button" aria-label="Copy snippet" onClick={handleCopy}><CopyIcon /></button>
+      </div>
+      <pre className="snippet-code"><code>
+        {tokens.map((token, index) => (
+          token.type ? <span key={index} className={`token-${token.type}`}>{token.text}</span> : token.text
+        ))}
+      </code></pre>
+    </div>
+  );
+}
+
+export default SnippetView;
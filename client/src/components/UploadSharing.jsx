@@ -1,5 +1,26 @@
 import React, { useState } from 'react';
 import { CopyIcon } from './Icons.jsx';
+import { encryptFile } from '../utils/fileCrypto';
+import { canCompress, chooseEncoding, compressBlob } from '../utils/compression';
+import { getUploadFingerprint, uploadResumable } from '../utils/resumableUpload';
+import { addMyUpload } from '../utils/myUploads';
+import MyUploads from './MyUploads.jsx';
+import SnippetComposer from './SnippetComposer.jsx';
+import { getLanguage } from '../utils/snippet';
+
+const EXPIRY_LABELS = {
+  '1h': '1 hour',
+  '24h': '24 hours',
+  '7d': '7 days'
+};
+
+// "Expires in 24 hours" / "Deleted after 1 download or in 7 days"
+const describeRetention = (expiry, maxDownloads) => {
+  const lifetime = EXPIRY_LABELS[expiry];
+  if (!maxDownloads) return `Expires in ${lifetime}.`;
+  const downloads = maxDownloads === 1 ? '1 download' : `${maxDownloads} downloads`;
+  return `Deleted after ${downloads} or in ${lifetime}, whichever comes first.`;
+};
 
 function UploadSharing() {
   const [file, setFile] = useState(null);
@@ -8,21 +29,42 @@ function UploadSharing() {
   const [uploadStatus, setUploadStatus] = useState('');
   const [shareableLink, setShareableLink] = useState('');
   const [showCopied, setShowCopied] = useState(false);
+  const [encrypt, setEncrypt] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [expiry, setExpiry] = useState('24h');
+  const [burnAfterDownloads, setBurnAfterDownloads] = useState(false);
+  const [maxDownloads, setMaxDownloads] = useState(1);
+  const [myUploadsVersion, setMyUploadsVersion] = useState(0); // Remounts the list after an upload
+  const [composingSnippet, setComposingSnippet] = useState(false);
+  const [snippetLanguage, setSnippetLanguage] = useState(null); // set when the file is a pasted snippet
+  const [compress, setCompress] = useState(canCompress); // gzip compressible plain uploads before they leave
 
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile) {
       setFile(selectedFile);
+      setSnippetLanguage(null);
       setShareableLink('');
     }
   };
 
+  // A pasted snippet is uploaded as a text file; the language travels along so
+  // the landing page can highlight it
+  const handleSnippet = (text, language) => {
+    const name = `snippet.${getLanguage(language).extension}`;
+    setFile(new File([text], name, { type: 'text/plain' }));
+    setSnippetLanguage(language);
+    setComposingSnippet(false);
+    setShareableLink('');
+  };
+
   const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
     const droppedFile = e.dataTransfer.files[0];
     if (droppedFile) {
       setFile(droppedFile);
+      setSnippetLanguage(null);
       setShareableLink('');
     }
   };
@@ -32,50 +74,117 @@ function UploadSharing() {
     e.stopPropagation();
   };
 
-  // This function now performs a real upload
-  const handleUpload = () => {
+  // Seal the file in the browser so only ciphertext reaches the server.
+  // The share link points at the decrypt page; the key (if any) lives in the
+  // URL fragment, which browsers never send to a server.
+  const handleUpload = async () => {
     if (!file) return;
 
-    const formData = new FormData();
-    formData.append('file', file);
+    let body = file;
+    let bodyName = file.name;
+    let keyFragment = null;
+    let encoding = null;
 
-    const xhr = new XMLHttpRequest();
-
-    // Listen for progress events
-    xhr.upload.onprogress = (event) => {
-      if (event.lengthComputable) {
-        const percentComplete = Math.round((event.loaded / event.total) * 100);
-        setUploadProgress(percentComplete);
-        setUploadStatus(`Uploading...`);
+    if (encrypt) {
+      try {
+        setIsUploading(true);
+        setUploadProgress(0);
+        setUploadStatus('🔒 Encrypting...');
+        // Only the key is made here; each piece is sealed as the upload sends it
+        const sealed = await encryptFile(file, { passphrase });
+        body = sealed.blob;
+        bodyName = 'encrypted.cdrop';
+        keyFragment = sealed.keyFragment;
+      } catch (error) {
+        console.error('Encryption failed:', error);
+        setUploadStatus('❌ Could not encrypt the file in this browser.');
+        setIsUploading(false);
+        return;
       }
-    };
-
-    // Handle completion
-    xhr.onload = () => {
-      if (xhr.status === 200) {
-        const response = JSON.parse(xhr.responseText);
-        setShareableLink(response.link);
-        setUploadStatus('✅ Upload Complete!');
-      } else {
-        setUploadStatus('❌ Upload Failed. Please try again.');
-        console.error('Upload failed:', xhr.statusText);
+    } else if (compress) {
+      // The server keeps the compressed bytes and hands them back with Content-Encoding
+      try {
+        encoding = await chooseEncoding(file);
+        if (encoding) {
+          setIsUploading(true);
+          setUploadStatus('🗜️ Compressing...');
+          const compressed = await compressBlob(file, encoding);
+          if (compressed.size < file.size) body = compressed;
+          else encoding = null;
+        }
+      } catch (error) {
+        console.error('Compression failed, uploading as is:', error);
+        body = file;
+        encoding = null;
       }
-      setIsUploading(false);
-    };
+    }
 
-    // Handle errors
-    xhr.onerror = () => {
-      setUploadStatus('❌ Network Error. Please check your connection.');
-      setIsUploading(false);
-      console.error('Network error during upload.');
-    };
+    // Plain uploads remember their tus URL so re-selecting the same file after a
+    // reload resumes it; encrypted ones can't, as every encryption is unique.
+    const downloadLimit = burnAfterDownloads ? maxDownloads : null;
+    const metadata = { expiry };
+    if (downloadLimit) metadata.maxdownloads = String(downloadLimit);
+    if (snippetLanguage && !keyFragment) metadata.language = snippetLanguage;
+    if (encoding) {
+      metadata.encoding = encoding;
+      metadata.originalsize = String(file.size);
+    }
+    // A compressed copy isn't guaranteed to come out byte for byte the same next time
+    const fingerprint = keyFragment || encoding ? null : `${getUploadFingerprint(file)}:${expiry}:${downloadLimit || ''}`;
 
-    // Start the upload
-    xhr.open('POST', 'http://localhost:3001/api/upload');
     setIsUploading(true);
     setUploadProgress(0);
     setUploadStatus('Starting upload...');
-    xhr.send(formData);
+
+    try {
+      const { id, link, manageToken, expiresAt } = await uploadResumable({
+        endpoint: 'http://localhost:3001/api/uploads',
+        file: body,
+        name: bodyName,
+        type: encoding ? file.type : body.type,
+        metadata,
+        fingerprint,
+        onProgress: (sent, total) => {
+          setUploadProgress(total ? Math.round((sent / total) * 100) : 100);
+        },
+        onStatus: setUploadStatus
+      });
+
+      const retentionNote = describeRetention(expiry, downloadLimit);
+      // Recipients land on a page describing the file rather than the raw download
+      let shareLink = `${window.location.origin}/d/${id}`;
+      if (keyFragment) {
+        shareLink = `${window.location.origin}/decrypt?src=${encodeURIComponent(link)}#${keyFragment}`;
+        setShareableLink(shareLink);
+        setUploadStatus(passphrase
+          ? `✅ Encrypted upload complete! Share the passphrase separately. ${retentionNote}`
+          : `✅ Encrypted upload complete! Anyone with this exact link can decrypt it. ${retentionNote}`);
+      } else {
+        setShareableLink(shareLink);
+        setUploadStatus(`✅ Upload Complete! ${retentionNote}`);
+      }
+
+      addMyUpload({
+        id,
+        name: file.name,
+        size: file.size,
+        link: shareLink,
+        manageToken,
+        expiresAt,
+        maxDownloads: downloadLimit,
+        downloads: 0,
+        encrypted: Boolean(keyFragment),
+        created: Date.now()
+      });
+      setMyUploadsVersion((version) => version + 1);
+    } catch (error) {
+      console.error('Upload failed:', error);
+      setUploadStatus(error.fatal
+        ? `❌ ${error.message}`
+        : '❌ Network Error. Please check your connection and try again to resume.');
+    } finally {
+      setIsUploading(false);
+    }
   };
   
   const copyLinkToClipboard = () => {
@@ -95,19 +204,37 @@ function UploadSharing() {
 
   return (
     <div className="sharing-container">
-      {!file && (
-        <label htmlFor="upload-input" className="dropzone" onDrop={handleDrop} onDragOver={handleDragOver}>
-          <h2>24-Hour Upload</h2>
-          <p><strong>Drag & Drop Your File</strong></p>
-          <p className="dropzone-subtext">or Click to Select</p>
-          <input id="upload-input" type="file" onChange={handleFileChange} style={{ display: 'none' }} />
-        </label>
+      {!file && !composingSnippet && (
+        <>
+          <label htmlFor="upload-input" className="dropzone" onDrop={handleDrop} onDragOver={handleDragOver}>
+            <h2>24-Hour Upload</h2>
+            <p><strong>Drag & Drop Your File</strong></p>
+            <p className="dropzone-subtext">or Click to Select</p>
+            <input id="upload-input" type="file" onChange={handleFileChange} style={{ display: 'none' }} />
+          </label>
+          <p className="role-switcher">
+            Only text or code? 
+            <button onClick={() => setComposingSnippet(true)}>Paste a snippet</button>
+          </p>
+        </>
+      )}
+
+      {!file && composingSnippet && (
+        <div className="file-info-container">
+          <h2>Paste a Snippet</h2>
+          <SnippetComposer onSubmit={handleSnippet} submitLabel="Continue" maxBytes={null} />
+          <p className="role-switcher">
+            <button onClick={() => setComposingSnippet(false)}>Upload a file instead</button>
+          </p>
+        </div>
       )}
 
       {file && (
         <div className="file-info-container">
-          <h2>File Ready for Upload</h2>
-          <p className="file-name">{file.name} ({formatBytes(file.size)})</p>
+          <h2>{snippetLanguage ? 'Snippet Ready for Upload' : 'File Ready for Upload'}</h2>
+          <p className="file-name">
+            {snippetLanguage ? `${getLanguage(snippetLanguage).label} snippet` : file.name} ({formatBytes(file.size)})
+          </p>
           
           {(isUploading || shareableLink) && (
             <>
@@ -128,6 +255,61 @@ function UploadSharing() {
             </>
           )}
           
+          {!isUploading && !shareableLink && (
+            <div className="retention-options">
+              <label>
+                Link expires after{' '}
+                <select value={expiry} onChange={(e) => setExpiry(e.target.value)}>
+                  {Object.entries(EXPIRY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="encryption-toggle">
+                <input
+                  type="checkbox"
+                  checked={burnAfterDownloads}
+                  onChange={(e) => setBurnAfterDownloads(e.target.checked)}
+                />
+                🔥 Burn after
+                <input
+                  type="number"
+                  className="download-limit-input"
+                  min="1"
+                  max="1000"
+                  value={maxDownloads}
+                  disabled={!burnAfterDownloads}
+                  onChange={(e) => setMaxDownloads(Math.max(1, Math.min(1000, Number(e.target.value) || 1)))}
+                />
+                {maxDownloads === 1 ? 'download' : 'downloads'}
+              </label>
+            </div>
+          )}
+
+          {!isUploading && !shareableLink && (
+            <div className="encryption-options">
+              <label className="encryption-toggle">
+                <input type="checkbox" checked={encrypt} onChange={(e) => setEncrypt(e.target.checked)} />
+                🔒 Encrypt in my browser (end-to-end)
+              </label>
+              {encrypt && (
+                <input
+                  type="password"
+                  className="passphrase-input"
+                  placeholder="Optional passphrase (otherwise the key is in the link)"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                />
+              )}
+              {!encrypt && canCompress() && (
+                <label className="encryption-toggle">
+                  <input type="checkbox" checked={compress} onChange={(e) => setCompress(e.target.checked)} />
+                  🗜️ Compress text, logs and other compressible files
+                </label>
+              )}
+            </div>
+          )}
+
           {!isUploading && !shareableLink && (
             <button className="button-primary" style={{ marginTop: '1rem' }} onClick={handleUpload}>
               Upload
@@ -135,6 +317,8 @@ function UploadSharing() {
           )}
         </div>
       )}
+
+      <MyUploads key={myUploadsVersion} />
     </div>
   );
 }
@@ -0,0 +1,28 @@
+// Binary data channel frames carry their own position and checksum so the
+// receiver can spot a damaged or out-of-place chunk and ask for it again:
+//   [8-byte file offset][32-byte SHA-256 of payload][payload]
+
+export const CHUNK_HEADER_SIZE = 40;
+
+const digestBytes = async (payload) => new Uint8Array(await crypto.subtle.digest('SHA-256', payload));
+
+export const encodeChunkFrame = async (offset, payload) => {
+  const frame = new Uint8Array(CHUNK_HEADER_SIZE + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint32(0, Math.floor(offset / 0x100000000));
+  view.setUint32(4, offset >>> 0);
+  frame.set(await digestBytes(payload), 8);
+  frame.set(new Uint8Array(payload), CHUNK_HEADER_SIZE);
+  return frame.buffer;
+};
+
+// Resolves to { offset, payload, valid } - valid is false when the payload does not match its checksum
+export const decodeChunkFrame = async (buffer) => {
+  const view = new DataView(buffer);
+  const offset = view.getUint32(0) * 0x100000000 + view.getUint32(4);
+  const expected = new Uint8Array(buffer, 8, 32);
+  const payload = new Uint8Array(buffer, CHUNK_HEADER_SIZE);
+  const actual = await digestBytes(payload);
+  const valid = actual.every((byte, i) => byte === expected[i]);
+  return { offset, payload, valid };
+};
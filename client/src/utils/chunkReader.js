@@ -0,0 +1,81 @@
+import { encodeChunkFrame } from './chunkFrame';
+
+// Reads a file through Blob.stream() and cuts it into fixed-size chunk frames,
+// keeping a few of them read, checksummed and framed ahead of the send loop so
+// disk reads and hashing overlap with the network instead of alternating with it.
+// `seal` (optional) encrypts each payload before it is framed; the chunk keeps the plaintext.
+
+const READ_AHEAD = 8; // frames prepared before they are asked for
+
+export const createChunkReader = (blob, { start = 0, chunkSize, readAhead = READ_AHEAD, seal = null }) => {
+  const streamReader = blob.slice(start).stream().getReader();
+  const pieces = []; // stream output not yet cut into chunks
+  let pieceBytes = 0;
+  let streamDone = false;
+  let offset = start;
+  let ended = false;
+  let cancelled = false;
+
+  // Reads run strictly one after another; only the framing overlaps
+  const readChunk = async () => {
+    while (pieceBytes < chunkSize && !streamDone) {
+      const { value, done } = await streamReader.read();
+      if (done) streamDone = true;
+      else {
+        pieces.push(value);
+        pieceBytes += value.byteLength;
+      }
+    }
+    if (pieceBytes === 0) return null;
+
+    const size = Math.min(chunkSize, pieceBytes);
+    const payload = new Uint8Array(size);
+    let filled = 0;
+    while (filled < size) {
+      const piece = pieces[0];
+      const take = Math.min(piece.byteLength, size - filled);
+      payload.set(piece.subarray(0, take), filled);
+      filled += take;
+      if (take === piece.byteLength) pieces.shift();
+      else pieces[0] = piece.subarray(take);
+    }
+    pieceBytes -= size;
+    const chunk = { offset, payload };
+    offset += size;
+    return chunk;
+  };
+
+  const queue = [];
+  let lastRead = Promise.resolve();
+
+  const fill = () => {
+    while (!ended && !cancelled && queue.length < readAhead) {
+      const read = lastRead.then(readChunk);
+      lastRead = read.then((chunk) => {
+        if (!chunk) ended = true;
+      }, () => {
+        ended = true;
+      });
+      queue.push(read.then(async (chunk) => chunk && {
+        ...chunk,
+        frame: await encodeChunkFrame(chunk.offset, seal ? await seal(chunk.offset, chunk.payload) : chunk.payload)
+      }));
+    }
+  };
+
+  return {
+    // Resolves to { offset, payload, frame }, or null after the last chunk
+    next() {
+      fill();
+      const chunk = queue.length > 0 ? queue.shift() : Promise.resolve(null);
+      fill();
+      return chunk;
+    },
+
+    cancel() {
+      cancelled = true;
+      queue.length = 0;
+      streamReader.cancel().catch(() => {});
+    }
+  };
+};
@@ -0,0 +1,75 @@
+// Optional compression for transfers and uploads. Text, logs, JSON and the like
+// often shrink to a fraction of their size, so they are gzipped on the way out
+// (CompressionStream, chunk by chunk) and unpacked again by the receiver.
+// Media and archives are already compressed and are sent as they are.
+
+export const ENCODINGS = ['gzip', 'deflate'];
+
+const MIN_SIZE = 4 * 1024; // Smaller files aren't worth the round trip through a stream
+const SAMPLE_SIZE = 64 * 1024;
+const MIN_SAVING = 0.85; // A sample has to shrink to 85% or less to be worth compressing
+
+const COMPRESSIBLE_TYPE = /^text\/|^application\/(json|xml|javascript|ecmascript|x-ndjson|x-yaml|yaml|sql|x-sh|x-tar|x-httpd-php|rtf|x-subrip)$|\+(json|xml)$/;
+const COMPRESSED_TYPE = /^(video|audio)\/|^image\/(?!svg|bmp|x-ms-bmp|tiff)|zip|gzip|compressed|x-7z|x-rar|x-bzip|x-xz|zstd|brotli|application\/pdf|font\/woff/;
+const COMPRESSIBLE_EXTENSION = /\.(txt|md|log|csv|tsv|json|ndjson|xml|ya?ml|toml|ini|html?|css|jsx?|tsx?|mjs|cjs|py|rb|go|rs|java|kt|c|h|cpp|hpp|cs|php|sh|sql|svg|tar)$/i;
+
+export const canCompress = () => typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+
+const compressedSize = async (blob, encoding) => (
+  (await new Response(blob.stream().pipeThrough(new CompressionStream(encoding))).blob()).size
+);
+
+// 'gzip' when the file looks compressible by its type or name, or when a sample
+// of it compresses well; null to send it as it is
+export const chooseEncoding = async (file, path = file.name || '') => {
+  if (!canCompress() || file.size < MIN_SIZE) return null;
+  const type = file.type || '';
+  if (COMPRESSED_TYPE.test(type)) return null;
+  if (COMPRESSIBLE_TYPE.test(type) || COMPRESSIBLE_EXTENSION.test(path)) return 'gzip';
+
+  const sample = file.slice(0, SAMPLE_SIZE);
+  try {
+    return await compressedSize(sample, 'gzip') <= sample.size * MIN_SAVING ? 'gzip' : null;
+  } catch (error) {
+    console.warn('⚠️ Could not sample', path, 'for compression:', error);
+    return null;
+  }
+};
+
+// Streams the blob through the compressor. The browser keeps large results on disk.
+export const compressBlob = (blob, encoding) => (
+  new Response(blob.stream().pipeThrough(new CompressionStream(encoding))).blob()
+);
+
+// Wraps a file sink (see fileSink.js) so compressed bytes go in and the original
+// bytes come out the other side
+export const createDecompressingSink = (sink, encoding) => {
+  const decompressor = new DecompressionStream(encoding);
+  const writer = decompressor.writable.getWriter();
+  const reader = decompressor.readable.getReader();
+
+  const pump = (async () => {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      await sink.write(value);
+    }
+  })();
+  // A failing sink stops the decompressor, so the next write() rejects too
+  pump.catch((error) => reader.cancel(error).catch(() => {}));
+
+  return {
+    kind: `${sink.kind}+${encoding}`,
+    write: (bytes) => writer.write(bytes),
+    close: async () => {
+      await writer.close();
+      await pump;
+      return sink.close();
+    },
+    abort: async () => {
+      writer.abort().catch(() => {});
+      reader.cancel().catch(() => {});
+      await sink.abort();
+    }
+  };
+};
@@ -0,0 +1,242 @@
+// End-to-end encryption for 24-hour uploads. Files are sealed in the browser
+// before upload so the server only ever stores ciphertext.
+//
+// Format: header | record* where
+//   header = "CDE1" | mode (0 = key in link, 1 = passphrase) | salt (16) | nonce prefix (8) | chunk size (uint32)
+//   record = length (uint32) | AES-GCM ciphertext + tag
+// Record 0 holds the JSON metadata (name, type, size), the rest hold the file in
+// fixed-size chunks. Each record's IV is nonce prefix + counter, and its additional
+// data binds the counter and a last-record flag so records cannot be reordered or dropped.
+
+const MAGIC = [0x43, 0x44, 0x45, 0x31]; // "CDE1"
+const HEADER_SIZE = 33;
+const TAG_SIZE = 16; // AES-GCM tag at the end of every record
+const MODE_KEY = 0;
+const MODE_PASSPHRASE = 1;
+const PBKDF2_ITERATIONS = 310000;
+
+export const ENCRYPTED_CHUNK_SIZE = 1024 * 1024;
+
+export class DecryptionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DecryptionError';
+    this.code = code;
+  }
+}
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const buildIv = (noncePrefix, counter) => {
+  const iv = new Uint8Array(12);
+  iv.set(noncePrefix, 0);
+  new DataView(iv.buffer).setUint32(8, counter);
+  return iv;
+};
+
+const buildAdditionalData = (counter, isLast) => {
+  const data = new Uint8Array(5);
+  new DataView(data.buffer).setUint32(0, counter);
+  data[4] = isLast ? 1 : 0;
+  return data;
+};
+
+const deriveKeyFromPassphrase = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// "#k=<key>" carries a random key; "#p" means the recipient must type the passphrase
+export const parseKeyFragment = (hash) => {
+  const fragment = (hash || '').replace(/^#/, '');
+  if (fragment === 'p') return { needsPassphrase: true, rawKey: null };
+  const match = fragment.match(/^k=([A-Za-z0-9_-]+)$/);
+  return { needsPassphrase: false, rawKey: match ? fromBase64Url(match[1]) : null };
+};
+
+// Resolves to { blob, keyFragment } - keyFragment goes after "#" in the share link.
+// `blob` stands in for the encrypted file: { size, type, slice(start, end) } where
+// slice() resolves to a Blob. Records are sealed only when a slice covers them, so
+// a large file is never held in memory as a whole, and as each record's IV comes
+// from its counter, a slice that is asked for again comes out byte for byte the same.
+export const encryptFile = async (file, { passphrase = '' } = {}) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const noncePrefix = crypto.getRandomValues(new Uint8Array(8));
+
+  let key;
+  let keyFragment;
+  if (passphrase) {
+    key = await deriveKeyFromPassphrase(passphrase, salt);
+    keyFragment = 'p';
+  } else {
+    key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    keyFragment = `k=${toBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', key)))}`;
+  }
+
+  const header = new Uint8Array(HEADER_SIZE);
+  header.set(MAGIC, 0);
+  header[4] = passphrase ? MODE_PASSPHRASE : MODE_KEY;
+  header.set(salt, 5);
+  header.set(noncePrefix, 21);
+  new DataView(header.buffer).setUint32(29, ENCRYPTED_CHUNK_SIZE);
+
+  const metadata = { name: file.name, type: file.type || 'application/octet-stream', size: file.size };
+  const metadataBytes = new TextEncoder().encode(JSON.stringify(metadata));
+  const chunkCount = Math.max(1, Math.ceil(file.size / ENCRYPTED_CHUNK_SIZE));
+
+  // Where each record sits: the metadata record, then equal-sized chunk records
+  // except for the last one
+  const recordSize = (plaintextSize) => 4 + plaintextSize + TAG_SIZE;
+  const firstChunkStart = HEADER_SIZE + recordSize(metadataBytes.length);
+  const fullChunkRecord = recordSize(ENCRYPTED_CHUNK_SIZE);
+  const chunkStart = (counter) => (counter - 1) * ENCRYPTED_CHUNK_SIZE;
+  const recordStart = (counter) => (counter === 0 ? HEADER_SIZE : firstChunkStart + (counter - 1) * fullChunkRecord);
+  const recordAt = (offset) => (offset < firstChunkStart
+    ? 0
+    : Math.min(chunkCount, 1 + Math.floor((offset - firstChunkStart) / fullChunkRecord)));
+  const size = recordStart(chunkCount) + recordSize(file.size - chunkStart(chunkCount));
+
+  const sealRecord = async (counter) => {
+    const plaintext = counter === 0
+      ? metadataBytes
+      : await file.slice(chunkStart(counter), chunkStart(counter) + ENCRYPTED_CHUNK_SIZE).arrayBuffer();
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: buildIv(noncePrefix, counter), additionalData: buildAdditionalData(counter, counter === chunkCount) },
+      key,
+      plaintext
+    );
+    const length = new Uint8Array(4);
+    new DataView(length.buffer).setUint32(0, ciphertext.byteLength);
+    return [length, ciphertext];
+  };
+
+  const slice = async (start = 0, end = size) => {
+    const from = Math.max(0, Math.min(start, size));
+    const to = Math.max(from, Math.min(end, size));
+    if (from === to) return new Blob([]);
+
+    // The header and whole records covering [from, to), cut down to the range
+    const withHeader = from < HEADER_SIZE;
+    const first = withHeader ? 0 : recordAt(from);
+    const parts = withHeader ? [header] : [];
+    if (to > HEADER_SIZE) {
+      for (let counter = first; counter <= recordAt(to - 1); counter++) {
+        parts.push(...await sealRecord(counter));
+      }
+    }
+    const partsStart = withHeader ? 0 : recordStart(first);
+    return new Blob(parts).slice(from - partsStart, to - partsStart);
+  };
+
+  return { blob: { size, type: 'application/octet-stream', slice }, keyFragment };
+};
+
+// Buffers an incoming byte stream so the decryptor can read exact-length fields
+const createByteReader = (stream) => {
+  const reader = stream.getReader();
+  let buffer = new Uint8Array(0);
+  let done = false;
+
+  const fill = async (length) => {
+    while (buffer.length < length && !done) {
+      const result = await reader.read();
+      if (result.done) {
+        done = true;
+      } else {
+        const merged = new Uint8Array(buffer.length + result.value.length);
+        merged.set(buffer, 0);
+        merged.set(result.value, buffer.length);
+        buffer = merged;
+      }
+    }
+  };
+
+  return {
+    read: async (length) => {
+      await fill(length);
+      if (buffer.length < length) {
+        throw new DecryptionError('The encrypted file is truncated.', 'truncated');
+      }
+      const bytes = buffer.slice(0, length);
+      buffer = buffer.slice(length);
+      return bytes;
+    },
+    isAtEnd: async () => {
+      await fill(1);
+      return buffer.length === 0;
+    }
+  };
+};
+
+// Yields { type: 'metadata', metadata } once, then { type: 'chunk', data } for each plaintext chunk
+export async function* decryptStream(stream, { rawKey = null, passphrase = '' } = {}) {
+  const bytes = createByteReader(stream);
+  const header = await bytes.read(HEADER_SIZE);
+
+  if (!MAGIC.every((value, i) => header[i] === value)) {
+    throw new DecryptionError('This is not a CodeDrop encrypted file.', 'format');
+  }
+
+  const mode = header[4];
+  const salt = header.slice(5, 21);
+  const noncePrefix = header.slice(21, 29);
+
+  let key;
+  if (mode === MODE_PASSPHRASE) {
+    if (!passphrase) throw new DecryptionError('A passphrase is required.', 'passphrase-required');
+    key = await deriveKeyFromPassphrase(passphrase, salt);
+  } else {
+    if (!rawKey) throw new DecryptionError('The link is missing its decryption key.', 'missing-key');
+    key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  }
+
+  const openRecord = async (counter, isLast) => {
+    const length = new DataView((await bytes.read(4)).buffer).getUint32(0);
+    const ciphertext = await bytes.read(length);
+    return crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: buildIv(noncePrefix, counter), additionalData: buildAdditionalData(counter, isLast) },
+      key,
+      ciphertext
+    );
+  };
+
+  let metadata;
+  try {
+    metadata = JSON.parse(new TextDecoder().decode(await openRecord(0, false)));
+  } catch (error) {
+    if (error instanceof DecryptionError) throw error;
+    throw new DecryptionError(
+      mode === MODE_PASSPHRASE ? 'Wrong passphrase.' : 'The decryption key in this link is wrong.',
+      'bad-key'
+    );
+  }
+  yield { type: 'metadata', metadata };
+
+  const chunkCount = Math.max(1, Math.ceil(metadata.size / ENCRYPTED_CHUNK_SIZE));
+  for (let counter = 1; counter <= chunkCount; counter++) {
+    let plaintext;
+    try {
+      plaintext = await openRecord(counter, counter === chunkCount);
+    } catch (error) {
+      if (error instanceof DecryptionError) throw error;
+      throw new DecryptionError('The encrypted file has been modified or corrupted.', 'tampered');
+    }
+    yield { type: 'chunk', data: new Uint8Array(plaintext) };
+  }
+
+  if (!(await bytes.isAtEnd())) {
+    throw new DecryptionError('The encrypted file has unexpected trailing data.', 'tampered');
+  }
+}
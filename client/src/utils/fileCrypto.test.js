@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { encryptFile, decryptStream, parseKeyFragment, ENCRYPTED_CHUNK_SIZE, DecryptionError } from './fileCrypto';
+
+const createFile = (size, name = 'notes.bin') => {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) bytes[i] = (i * 31 + 7) % 251;
+  return new File([bytes], name, { type: 'application/octet-stream' });
+};
+
+// toEqual walks typed arrays element by element, far too slowly for megabytes
+const sameBytes = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+// The encrypted file the way the tus upload sends it: one slice after another
+const collectSlices = async (blob, sliceSize) => {
+  const parts = [];
+  for (let start = 0; start < blob.size; start += sliceSize) {
+    parts.push(await blob.slice(start, start + sliceSize));
+  }
+  return new Blob(parts);
+};
+
+const decrypt = async (encrypted, options) => {
+  const chunks = [];
+  let metadata = null;
+  for await (const part of decryptStream(encrypted.stream(), options)) {
+    if (part.type === 'metadata') metadata = part.metadata;
+    else chunks.push(part.data);
+  }
+  return { metadata, bytes: new Uint8Array(await new Blob(chunks).arrayBuffer()) };
+};
+
+describe('encryptFile', () => {
+  for (const size of [0, 1, ENCRYPTED_CHUNK_SIZE, 2 * ENCRYPTED_CHUNK_SIZE + 12345]) {
+    it(`round-trips ${size} bytes uploaded in uneven slices`, async () => {
+      const file = createFile(size);
+      const { blob, keyFragment } = await encryptFile(file);
+      const encrypted = await collectSlices(blob, 300007);
+      expect(encrypted.size).toBe(blob.size);
+
+      const { metadata, bytes } = await decrypt(encrypted, parseKeyFragment(`#${keyFragment}`));
+      expect(metadata).toEqual({ name: 'notes.bin', type: 'application/octet-stream', size });
+      expect(sameBytes(bytes, new Uint8Array(await file.arrayBuffer()))).toBe(true);
+    });
+  }
+
+  it('gives the same bytes when a slice is asked for again', async () => {
+    const { blob } = await encryptFile(createFile(ENCRYPTED_CHUNK_SIZE + 100));
+    const first = new Uint8Array(await (await blob.slice(10, ENCRYPTED_CHUNK_SIZE)).arrayBuffer());
+    const again = new Uint8Array(await (await blob.slice(10, ENCRYPTED_CHUNK_SIZE)).arrayBuffer());
+    expect(sameBytes(again, first)).toBe(true);
+  });
+
+  it('matches one whole slice', async () => {
+    const { blob, keyFragment } = await encryptFile(createFile(ENCRYPTED_CHUNK_SIZE + 100));
+    const whole = await blob.slice();
+    const sliced = await collectSlices(blob, 65536);
+    expect(sameBytes(new Uint8Array(await sliced.arrayBuffer()), new Uint8Array(await whole.arrayBuffer()))).toBe(true);
+    await expect(decrypt(whole, parseKeyFragment(`#${keyFragment}`))).resolves.toBeTruthy();
+  });
+
+  it('needs the passphrase it was sealed with', async () => {
+    const { blob, keyFragment } = await encryptFile(createFile(1000), { passphrase: 'correct horse' });
+    expect(keyFragment).toBe('p');
+    const encrypted = await blob.slice();
+    await expect(decrypt(encrypted, { passphrase: 'correct horse' })).resolves.toBeTruthy();
+    await expect(decrypt(encrypted, { passphrase: 'wrong' })).rejects.toBeInstanceOf(DecryptionError);
+  });
+});
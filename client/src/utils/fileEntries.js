@@ -0,0 +1,54 @@
+// Helpers that turn drag & drop or <input type="file"> selections into a flat
+// list of { file, path } entries, where path is relative to what the user picked
+// (e.g. "build/assets/app.js") so the receiver can rebuild the folder tree.
+
+// A directory reader hands back entries in batches; keep reading until it returns none
+const readAllDirectoryEntries = (reader) => new Promise((resolve, reject) => {
+  const entries = [];
+  const readBatch = () => {
+    reader.readEntries((batch) => {
+      if (batch.length === 0) {
+        resolve(entries);
+        return;
+      }
+      entries.push(...batch);
+      readBatch();
+    }, reject);
+  };
+  readBatch();
+});
+
+const walkEntry = async (entry, parentPath = '') => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: `${parentPath}${file.name}` }];
+  }
+
+  if (entry.isDirectory) {
+    const children = await readAllDirectoryEntries(entry.createReader());
+    const nested = await Promise.all(children.map((child) => walkEntry(child, `${parentPath}${entry.name}/`)));
+    return nested.flat();
+  }
+
+  return [];
+};
+
+export const getSelectedFiles = (fileList) => Array.from(fileList || []).map((file) => ({
+  file,
+  path: file.webkitRelativePath || file.name
+}));
+
+// Entries must be taken from the DataTransfer synchronously - it is emptied once the drop handler returns
+export const getDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return getSelectedFiles(dataTransfer.files);
+  }
+
+  const nested = await Promise.all(entries.map((entry) => walkEntry(entry)));
+  return nested.flat();
+};
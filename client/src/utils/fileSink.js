@@ -0,0 +1,120 @@
+// Destinations for incoming real-time transfers. Each sink exposes
+//   write(bytes) -> Promise, close() -> Promise<Blob | null>, abort() -> Promise
+// close() only resolves to a Blob for the in-memory sink; the others have
+// already put the bytes on disk by the time the transfer finishes.
+
+const DOWNLOAD_WORKER_URL = '/download-sw.js';
+
+let downloadWorker = null;
+
+// Registers the download service worker; resolves to false where it is unavailable
+export const registerDownloadWorker = async () => {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return false;
+  try {
+    await navigator.serviceWorker.register(DOWNLOAD_WORKER_URL);
+    const registration = await navigator.serviceWorker.ready;
+    downloadWorker = registration.active;
+    return Boolean(downloadWorker);
+  } catch (error) {
+    console.warn('⚠️ Download service worker unavailable:', error);
+    return false;
+  }
+};
+
+export const canStreamDownloads = () => Boolean(downloadWorker);
+
+export const canPickSaveDirectory = () => typeof window.showDirectoryPicker === 'function';
+
+// Must be called from a user gesture (e.g. the Connect button)
+export const pickSaveDirectory = () => window.showDirectoryPicker({ mode: 'readwrite' });
+
+export const createMemorySink = () => {
+  let chunks = [];
+  return {
+    kind: 'memory',
+    write: async (bytes) => { chunks.push(bytes); },
+    close: async () => {
+      const blob = new Blob(chunks);
+      chunks = [];
+      return blob;
+    },
+    abort: async () => { chunks = []; }
+  };
+};
+
+// Writes into the chosen directory, creating sub-folders from the relative path.
+// Data lands in the browser's swap file until close(), so an aborted file leaves nothing behind.
+export const createDirectorySink = async (directoryHandle, path) => {
+  const segments = path.split('/').filter((segment) => segment && segment !== '.' && segment !== '..');
+  const fileName = segments.pop();
+  let folder = directoryHandle;
+  for (const segment of segments) {
+    folder = await folder.getDirectoryHandle(segment, { create: true });
+  }
+  const fileHandle = await folder.getFileHandle(fileName, { create: true });
+  const writable = await fileHandle.createWritable();
+
+  return {
+    kind: 'directory',
+    write: (bytes) => writable.write(bytes),
+    close: async () => {
+      await writable.close();
+      return null;
+    },
+    abort: () => writable.abort()
+  };
+};
+
+// Streams through the download service worker into a regular browser download
+export const createDownloadStreamSink = async (name, size) => {
+  const { port1, port2 } = new MessageChannel();
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+  const url = await new Promise((resolve) => {
+    port1.onmessage = ({ data }) => {
+      if (data.type === 'registered') resolve(data.url);
+    };
+    downloadWorker.postMessage({ type: 'register-download', id, name, size }, [port2]);
+  });
+
+  // Each "pull" from the worker lets one chunk through; write() waits for one
+  let cancelled = false;
+  let pulls = 0;
+  let wake = null;
+  port1.onmessage = ({ data }) => {
+    if (data.type === 'pull') pulls++;
+    if (data.type === 'cancelled') cancelled = true;
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  const iframe = document.createElement('iframe');
+  iframe.hidden = true;
+  iframe.src = url;
+  document.body.appendChild(iframe);
+
+  const finish = (message) => {
+    port1.postMessage(message);
+    setTimeout(() => iframe.remove(), 1000);
+  };
+
+  return {
+    kind: 'stream',
+    write: async (bytes) => {
+      while (pulls === 0 && !cancelled) {
+        await new Promise((resolve) => { wake = resolve; });
+      }
+      if (cancelled) throw new Error('Download was cancelled in the browser');
+      pulls--;
+      const copy = bytes.slice();
+      port1.postMessage({ type: 'chunk', chunk: copy.buffer }, [copy.buffer]);
+    },
+    close: async () => {
+      finish({ type: 'end' });
+      return null;
+    },
+    abort: async () => finish({ type: 'abort' })
+  };
+};
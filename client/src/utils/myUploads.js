@@ -0,0 +1,61 @@
+// "My uploads": everything this browser uploaded in 24-hour mode, with the
+// manage token the server handed back. The token never leaves this browser
+// except in the Authorization header of the management requests below.
+
+const API_URL = 'http://localhost:3001';
+const STORAGE_KEY = 'codedrop-my-uploads';
+
+export class ManageError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ManageError';
+    this.status = status;
+  }
+}
+
+export const loadMyUploads = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveMyUploads = (uploads) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(uploads));
+  return uploads;
+};
+
+export const addMyUpload = (upload) => saveMyUploads([upload, ...loadMyUploads().filter((u) => u.id !== upload.id)]);
+
+export const updateMyUpload = (id, changes) => saveMyUploads(
+  loadMyUploads().map((upload) => (upload.id === id ? { ...upload, ...changes } : upload))
+);
+
+export const removeMyUpload = (id) => saveMyUploads(loadMyUploads().filter((upload) => upload.id !== id));
+
+const manageRequest = async (upload, path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${API_URL}/api/files/${encodeURIComponent(upload.id)}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${upload.manageToken}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (response.status === 204) return null;
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ManageError(result.error || `Server responded with ${response.status}`, response.status);
+  }
+  return result;
+};
+
+// Resolves to { downloads, expiresAt, expired, ... }; a 404 means the server no longer has it
+export const fetchUploadStatus = (upload) => manageRequest(upload, '/manage');
+
+export const extendUpload = (upload, expiry) => manageRequest(upload, '/extend', { method: 'POST', body: { expiry } });
+
+export const revokeUpload = (upload) => manageRequest(upload, '', { method: 'DELETE' });
@@ -0,0 +1,175 @@
+// Password-authenticated key exchange between sender and receiver, so the
+// signaling server can't sit in the middle of a transfer. It follows CPace
+// (draft-irtf-cfrg-cpace) on X25519: both sides derive a secret generator from
+// the join code, swap one share each over the data channel and end up with the
+// same session key only if they typed the same code. An eavesdropper learns
+// nothing about the code, and an attacker in the middle gets one guess per
+// handshake - which fails loudly.
+//
+// The channel identifier binds the exchange to the DTLS fingerprints both sides
+// expect, so a server that relays the handshake between two connections of its
+// own also ends up with two different keys.
+
+const P = 2n ** 255n - 19n;
+const A = 486662n;
+const A24 = 121665n;
+
+const DSI = 'CPace255';
+const S_IN_BYTES = 128; // SHA-512 block size
+
+export class HandshakeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HandshakeError';
+  }
+}
+
+// --- Curve25519 field arithmetic ---
+
+const mod = (value) => {
+  const result = value % P;
+  return result >= 0n ? result : result + P;
+};
+
+const pow = (base, exponent) => {
+  let result = 1n;
+  let power = mod(base);
+  let rest = exponent;
+  while (rest > 0n) {
+    if (rest & 1n) result = (result * power) % P;
+    power = (power * power) % P;
+    rest >>= 1n;
+  }
+  return result;
+};
+
+const invert = (value) => pow(value, P - 2n);
+const isSquare = (value) => value === 0n || pow(value, (P - 1n) / 2n) === 1n;
+
+const decodeLittleEndian = (bytes) => bytes.reduceRight((value, byte) => (value << 8n) | BigInt(byte), 0n);
+
+const encodeUCoordinate = (u) => {
+  const bytes = new Uint8Array(32);
+  let rest = mod(u);
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = Number(rest & 0xffn);
+    rest >>= 8n;
+  }
+  return bytes;
+};
+
+const decodeUCoordinate = (bytes) => {
+  const copy = Uint8Array.from(bytes.subarray(0, 32));
+  copy[31] &= 0x7f;
+  return mod(decodeLittleEndian(copy));
+};
+
+const decodeScalar = (bytes) => {
+  const copy = Uint8Array.from(bytes);
+  copy[0] &= 248;
+  copy[31] &= 127;
+  copy[31] |= 64;
+  return decodeLittleEndian(copy);
+};
+
+// RFC 7748 scalar multiplication on the u-coordinate (Montgomery ladder)
+export const x25519 = (scalar, u) => {
+  const k = decodeScalar(scalar);
+  const x1 = decodeUCoordinate(u);
+  let [x2, z2, x3, z3] = [1n, 0n, x1, 1n];
+  let swap = 0n;
+
+  for (let t = 254n; t >= 0n; t--) {
+    const bit = (k >> t) & 1n;
+    swap ^= bit;
+    if (swap) [x2, x3, z2, z3] = [x3, x2, z3, z2];
+    swap = bit;
+
+    const a = x2 + z2;
+    const aa = mod(a * a);
+    const b = x2 - z2;
+    const bb = mod(b * b);
+    const e = aa - bb;
+    const c = x3 + z3;
+    const d = x3 - z3;
+    const da = mod(d * a);
+    const cb = mod(c * b);
+    x3 = mod((da + cb) ** 2n);
+    z3 = mod(x1 * (da - cb) ** 2n);
+    x2 = mod(aa * bb);
+    z2 = mod(e * (aa + A24 * e));
+  }
+  if (swap) [x2, z2] = [x3, z3];
+  return encodeUCoordinate(x2 * invert(z2));
+};
+
+// Elligator 2 (RFC 9380): any field element to a point, here just its u-coordinate
+const mapToCurve = (r) => {
+  const denominator = mod(1n + 2n * r * r);
+  let x1 = denominator === 0n ? 0n : mod(-A * invert(denominator));
+  if (x1 === 0n) x1 = mod(-A);
+  const gx1 = mod(x1 * x1 * x1 + A * x1 * x1 + x1);
+  return isSquare(gx1) ? x1 : mod(-x1 - A);
+};
+
+// --- CPace ---
+
+const encoder = new TextEncoder();
+const toBytes = (value) => (typeof value === 'string' ? encoder.encode(value) : value);
+
+const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+};
+
+// LEB128 length, then the bytes
+const prependLength = (value) => {
+  const bytes = toBytes(value);
+  const length = [];
+  let rest = bytes.length;
+  do {
+    length.push((rest & 0x7f) | (rest > 0x7f ? 0x80 : 0));
+    rest >>>= 7;
+  } while (rest > 0);
+  return concatBytes(Uint8Array.from(length), bytes);
+};
+
+const lvCat = (...parts) => concatBytes(...parts.map(prependLength));
+
+const sha512 = async (data) => new Uint8Array(await crypto.subtle.digest('SHA-512', data));
+
+const calculateGenerator = async (password, channelId, sessionId) => {
+  const padding = S_IN_BYTES - 1 - prependLength(password).length - prependLength(DSI).length;
+  const hash = await sha512(lvCat(DSI, password, new Uint8Array(Math.max(0, padding)), channelId, sessionId));
+  return encodeUCoordinate(mapToCurve(decodeUCoordinate(hash)));
+};
+
+// One side of a handshake. The initiator (the room's sender) and the responder
+// exchange `share`; finish() turns the other side's share into the 64-byte
+// intermediate session key. Both ends must agree on password, channelId and sessionId.
+export const createPakeSession = async ({ password, channelId, sessionId = '', initiator }) => {
+  const generator = await calculateGenerator(password, channelId, sessionId);
+  const scalar = crypto.getRandomValues(new Uint8Array(32));
+  const share = x25519(scalar, generator);
+
+  return {
+    share,
+
+    async finish(remoteShare) {
+      if (!(remoteShare instanceof Uint8Array) || remoteShare.length !== 32) {
+        throw new HandshakeError('Malformed key share');
+      }
+      const sharedPoint = x25519(scalar, remoteShare);
+      if (sharedPoint.every((byte) => byte === 0)) {
+        throw new HandshakeError('Invalid key share');
+      }
+      const [first, second] = initiator ? [share, remoteShare] : [remoteShare, share];
+      return sha512(concatBytes(lvCat(`${DSI}_ISK`, sessionId, sharedPoint), lvCat(first, ''), lvCat(second, '')));
+    }
+  };
+};
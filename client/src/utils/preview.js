@@ -0,0 +1,68 @@
+// What the receiver can look at in the page before saving, and the small
+// image thumbnails the sender puts in the batch manifest.
+
+export const MAX_PREVIEW_SIZE = 50 * 1024 * 1024; // Bigger files go straight to disk as before
+export const MAX_TEXT_PREVIEW = 1024 * 1024; // Only the start of a large text file is shown
+
+const THUMBNAIL_SIZE = 96; // px, longest side
+const MAX_THUMBNAILS = 12; // Keeps the manifest well under a data channel message
+const MAX_THUMBNAIL_SOURCE = 20 * 1024 * 1024;
+
+const TEXT_EXTENSIONS = new Set([
+  'txt', 'md', 'csv', 'tsv', 'log', 'json', 'xml', 'yml', 'yaml', 'toml', 'ini', 'env',
+  'js', 'jsx', 'ts', 'tsx', 'mjs', 'cjs', 'css', 'scss', 'html', 'htm', 'svg',
+  'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'hpp', 'cs', 'php', 'sh', 'sql'
+]);
+const TEXT_TYPES = ['application/json', 'application/xml', 'application/javascript'];
+
+// 'image' | 'video' | 'audio' | 'text', or null when there is nothing to show
+export const getPreviewKind = (type = '', path = '') => {
+  if (type === 'image/svg+xml') return 'text'; // Shown as source, never rendered
+  const [category] = type.split('/');
+  if (category === 'image' || category === 'video' || category === 'audio') return category;
+  if (category === 'text' || TEXT_TYPES.includes(type)) return 'text';
+  const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+  return TEXT_EXTENSIONS.has(extension) ? 'text' : null;
+};
+
+// The type is whatever the sender claimed, so preview blobs only ever get an
+// inert one: media types for media, plain text for everything else
+export const createPreviewBlob = (blob, type, path) => {
+  const kind = getPreviewKind(type, path);
+  return new Blob([blob], { type: kind && kind !== 'text' ? type : 'text/plain' });
+};
+
+// Thumbnails arrive from the other peer; only accept a plain base64 raster image
+const THUMBNAIL_PATTERN = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/=]+$/;
+export const isSafeThumbnail = (value) => typeof value === 'string' && value.length < 64 * 1024 && THUMBNAIL_PATTERN.test(value);
+
+const createThumbnail = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', 0.7);
+};
+
+// [{ path, size, type, thumbnail? }] for the batch-start message
+export const createManifest = async (queue) => {
+  let thumbnails = 0;
+  const manifest = [];
+  for (const { file, path } of queue) {
+    const entry = { path, size: file.size, type: file.type || '' };
+    const isImage = getPreviewKind(entry.type, path) === 'image';
+    if (isImage && thumbnails < MAX_THUMBNAILS && file.size <= MAX_THUMBNAIL_SOURCE) {
+      try {
+        entry.thumbnail = await createThumbnail(file);
+        thumbnails++;
+      } catch (error) {
+        console.warn('⚠️ Could not create a thumbnail for', path, error);
+      }
+    }
+    manifest.push(entry);
+  }
+  return manifest;
+};
@@ -0,0 +1,306 @@
+// Minimal QR code generator (byte mode, error correction level M, versions
+// 1-10) so join links can be shown as a code to scan without calling out to a
+// QR service. Plenty for a URL with a room code; longer text throws.
+
+// Per version: EC codewords per block, then [block count, data codewords per block] groups
+const VERSIONS_M = [
+  null,
+  { ec: 10, groups: [[1, 16]] },
+  { ec: 16, groups: [[1, 28]] },
+  { ec: 26, groups: [[1, 44]] },
+  { ec: 18, groups: [[2, 32]] },
+  { ec: 24, groups: [[2, 43]] },
+  { ec: 16, groups: [[4, 27]] },
+  { ec: 18, groups: [[4, 31]] },
+  { ec: 22, groups: [[2, 38], [2, 39]] },
+  { ec: 22, groups: [[3, 36], [2, 37]] },
+  { ec: 26, groups: [[4, 43], [1, 44]] }
+];
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+const EC_LEVEL_M_BITS = 0;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+const getDataCapacity = (version) => (
+  VERSIONS_M[version].groups.reduce((sum, [count, size]) => sum + count * size, 0)
+);
+
+// --- Reed-Solomon over GF(256), primitive polynomial 0x11D ---
+
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const createDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const computeErrorCorrection = (data, degree) => {
+  const divisor = createDivisor(degree);
+  const result = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+};
+
+// --- Codewords ---
+
+const encodeData = (bytes, version) => {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4); // Byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => push(byte, 8));
+
+  const capacityBits = getDataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length)); // Terminator
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+};
+
+// Split into blocks, add error correction to each, then interleave
+const buildCodewords = (data, version) => {
+  const { ec, groups } = VERSIONS_M[version];
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const blockData = data.slice(offset, offset + size);
+      blocks.push({ data: blockData, ec: computeErrorCorrection(blockData, ec) });
+      offset += size;
+    }
+  });
+
+  const result = [];
+  const longest = Math.max(...blocks.map((block) => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach((block) => {
+      if (i < block.data.length) result.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < ec; i++) {
+    blocks.forEach((block) => result.push(block.ec[i]));
+  }
+  return result;
+};
+
+// --- Matrix ---
+
+const createGrid = (size) => Array.from({ length: size }, () => new Array(size).fill(false));
+
+const drawFormatBits = (modules, isFunction, mask) => {
+  const size = modules.length;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  const data = (EC_LEVEL_M_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true); // Always-dark module
+};
+
+const drawFunctionPatterns = (version, modules, isFunction) => {
+  const size = modules.length;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      // Skip the three corners taken by finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve the format areas; drawFormatBits fills them in once the mask is chosen
+  drawFormatBits(modules, isFunction, 0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+};
+
+// Zigzag through the matrix in two-module columns, right to left
+const drawCodewords = (codewords, modules, isFunction) => {
+  const size = modules.length;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Skip the vertical timing pattern
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (isFunction[y][x]) continue;
+        // Remainder bits past the last codeword stay light
+        modules[y][x] = i < codewords.length * 8 && ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+};
+
+const applyMask = (modules, isFunction, mask) => {
+  const test = MASKS[mask];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (!isFunction[y][x] && test(x, y)) row[x] = !dark;
+  }));
+};
+
+// The standard's penalty rules: long runs, 2x2 blocks, finder look-alikes, dark balance
+const FINDER_LIKE = [true, false, true, true, true, false, true, false, false, false, false];
+
+const getPenalty = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  const lines = [
+    ...modules,
+    ...modules.map((row, x) => modules.map((column) => column[x]))
+  ];
+
+  lines.forEach((line) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+        continue;
+      }
+      if (run >= 5) penalty += run - 2;
+      run = 1;
+    }
+    for (let i = 0; i + FINDER_LIKE.length <= size; i++) {
+      const forward = FINDER_LIKE.every((dark, k) => line[i + k] === dark);
+      const backward = FINDER_LIKE.every((dark, k) => line[i + FINDER_LIKE.length - 1 - k] === dark);
+      if (forward) penalty += 40;
+      if (backward) penalty += 40;
+    }
+  });
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const dark = modules[y][x];
+      if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) {
+        penalty += 3;
+      }
+    }
+  }
+
+  const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  penalty += Math.floor(Math.abs((darkCount * 100) / (size * size) - 50) / 5) * 10;
+  return penalty;
+};
+
+// Returns rows of booleans (true = dark), without the quiet zone
+export const createQrMatrix = (text) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const version = VERSIONS_M.findIndex((entry, v) => (
+    entry && 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= getDataCapacity(v) * 8
+  ));
+  if (version === -1) throw new Error('Text is too long for a QR code');
+
+  const size = 17 + version * 4;
+  const codewords = buildCodewords(encodeData(bytes, version), version);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const modules = createGrid(size);
+    const isFunction = createGrid(size);
+    drawFunctionPatterns(version, modules, isFunction);
+    drawCodewords(codewords, modules, isFunction);
+    applyMask(modules, isFunction, mask);
+    drawFormatBits(modules, isFunction, mask);
+    const penalty = getPenalty(modules);
+    if (!best || penalty < best.penalty) best = { modules, penalty };
+  }
+  return best.modules;
+};
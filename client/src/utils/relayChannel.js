@@ -0,0 +1,94 @@
+// Fallback transport for when WebRTC cannot connect: a stand-in for
+// RTCDataChannel that sends every message through the signaling server.
+// It exposes the parts of the data channel API the transfer code uses
+// (readyState, send, bufferedAmount and its low threshold, close and the on*
+// handlers), so batches, resumes and hash checks work exactly as they do
+// peer-to-peer.
+//
+// Each message is acknowledged by the server only once the peer has it, so
+// bufferedAmount counts bytes still on their way and the send loop slows
+// down to whatever the relay can carry. A sender relaying to several receivers
+// has one channel per receiver; messages are addressed by the peer's socket id.
+
+const RELAY_ACK_TIMEOUT = 30000;
+
+export const createRelayChannel = (socket, peerId) => {
+  const channel = {
+    label: 'file-transfer',
+    protocol: 'file-transfer-relay',
+    relayed: true,
+    readyState: 'connecting',
+    binaryType: 'arraybuffer',
+    bufferedAmount: 0,
+    bufferedAmountLowThreshold: 0,
+    onbufferedamountlow: null,
+    onopen: null,
+    onmessage: null,
+    onerror: null,
+    onclose: null
+  };
+
+  const pending = []; // Messages that beat our own open event
+
+  const handleData = (from, data, ack) => {
+    if (from !== peerId) return; // Another receiver's channel
+    if (channel.readyState === 'closed') {
+      if (typeof ack === 'function') ack({ ok: false, error: 'Relay channel closed' });
+      return;
+    }
+    if (typeof ack === 'function') ack({ ok: true });
+    if (channel.readyState === 'connecting') {
+      pending.push(data);
+      return;
+    }
+    channel.onmessage?.({ data });
+  };
+
+  const handleClosed = ({ reason } = {}) => {
+    console.warn('🔁 Relay closed by server:', reason);
+    if (reason) channel.onerror?.({ error: new Error(reason) });
+    channel.close();
+  };
+
+  channel.send = (data) => {
+    if (channel.readyState !== 'open') {
+      throw new DOMException('Relay channel is not open', 'InvalidStateError');
+    }
+    const size = typeof data === 'string' ? data.length : data.byteLength;
+    channel.bufferedAmount += size;
+
+    socket.timeout(RELAY_ACK_TIMEOUT).emit('relay-data', peerId, data, (err, response) => {
+      const wasAboveThreshold = channel.bufferedAmount > channel.bufferedAmountLowThreshold;
+      channel.bufferedAmount -= size;
+      if (channel.readyState !== 'open') return;
+      if (wasAboveThreshold && channel.bufferedAmount <= channel.bufferedAmountLowThreshold) {
+        channel.onbufferedamountlow?.();
+      }
+      if (err || !response?.ok) {
+        handleClosed({ reason: err ? 'Relay timed out' : response?.error || 'Relay failed' });
+      }
+    });
+  };
+
+  channel.close = () => {
+    if (channel.readyState === 'closed') return;
+    channel.readyState = 'closed';
+    socket.off('relay-data', handleData);
+    socket.off('relay-closed', handleClosed);
+    channel.onclose?.();
+  };
+
+  // Listening right away: the peer may start sending as soon as the server says go
+  socket.on('relay-data', handleData);
+  socket.on('relay-closed', handleClosed);
+
+  // Open on the next tick, once the caller has attached its handlers
+  setTimeout(() => {
+    if (channel.readyState !== 'connecting') return;
+    channel.readyState = 'open';
+    channel.onopen?.();
+    pending.splice(0).forEach((data) => channel.onmessage?.({ data }));
+  }, 0);
+
+  return channel;
+};
@@ -0,0 +1,161 @@
+// tus 1.0.0 client used by the 24-hour upload mode. Files go up in fixed-size
+// PATCH requests; after a network blip the server is asked (HEAD) how much it
+// has and the upload continues from there. Unencrypted uploads remember their
+// upload URL in localStorage, so re-selecting the same file after a page reload
+// picks up where it left off.
+
+const TUS_VERSION = '1.0.0';
+const CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_RETRIES = 5;
+const STORAGE_PREFIX = 'codedrop-upload:';
+
+export class UploadError extends Error {
+  constructor(message, { fatal = false } = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.fatal = fatal;
+  }
+}
+
+// Get retry delay with exponential backoff
+const getRetryDelay = (attempt) => Math.min(1000 * Math.pow(2, attempt), 30000);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toBase64 = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+
+const encodeMetadata = (metadata) => Object.entries(metadata)
+  .map(([key, value]) => `${key} ${toBase64(value)}`)
+  .join(',');
+
+const sendRequest = (method, url, { headers = {}, body = null, onUploadProgress = null } = {}) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open(method, url);
+  xhr.setRequestHeader('Tus-Resumable', TUS_VERSION);
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+  if (onUploadProgress) {
+    xhr.upload.onprogress = (event) => onUploadProgress(event.loaded);
+  }
+  xhr.onload = () => resolve(xhr);
+  xhr.onerror = () => reject(new UploadError('Network error'));
+  xhr.onabort = () => reject(new UploadError('Request aborted'));
+  xhr.send(body);
+});
+
+export const getUploadFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+// Resolves to the server's upload status ({ link, expiresAt, maxDownloads, ... })
+// once it has every byte. Extra metadata (expiry, maxdownloads, language, encoding) goes along on creation.
+// `file` can be anything with size, type and a slice() that returns a Blob or a
+// promise of one, like the encrypted file from fileCrypto.js.
+export const uploadResumable = async ({
+  endpoint,
+  file,
+  name = file.name,
+  type = file.type,
+  metadata = {},
+  fingerprint = null,
+  onProgress = () => {},
+  onStatus = () => {}
+}) => {
+  const storageKey = fingerprint ? `${STORAGE_PREFIX}${fingerprint}` : null;
+  let uploadUrl = storageKey ? localStorage.getItem(storageKey) : null;
+  let offset = 0;
+  let complete = false;
+
+  if (uploadUrl) {
+    const head = await sendRequest('HEAD', uploadUrl).catch(() => null);
+    if (head && head.status === 200) {
+      offset = Number(head.getResponseHeader('Upload-Offset'));
+      onStatus(`🔄 Resuming previous upload at ${file.size ? Math.round((offset / file.size) * 100) : 0}%...`);
+    } else {
+      uploadUrl = null;
+      localStorage.removeItem(storageKey);
+    }
+  }
+
+  if (!uploadUrl) {
+    const created = await sendRequest('POST', endpoint, {
+      headers: {
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': encodeMetadata({
+          ...metadata,
+          filename: name,
+          filetype: type || 'application/octet-stream'
+        })
+      }
+    });
+    if (created.status !== 201) {
+      throw new UploadError(created.responseText || `Server responded with ${created.status}`, { fatal: true });
+    }
+    uploadUrl = new URL(created.getResponseHeader('Location'), endpoint).href;
+    if (storageKey) localStorage.setItem(storageKey, uploadUrl);
+    // Empty files are finalized on creation
+    complete = file.size === 0;
+  }
+
+  onProgress(offset, file.size);
+
+  // Once every byte is there, an empty PATCH at the end finalizes an upload the
+  // server couldn't finalize before (or answers 403 when it already has)
+  let attempt = 0;
+  while (!complete) {
+    try {
+      const chunkStart = offset;
+      const response = await sendRequest('PATCH', uploadUrl, {
+        headers: {
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(chunkStart)
+        },
+        body: await file.slice(chunkStart, chunkStart + CHUNK_SIZE),
+        onUploadProgress: (loaded) => onProgress(chunkStart + loaded, file.size)
+      });
+
+      if (response.status === 204) {
+        offset = Number(response.getResponseHeader('Upload-Offset'));
+        complete = offset === file.size;
+        attempt = 0;
+        onProgress(offset, file.size);
+        continue;
+      }
+      if (response.status === 403) {
+        complete = true;
+        continue;
+      }
+
+      if (response.status === 404 || response.status === 410 || response.status === 413) {
+        throw new UploadError(response.responseText || 'The server rejected this upload.', { fatal: true });
+      }
+      throw new UploadError(`Server responded with ${response.status}`);
+    } catch (error) {
+      if (error.fatal || attempt >= MAX_RETRIES) {
+        if (storageKey && error.fatal) localStorage.removeItem(storageKey);
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt++);
+      console.warn(`⚠️ Upload interrupted (${error.message}), retrying in ${delay / 1000}s`);
+      onStatus(`⚠️ Connection interrupted, retrying in ${delay / 1000}s (${attempt}/${MAX_RETRIES})...`);
+      await wait(delay);
+
+      // Ask the server where to continue from
+      const head = await sendRequest('HEAD', uploadUrl).catch(() => null);
+      if (head && head.status === 200) {
+        offset = Number(head.getResponseHeader('Upload-Offset'));
+        onStatus('Uploading...');
+      } else if (head && head.status === 404) {
+        if (storageKey) localStorage.removeItem(storageKey);
+        throw new UploadError('The upload expired on the server. Please start again.', { fatal: true });
+      }
+    }
+  }
+
+  const status = await sendRequest('GET', uploadUrl);
+  if (status.status !== 200) {
+    throw new UploadError(`Server responded with ${status.status}`);
+  }
+
+  if (storageKey) localStorage.removeItem(storageKey);
+  return JSON.parse(status.responseText);
+};
@@ -0,0 +1,39 @@
+// Room codes are either words ("tiger-lamp-42") or long alphanumerics
+// ("K7QM4XZP2A"), depending on how the server is configured. The receiver may
+// type them with any case or spacing; this turns the input into the canonical
+// code the server uses, or null if it cannot be one. Same rules as the server.
+
+const WORD_CODE_PATTERN = /^[a-z]+(-[a-z]+){1,4}-\d{2}$/;
+const ALPHANUMERIC_CODE_PATTERN = /^[0-9A-Z]{8,32}$/;
+
+export const normalizeRoomCode = (input) => {
+  if (typeof input !== 'string' || input.length > 100) return null;
+  const code = input.trim().toLowerCase().replace(/[\s_.]+/g, '-').replace(/-+/g, '-');
+  if (WORD_CODE_PATTERN.test(code)) return code;
+  const compact = code.replace(/-/g, '').toUpperCase();
+  return ALPHANUMERIC_CODE_PATTERN.test(compact) ? compact : null;
+};
+
+// The sender adds a pairing number to the room code on its own device, and it
+// never goes to the server: the full join code ("tiger-lamp-42-1234") is the
+// password for the handshake in pake.js, while the server only sees the room code.
+const PAIRING_DIGITS = 4;
+const JOIN_CODE_PATTERN = new RegExp(`^(.+?)[\\s_.-]+(\\d{${PAIRING_DIGITS}})$`);
+
+export const createPairingNumber = () => {
+  const values = new Uint16Array(1);
+  do {
+    crypto.getRandomValues(values);
+  } while (values[0] >= 60000); // keeps every number equally likely
+  return String(values[0] % 10 ** PAIRING_DIGITS).padStart(PAIRING_DIGITS, '0');
+};
+
+export const formatJoinCode = (roomCode, pairingNumber) => `${roomCode}-${pairingNumber}`;
+
+// { roomCode, joinCode } for what the receiver typed, or null if it cannot be a join code
+export const parseJoinCode = (input) => {
+  if (typeof input !== 'string') return null;
+  const match = JOIN_CODE_PATTERN.exec(input.trim());
+  const roomCode = match && normalizeRoomCode(match[1]);
+  return roomCode ? { roomCode, joinCode: formatJoinCode(roomCode, match[2]) } : null;
+};
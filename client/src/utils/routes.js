@@ -0,0 +1,35 @@
+// Client-side routes. The host rewrites every path to index.html (see
+// vercel.json), so links like /r#<code> or /d/<id> load the app directly.
+
+const ROUTES = [
+  { pattern: /^\/send\/?$/, page: 'send' },
+  { pattern: /^\/receive\/?$/, page: 'receive' },
+  // The join code includes the pairing number, so it goes in the fragment, which
+  // browsers keep to themselves instead of sending it to the host or in a Referer
+  { pattern: /^\/r\/?$/, page: 'receive', param: 'roomCode', inHash: true },
+  { pattern: /^\/upload\/?$/, page: 'upload' },
+  { pattern: /^\/decrypt\/?$/, page: 'decrypt' },
+  { pattern: /^\/d\/([0-9A-Za-z]+)\/?$/, page: 'download', param: 'fileId' }
+];
+
+// { page, params } for a path and fragment; anything unknown is the home page
+export const parseRoute = (pathname, hash = '') => {
+  for (const { pattern, page, param, inHash } of ROUTES) {
+    const match = pattern.exec(pathname);
+    if (match) {
+      const value = inHash ? hash.replace(/^#/, '') : match[1];
+      return { page, params: param && value ? { [param]: decodeURIComponent(value) } : {} };
+    }
+  }
+  return { page: 'home', params: {} };
+};
+
+// Change the URL without reloading; App listens for popstate and re-renders
+export const navigate = (path) => {
+  if (path === window.location.pathname) return;
+  window.history.pushState(null, '', path);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+};
+
+// Opening this link lands on the receiver view and joins the room right away
+export const getJoinLink = (roomCode) => `${window.location.origin}/r#${encodeURIComponent(roomCode)}`;
@@ -0,0 +1,92 @@
+// What every real-time data channel goes through before it carries a file: the
+// key exchange from pake.js, and control messages sealed with the key it
+// produces (sessionCrypto.js). App.jsx drives both; nothing here knows about
+// peers, timers or the screen, so the checks can run against a relay that
+// tampers with what it passes on (see secureChannel.test.js).
+
+import { createPakeSession, HandshakeError } from './pake';
+import {
+  deriveSessionKeys,
+  tagsMatch,
+  encodeShare,
+  decodeShare,
+  sealMessage,
+  openMessage
+} from './sessionCrypto';
+
+// Control message fields that name or carry content; they only ever travel sealed.
+// The messages listed here are sealed even when nothing in them is secret, and
+// their other fields are authenticated along with the sealed ones: nobody on the
+// way may end a batch, answer an offer or vouch for a file in a peer's name.
+export const SEALED_FIELDS = {
+  'batch-start': ['files'],
+  'batch-accept': [],
+  'batch-decline': [],
+  'file-start': ['fileName', 'path'],
+  'file-end': ['fileName', 'path'],
+  'file-ack': [],
+  'batch-end': [],
+  snippet: ['text', 'language']
+};
+
+// One side of the handshake on one channel. Our share goes out through `send`
+// as soon as it exists; `started` rejects if it can't be made. Both sides bind
+// the exchange to the DTLS fingerprints they expect, so a server in the middle
+// of the connection - or relaying it - ends up with keys that don't match.
+// Anything out of place throws a HandshakeError, and the channel should be given up.
+export const createHandshake = ({ password, senderFingerprint, receiverFingerprint, isSender, send }) => {
+  let keys = null;
+  let shareReceived = false;
+  let confirmed = false;
+
+  const started = createPakeSession({
+    password,
+    channelId: `codedrop|${senderFingerprint}|${receiverFingerprint}`,
+    initiator: isSender
+  }).then((pake) => {
+    send({ type: 'pake', share: encodeShare(pake.share) });
+    return pake;
+  });
+
+  return {
+    isSender,
+    started,
+
+    // The other side's share: derive the session keys and prove we have them
+    async receiveShare({ share }) {
+      if (shareReceived) throw new HandshakeError('Unexpected second key share');
+      shareReceived = true;
+      const pake = await started;
+      keys = await deriveSessionKeys(await pake.finish(decodeShare(share)));
+      send({ type: 'pake-confirm', tag: isSender ? keys.senderTag : keys.receiverTag });
+    },
+
+    // Matching tags mean both sides typed the same code and talk to each other
+    // directly. Returns the session ({ key }) for sealing everything that follows.
+    receiveConfirm({ tag }) {
+      if (confirmed || !keys || !tagsMatch(isSender ? keys.receiverTag : keys.senderTag, tag)) {
+        throw new HandshakeError('Keys do not match');
+      }
+      confirmed = true;
+      return { key: keys.key };
+    }
+  };
+};
+
+export const sealControlMessage = async (session, message) => {
+  const fields = SEALED_FIELDS[message.type];
+  return fields ? sealMessage(session.key, message, fields) : message;
+};
+
+// A received control message with its sealed fields back in place. Rejects when
+// a message that should be sealed isn't, or was changed or sealed under another
+// key. Copies of sealed fields next to the sealed data are dropped, so nobody
+// on the way can slip in a field the sender left out.
+export const openControlMessage = async (session, received) => {
+  const fields = SEALED_FIELDS[received.type];
+  if (!fields) return received;
+  if (typeof received.sealed !== 'string') throw new HandshakeError(`Unsealed ${received.type}`);
+  const visible = { ...received };
+  fields.forEach((field) => delete visible[field]);
+  return openMessage(session.key, visible);
+};
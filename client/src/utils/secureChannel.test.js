@@ -0,0 +1,269 @@
+import { describe, it, expect } from 'vitest';
+import { createHandshake, sealControlMessage, openControlMessage } from './secureChannel';
+import { encodeShare } from './sessionCrypto';
+import { HandshakeError } from './pake';
+
+const JOIN_CODE = 'tiger-lamp-42-1234';
+const SENDER_FINGERPRINT = `sha-256 ${Array(32).fill('AB').join(':')}`;
+const RECEIVER_FINGERPRINT = `sha-256 ${Array(32).fill('CD').join(':')}`;
+const ROGUE_FINGERPRINT = `sha-256 ${Array(32).fill('EF').join(':')}`;
+
+// Stands in for the signaling server relaying one data channel between a sender
+// and a receiver. Every message goes through tamper(message, from, sides) just
+// before it's delivered; it returns the message to deliver, a list of messages,
+// or null to drop it. Each side reacts the way App.jsx does: shares and confirms
+// go to its handshake, and anything the handshake throws aborts that side.
+const connectThroughRelay = async ({
+  tamper = (message) => message,
+  senderCode = JOIN_CODE,
+  receiverCode = JOIN_CODE,
+  receiverSeesSender = SENDER_FINGERPRINT,
+  senderSeesReceiver = RECEIVER_FINGERPRINT
+} = {}) => {
+  const inFlight = [];
+  const sides = {};
+
+  const createSide = (role, password, senderFingerprint, receiverFingerprint) => {
+    const side = { role, sent: [], session: null, error: null };
+    side.handshake = createHandshake({
+      password,
+      senderFingerprint,
+      receiverFingerprint,
+      isSender: role === 'sender',
+      send: (message) => {
+        // Over the wire, as text
+        const copy = JSON.parse(JSON.stringify(message));
+        side.sent.push(copy);
+        inFlight.push({ from: role, message: copy });
+      }
+    });
+    return side;
+  };
+
+  const deliver = async (side, message) => {
+    if (side.session || side.error) return;
+    try {
+      if (message.type === 'pake') {
+        await side.handshake.receiveShare(message);
+      } else if (message.type === 'pake-confirm') {
+        side.session = side.handshake.receiveConfirm(message);
+      }
+    } catch (error) {
+      side.error = error;
+    }
+  };
+
+  sides.sender = createSide('sender', senderCode, SENDER_FINGERPRINT, senderSeesReceiver);
+  sides.receiver = createSide('receiver', receiverCode, receiverSeesSender, RECEIVER_FINGERPRINT);
+  await Promise.all([sides.sender.handshake.started, sides.receiver.handshake.started]);
+  while (inFlight.length > 0) {
+    const { from, message } = inFlight.shift();
+    const to = from === 'sender' ? sides.receiver : sides.sender;
+    for (const delivered of [tamper(message, from, sides)].flat().filter(Boolean)) {
+      await deliver(to, delivered);
+    }
+  }
+  return sides;
+};
+
+// A share from a handshake the relay runs itself
+const createRogueShare = async ({ password = 'tiger-lamp-42-0000', isSender = false } = {}) => {
+  let share = null;
+  const rogue = createHandshake({
+    password,
+    senderFingerprint: SENDER_FINGERPRINT,
+    receiverFingerprint: RECEIVER_FINGERPRINT,
+    isSender,
+    send: (message) => { share = message.share; }
+  });
+  await rogue.started;
+  return share;
+};
+
+const expectAborted = (side) => {
+  expect(side.session).toBeNull();
+  expect(side.error).toBeInstanceOf(HandshakeError);
+};
+
+// Another base64 character in the middle of the text
+const flipCharacter = (text) => {
+  const index = Math.floor(text.length / 2);
+  return `${text.slice(0, index)}${text[index] === 'A' ? 'B' : 'A'}${text.slice(index + 1)}`;
+};
+
+describe('handshake through an honest relay', () => {
+  it('gives both sides the same session key', async () => {
+    const { sender, receiver } = await connectThroughRelay();
+    expect(sender.error).toBeNull();
+    expect(receiver.error).toBeNull();
+
+    const sealed = await sealControlMessage(sender.session, { type: 'snippet', text: 'hello', language: 'text' });
+    expect(sealed.text).toBeUndefined();
+    await expect(openControlMessage(receiver.session, sealed)).resolves.toMatchObject({ type: 'snippet', text: 'hello' });
+  });
+
+  it('aborts on both sides when the codes differ', async () => {
+    const { sender, receiver } = await connectThroughRelay({ receiverCode: 'tiger-lamp-42-4321' });
+    expectAborted(sender);
+    expectAborted(receiver);
+  });
+});
+
+describe('handshake through a rogue relay', () => {
+  it('aborts when the relay swaps in its own share', async () => {
+    const rogueShare = await createRogueShare();
+    const { sender, receiver } = await connectThroughRelay({
+      tamper: (message, from) => (message.type === 'pake' && from === 'receiver' ? { ...message, share: rogueShare } : message)
+    });
+    expectAborted(sender);
+    expectAborted(receiver);
+  });
+
+  it('aborts when the relay swaps both shares for its own', async () => {
+    const shares = { sender: await createRogueShare({ isSender: true }), receiver: await createRogueShare() };
+    const { sender, receiver } = await connectThroughRelay({
+      tamper: (message, from) => (message.type === 'pake' ? { ...message, share: shares[from] } : message)
+    });
+    expectAborted(sender);
+    expectAborted(receiver);
+  });
+
+  it('aborts when each side sees a certificate the relay put in between', async () => {
+    const { sender, receiver } = await connectThroughRelay({
+      receiverSeesSender: ROGUE_FINGERPRINT,
+      senderSeesReceiver: ROGUE_FINGERPRINT
+    });
+    expectAborted(sender);
+    expectAborted(receiver);
+  });
+
+  it('aborts on malformed and low-order shares', async () => {
+    for (const share of ['not base64!', encodeShare(new Uint8Array(16)), encodeShare(new Uint8Array(32)), 42]) {
+      const { receiver } = await connectThroughRelay({
+        tamper: (message, from) => (message.type === 'pake' && from === 'sender' ? { ...message, share } : message)
+      });
+      expectAborted(receiver);
+    }
+  });
+
+  it('aborts when a second share follows the first', async () => {
+    const rogueShare = await createRogueShare({ isSender: true });
+    const { receiver } = await connectThroughRelay({
+      tamper: (message, from) => (message.type === 'pake' && from === 'sender'
+        ? [message, { ...message, share: rogueShare }]
+        : message)
+    });
+    expectAborted(receiver);
+  });
+
+  it('aborts when a side gets its own confirm reflected back', async () => {
+    const { sender } = await connectThroughRelay({
+      tamper: (message, from, sides) => {
+        if (message.type !== 'pake-confirm') return message;
+        return from === 'sender' ? null : sides.sender.sent.find(({ type }) => type === 'pake-confirm');
+      }
+    });
+    expectAborted(sender);
+  });
+
+  it('aborts when the relay replays a confirm from an earlier handshake', async () => {
+    const earlier = await connectThroughRelay();
+    const recorded = earlier.receiver.sent.find(({ type }) => type === 'pake-confirm');
+    const { sender } = await connectThroughRelay({
+      tamper: (message, from) => (message.type === 'pake-confirm' && from === 'receiver' ? recorded : message)
+    });
+    expectAborted(sender);
+  });
+
+  it('aborts on a confirm that arrives before any share', async () => {
+    const earlier = await connectThroughRelay();
+    const recorded = earlier.sender.sent.find(({ type }) => type === 'pake-confirm');
+    const { receiver } = await connectThroughRelay({
+      tamper: (message, from) => (message.type === 'pake' && from === 'sender' ? [recorded, message] : message)
+    });
+    expectAborted(receiver);
+  });
+
+  it('aborts when the relay drops the confirm and forges one', async () => {
+    const { sender } = await connectThroughRelay({
+      tamper: (message, from) => (message.type === 'pake-confirm' && from === 'receiver'
+        ? { ...message, tag: flipCharacter(message.tag) }
+        : message)
+    });
+    expectAborted(sender);
+  });
+});
+
+describe('sealed control messages through a rogue relay', () => {
+  const fileStart = { type: 'file-start', transferId: 't1', index: 0, fileName: 'notes.txt', path: 'docs/notes.txt', fileSize: 5 };
+
+  it('rejects a changed sealed payload', async () => {
+    const { sender, receiver } = await connectThroughRelay();
+    const sealed = await sealControlMessage(sender.session, fileStart);
+    await expect(openControlMessage(receiver.session, { ...sealed, sealed: flipCharacter(sealed.sealed) })).rejects.toThrow();
+  });
+
+  it('rejects sealed fields sent in the clear instead', async () => {
+    const { receiver } = await connectThroughRelay();
+    await expect(openControlMessage(receiver.session, fileStart)).rejects.toBeInstanceOf(HandshakeError);
+  });
+
+  it('rejects a sealed message passed off as another type', async () => {
+    const { sender, receiver } = await connectThroughRelay();
+    const sealed = await sealControlMessage(sender.session, { type: 'file-end', transferId: 't1', fileName: 'a', path: 'a' });
+    await expect(openControlMessage(receiver.session, { ...sealed, type: 'file-start' })).rejects.toThrow();
+  });
+
+  it('rejects a message sealed under another session', async () => {
+    const first = await connectThroughRelay();
+    const second = await connectThroughRelay();
+    const sealed = await sealControlMessage(first.sender.session, fileStart);
+    await expect(openControlMessage(second.receiver.session, sealed)).rejects.toThrow();
+  });
+
+  it('rejects file-starts whose sealed data the relay swapped between two files', async () => {
+    const { sender, receiver } = await connectThroughRelay();
+    const first = await sealControlMessage(sender.session, { ...fileStart, sha256: 'aa' });
+    const second = await sealControlMessage(sender.session, {
+      ...fileStart, transferId: 't2', index: 1, fileName: 'run.sh', path: 'bin/run.sh', fileSize: 9, sha256: 'bb'
+    });
+    await expect(openControlMessage(receiver.session, { ...first, sealed: second.sealed })).rejects.toThrow();
+    await expect(openControlMessage(receiver.session, { ...second, sealed: first.sealed })).rejects.toThrow();
+  });
+
+  it('rejects a changed or added field next to the sealed data', async () => {
+    const { sender, receiver } = await connectThroughRelay();
+    const sealed = await sealControlMessage(sender.session, fileStart);
+    await expect(openControlMessage(receiver.session, { ...sealed, fileSize: 6 })).rejects.toThrow();
+    await expect(openControlMessage(receiver.session, { ...sealed, encoding: 'gzip' })).rejects.toThrow();
+    await expect(openControlMessage(receiver.session, JSON.parse(JSON.stringify(sealed)))).resolves.toMatchObject(fileStart);
+  });
+
+  it('rejects batch results and answers the relay forged', async () => {
+    const { sender, receiver } = await connectThroughRelay();
+    const forged = [
+      { type: 'batch-end', batchId: 'b1' },
+      { type: 'file-ack', transferId: 't1', status: 'verified' },
+      { type: 'batch-accept', batchId: 'b1' },
+      { type: 'batch-decline', batchId: 'b1' }
+    ];
+    for (const message of forged) {
+      await expect(openControlMessage(receiver.session, message)).rejects.toBeInstanceOf(HandshakeError);
+      const sealed = await sealControlMessage(sender.session, message);
+      await expect(openControlMessage(receiver.session, sealed)).resolves.toEqual(message);
+    }
+
+    const ack = await sealControlMessage(receiver.session, { type: 'file-ack', transferId: 't1', status: 'failed' });
+    await expect(openControlMessage(sender.session, { ...ack, status: 'verified' })).rejects.toThrow();
+    const end = await sealControlMessage(sender.session, { type: 'batch-end', batchId: 'b1' });
+    await expect(openControlMessage(receiver.session, { ...end, batchId: 'b2' })).rejects.toThrow();
+  });
+
+  it('ignores clear copies of sealed fields added next to the sealed data', async () => {
+    const { sender, receiver } = await connectThroughRelay();
+    const sealed = await sealControlMessage(sender.session, { type: 'file-start', transferId: 't1', fileName: 'notes.txt' });
+    const opened = await openControlMessage(receiver.session, { ...sealed, path: '../../.bashrc' });
+    expect(opened.fileName).toBe('notes.txt');
+    expect(opened.path).toBeUndefined();
+  });
+});
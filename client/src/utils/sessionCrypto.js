@@ -0,0 +1,118 @@
+// Encryption for real-time transfers, keyed by the handshake in pake.js. Chunk
+// payloads and the messages that name or carry content (manifests, file names,
+// snippets) are sealed with AES-GCM, so neither the signaling server nor the
+// relay ever sees them in the clear - DTLS alone only protects each hop.
+//
+// Sealed data is iv (12 random bytes) | AES-GCM ciphertext + tag. Chunks bind
+// their transfer ID and offset as additional data, so a chunk can't be moved
+// to another file or position without failing to decrypt; sealed messages
+// bind every field they leave in the clear.
+
+export const SEAL_OVERHEAD = 28; // IV and tag added to every sealed payload
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const hkdfParams = (label) => ({
+  name: 'HKDF',
+  hash: 'SHA-256',
+  salt: new Uint8Array(32),
+  info: encoder.encode(`codedrop-session|${label}`)
+});
+
+// The AES-GCM key and one confirmation tag per role, from the handshake's session key
+export const deriveSessionKeys = async (sessionKey) => {
+  const material = await crypto.subtle.importKey('raw', sessionKey, 'HKDF', false, ['deriveKey', 'deriveBits']);
+  const [key, senderTag, receiverTag] = await Promise.all([
+    crypto.subtle.deriveKey(hkdfParams('encryption'), material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']),
+    crypto.subtle.deriveBits(hkdfParams('confirm-sender'), material, 256),
+    crypto.subtle.deriveBits(hkdfParams('confirm-receiver'), material, 256)
+  ]);
+  return { key, senderTag: toBase64(new Uint8Array(senderTag)), receiverTag: toBase64(new Uint8Array(receiverTag)) };
+};
+
+// Compares without bailing out at the first difference
+export const tagsMatch = (expected, actual) => {
+  if (typeof actual !== 'string' || actual.length !== expected.length) return false;
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  return difference === 0;
+};
+
+export const encodeShare = toBase64;
+
+export const decodeShare = (text) => {
+  try {
+    return typeof text === 'string' ? fromBase64(text) : null;
+  } catch {
+    return null;
+  }
+};
+
+const seal = async (key, plaintext, additionalData) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, plaintext));
+  const sealed = new Uint8Array(iv.length + ciphertext.length);
+  sealed.set(iv);
+  sealed.set(ciphertext, iv.length);
+  return sealed;
+};
+
+// Rejects when the data was tampered with or sealed under another key
+const open = async (key, sealed, additionalData) => new Uint8Array(await crypto.subtle.decrypt(
+  { name: 'AES-GCM', iv: sealed.subarray(0, 12), additionalData },
+  key,
+  sealed.subarray(12)
+));
+
+const chunkData = (transferId, offset) => encoder.encode(`chunk|${transferId}|${offset}`);
+
+export const sealChunk = (key, transferId, offset, payload) => seal(key, payload, chunkData(transferId, offset));
+
+export const openChunk = (key, transferId, offset, sealed) => open(key, sealed, chunkData(transferId, offset));
+
+// The same text for the same fields whatever order they were set in, leaving
+// out undefined ones the way JSON does on the wire
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// Every field left in the clear is bound to the sealed data, so none of them
+// can be changed, added or moved to another message without opening failing
+const messageData = (visible) => encoder.encode(`message|${canonicalJson(visible)}`);
+
+// Moves `fields` of a control message into its `sealed` property
+export const sealMessage = async (key, message, fields) => {
+  const hidden = {};
+  const visible = { ...message };
+  fields.forEach((field) => {
+    hidden[field] = message[field];
+    delete visible[field];
+  });
+  const plaintext = encoder.encode(JSON.stringify(hidden));
+  return { ...visible, sealed: toBase64(await seal(key, plaintext, messageData(visible))) };
+};
+
+// The message with its sealed fields back in place
+export const openMessage = async (key, message) => {
+  const { sealed, ...visible } = message;
+  const plaintext = await open(key, fromBase64(sealed), messageData(visible));
+  return { ...visible, ...JSON.parse(decoder.decode(plaintext)) };
+};
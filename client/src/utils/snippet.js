@@ -0,0 +1,157 @@
+// Text and code snippets: the languages the picker offers, and a small
+// tokenizer for syntax highlighting. It only knows comments, strings, numbers
+// and keywords, which is plenty for reading a pasted snippet.
+
+// Sent as a single data channel message, so it has to stay well under the
+// SCTP message size limit even after JSON escaping
+export const MAX_SNIPPET_BYTES = 64 * 1024;
+
+export const LANGUAGES = [
+  { id: 'plain', label: 'Plain text', extension: 'txt' },
+  { id: 'javascript', label: 'JavaScript', extension: 'js' },
+  { id: 'typescript', label: 'TypeScript', extension: 'ts' },
+  { id: 'python', label: 'Python', extension: 'py' },
+  { id: 'json', label: 'JSON', extension: 'json' },
+  { id: 'html', label: 'HTML', extension: 'html' },
+  { id: 'css', label: 'CSS', extension: 'css' },
+  { id: 'shell', label: 'Shell', extension: 'sh' },
+  { id: 'sql', label: 'SQL', extension: 'sql' },
+  { id: 'go', label: 'Go', extension: 'go' },
+  { id: 'rust', label: 'Rust', extension: 'rs' },
+  { id: 'java', label: 'Java', extension: 'java' },
+  { id: 'c', label: 'C / C++', extension: 'c' }
+];
+
+const EXTENSION_LANGUAGES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  py: 'python', json: 'json', html: 'html', htm: 'html', xml: 'html', svg: 'html',
+  css: 'css', scss: 'css', sh: 'shell', bash: 'shell', sql: 'sql', go: 'go', rs: 'rust',
+  java: 'java', kt: 'java', c: 'c', h: 'c', cpp: 'c', hpp: 'c', cs: 'c'
+};
+
+// Anything the other side sends that we don't know is shown as plain text
+export const getLanguage = (id) => LANGUAGES.find((language) => language.id === id) || LANGUAGES[0];
+
+export const getLanguageForPath = (path = '') => {
+  const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+  return EXTENSION_LANGUAGES[extension] || 'plain';
+};
+
+// --- Highlighting ---
+
+const LINE_COMMENT = /\/\/[^\n]*/;
+const HASH_COMMENT = /#[^\n]*/;
+const DASH_COMMENT = /--[^\n]*/;
+const BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/;
+const HTML_COMMENT = /<!--[\s\S]*?(?:-->|$)/;
+const DOUBLE_QUOTED = /"(?:\\.|[^"\\\n])*"?/;
+const SINGLE_QUOTED = /'(?:\\.|[^'\\\n])*'?/;
+const BACKTICK_QUOTED = /`(?:\\[\s\S]|[^`\\])*`?/;
+const TRIPLE_QUOTED = /"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)/;
+const NUMBER = /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+const HTML_TAG = /<\/?[A-Za-z][\w:-]*|\/?>/;
+
+const words = (list) => new Set(list.split(' '));
+
+const JS_KEYWORDS = 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield';
+
+// Each language is a list of [token type, pattern] tried in order, plus the
+// words to mark as keywords. Patterns must not contain capturing groups.
+const LANGUAGE_RULES = {
+  javascript: {
+    patterns: [['comment', LINE_COMMENT], ['comment', BLOCK_COMMENT], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['string', BACKTICK_QUOTED], ['number', NUMBER]],
+    keywords: words(JS_KEYWORDS)
+  },
+  typescript: {
+    patterns: [['comment', LINE_COMMENT], ['comment', BLOCK_COMMENT], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['string', BACKTICK_QUOTED], ['number', NUMBER]],
+    keywords: words(`${JS_KEYWORDS} abstract any boolean declare enum implements interface keyof namespace never number private protected public readonly string type unknown`)
+  },
+  python: {
+    patterns: [['comment', HASH_COMMENT], ['string', TRIPLE_QUOTED], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['number', NUMBER]],
+    keywords: words('False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return self try while with yield')
+  },
+  json: {
+    patterns: [['string', DOUBLE_QUOTED], ['number', NUMBER]],
+    keywords: words('true false null')
+  },
+  html: {
+    patterns: [['comment', HTML_COMMENT], ['keyword', HTML_TAG], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED]],
+    keywords: new Set()
+  },
+  css: {
+    patterns: [['comment', BLOCK_COMMENT], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['keyword', /@[\w-]+|#[\da-fA-F]{3,8}\b/], ['number', NUMBER]],
+    keywords: words('important inherit initial none auto')
+  },
+  shell: {
+    patterns: [['comment', HASH_COMMENT], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['keyword', /\$\{?\w+\}?/], ['number', NUMBER]],
+    keywords: words('case do done echo elif else esac exit export fi for function if in local read return set shift then until while')
+  },
+  sql: {
+    patterns: [['comment', DASH_COMMENT], ['comment', BLOCK_COMMENT], ['string', SINGLE_QUOTED], ['string', DOUBLE_QUOTED], ['number', NUMBER]],
+    keywords: words('add alter and as asc by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union update values when where with'),
+    ignoreCase: true
+  },
+  go: {
+    patterns: [['comment', LINE_COMMENT], ['comment', BLOCK_COMMENT], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['string', BACKTICK_QUOTED], ['number', NUMBER]],
+    keywords: words('break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var')
+  },
+  rust: {
+    patterns: [['comment', LINE_COMMENT], ['comment', BLOCK_COMMENT], ['string', DOUBLE_QUOTED], ['number', NUMBER]],
+    keywords: words('as async await break const continue crate else enum false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while')
+  },
+  java: {
+    patterns: [['comment', LINE_COMMENT], ['comment', BLOCK_COMMENT], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['number', NUMBER]],
+    keywords: words('abstract boolean break byte case catch char class continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try void while')
+  },
+  c: {
+    patterns: [['comment', LINE_COMMENT], ['comment', BLOCK_COMMENT], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['keyword', /#\s*\w+/], ['number', NUMBER]],
+    keywords: words('auto bool break case char class const continue default delete do double else enum extern false float for if inline int long namespace new nullptr private public return short signed sizeof static struct switch template this true typedef union unsigned using void volatile while')
+  }
+};
+
+const WORD = /[A-Za-z_$][\w$]*/;
+const tokenizers = new Map();
+
+const getTokenizer = (language) => {
+  if (!tokenizers.has(language)) {
+    const { patterns } = LANGUAGE_RULES[language];
+    const source = [...patterns.map(([, pattern]) => pattern), WORD]
+      .map((pattern) => `(${pattern.source})`)
+      .join('|');
+    tokenizers.set(language, new RegExp(source, 'g'));
+  }
+  return tokenizers.get(language);
+};
+
+// [{ type, text }] covering the whole snippet; type is null for plain text.
+// Rendered as React text, so nothing in the snippet is ever parsed as HTML.
+export const highlight = (text, language) => {
+  const rules = LANGUAGE_RULES[language];
+  if (!rules) return [{ type: null, text }];
+
+  const tokens = [];
+  const pushText = (type, value) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) last.text += value;
+    else tokens.push({ type, text: value });
+  };
+
+  const pattern = getTokenizer(language);
+  pattern.lastIndex = 0;
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > position) pushText(null, text.slice(position, match.index));
+    const group = match.findIndex((value, i) => i > 0 && value !== undefined);
+    let type = group <= rules.patterns.length ? rules.patterns[group - 1][0] : null;
+    if (!type) {
+      const word = rules.ignoreCase ? match[0].toLowerCase() : match[0];
+      type = rules.keywords.has(word) ? 'keyword' : null;
+    }
+    pushText(type, match[0]);
+    position = pattern.lastIndex;
+  }
+  if (position < text.length) pushText(null, text.slice(position));
+  return tokens;
+};
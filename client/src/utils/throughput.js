@@ -0,0 +1,56 @@
+// Measures how fast a transfer is really going: the rate over the last few
+// seconds, the average since it started, and the time left at the current rate.
+
+const WINDOW = 5000; // ms of samples behind the "current" rate
+const MIN_SAMPLE_GAP = 200; // ms; chunks arrive far more often than that
+
+export const createThroughputMeter = () => {
+  let samples = []; // [{ time, bytes }], oldest first
+  let start = null;
+  let total = 0;
+
+  const reset = () => {
+    samples = [];
+    start = null;
+    total = 0;
+  };
+
+  return {
+    // bytes: how much of totalBytes has been moved so far. A smaller number than
+    // last time means a new transfer (or a restart), so measuring starts over.
+    record(bytes, totalBytes, now = Date.now()) {
+      const last = samples[samples.length - 1];
+      if (last && bytes < last.bytes) reset();
+      if (!start) start = { time: now, bytes };
+      total = totalBytes;
+      if (last && now - last.time < MIN_SAMPLE_GAP) {
+        last.bytes = bytes;
+        return;
+      }
+      samples.push({ time: now, bytes });
+      while (samples.length > 2 && now - samples[1].time > WINDOW) samples.shift();
+    },
+
+    // { current, average } in bytes per second, plus seconds left (null while unknown)
+    read(now = Date.now()) {
+      const last = samples[samples.length - 1];
+      if (!last || !start) return null;
+      const first = samples[0];
+      // A stalled transfer is still "current": count the quiet time since the last chunk
+      const windowTime = (now - first.time) / 1000;
+      const current = windowTime > 0 ? (last.bytes - first.bytes) / windowTime : 0;
+      const elapsed = (last.time - start.time) / 1000;
+      const average = elapsed > 0 ? (last.bytes - start.bytes) / elapsed : 0;
+      const remaining = Math.max(0, total - last.bytes);
+      return {
+        current,
+        average,
+        bytes: last.bytes,
+        totalBytes: total,
+        secondsLeft: current > 0 ? remaining / current : null
+      };
+    },
+
+    reset
+  };
+};
@@ -0,0 +1,88 @@
+// Verifying who is on the other end before any file leaves the sender.
+//
+// Each peer makes its own DTLS certificate up front and announces the
+// fingerprint through the signaling server. Both sides turn the two
+// fingerprints into the same short phrase, which the people compare out loud
+// before the sender accepts. Later the SDP each side receives must carry the
+// announced fingerprint, so a server that swapped in its own certificates
+// would show two different phrases - and could not hide it afterwards.
+//
+// The phrase is short, so the server must not get to pick certificates until
+// two phrases happen to match. The receiver joins with only a commitment to its
+// fingerprint; the sender answers with a fresh nonce; only then does the
+// receiver reveal the fingerprint, which the sender checks against the
+// commitment. The phrase covers both fingerprints and the nonce, so whatever
+// the server substitutes is fixed before it sees what it would have to match.
+
+const PHRASE_WORDS = [
+  'acorn', 'alpha', 'amber', 'anchor', 'apple', 'arrow', 'aspen', 'atlas',
+  'badge', 'bagel', 'bamboo', 'banjo', 'basil', 'beach', 'beacon', 'berry',
+  'birch', 'bison', 'blaze', 'bloom', 'boat', 'bolt', 'bottle', 'brave',
+  'breeze', 'brick', 'bridge', 'brook', 'bubble', 'cabin', 'cactus', 'camel',
+  'candle', 'canoe', 'canyon', 'carbon', 'cedar', 'chalk', 'cherry', 'chess',
+  'cider', 'circle', 'clay', 'cliff', 'cloud', 'clover', 'cobalt', 'comet',
+  'coral', 'cotton', 'crane', 'crater', 'cricket', 'crown', 'crystal', 'daisy',
+  'delta', 'denim', 'desert', 'diamond', 'dolphin', 'dragon', 'drum', 'dune',
+  'eagle', 'echo', 'ember', 'falcon', 'feather', 'fern', 'fiddle', 'field',
+  'flame', 'flint', 'forest', 'fossil', 'fox', 'frost', 'galaxy', 'garden',
+  'garnet', 'ginger', 'glacier', 'glass', 'globe', 'gold', 'granite', 'grape',
+  'gravel', 'guitar', 'hammer', 'harbor', 'harp', 'hazel', 'heron', 'hill',
+  'honey', 'horizon', 'iceberg', 'indigo', 'iris', 'island', 'ivory', 'jade',
+  'jasmine', 'jelly', 'jungle', 'kayak', 'kettle', 'kite', 'koala', 'lagoon',
+  'lake', 'lamp', 'lantern', 'lava', 'lemon', 'lily', 'lime', 'lion',
+  'lotus', 'lunar', 'magnet', 'mango', 'maple', 'marble', 'meadow', 'melon',
+  'meteor', 'mint', 'mirror', 'mist', 'moon', 'moss', 'mountain', 'nebula',
+  'nectar', 'nest', 'noodle', 'north', 'nova', 'oak', 'oasis', 'ocean',
+  'olive', 'onyx', 'opal', 'orbit', 'orchid', 'otter', 'owl', 'oyster',
+  'paddle', 'palm', 'panda', 'paper', 'parrot', 'peach', 'pearl', 'pebble',
+  'pepper', 'piano', 'pine', 'pixel', 'planet', 'plum', 'pocket', 'polar',
+  'pond', 'poppy', 'prairie', 'prism', 'puffin', 'pumpkin', 'quartz', 'quill',
+  'rabbit', 'radar', 'rain', 'raven', 'reef', 'ridge', 'river', 'robin',
+  'rocket', 'rose', 'ruby', 'saffron', 'sage', 'salmon', 'sand', 'saturn',
+  'shadow', 'shell', 'silver', 'sky', 'slate', 'snow', 'solar', 'sparrow',
+  'spice', 'spruce', 'star', 'stone', 'storm', 'sugar', 'summit', 'sun',
+  'swan', 'table', 'tango', 'thistle', 'thunder', 'tiger', 'timber', 'topaz',
+  'torch', 'tulip', 'tundra', 'turtle', 'valley', 'velvet', 'violet', 'voyage',
+  'walnut', 'water', 'wave', 'whale', 'willow', 'wind', 'winter', 'wolf',
+  'yak', 'yarrow', 'zebra', 'zenith', 'zephyr', 'zinc', 'apricot', 'aurora',
+  'bramble', 'breadfruit', 'cashew', 'citrus', 'compass', 'cypress', 'ferry', 'fjord',
+  'gecko', 'hollow', 'jaguar', 'lichen', 'mosaic', 'pelican', 'sequoia', 'walrus'
+];
+const PHRASE_LENGTH = 4; // 32 bits
+
+export const createDtlsCertificate = () => (
+  RTCPeerConnection.generateCertificate({ name: 'ECDSA', namedCurve: 'P-256' })
+);
+
+const formatFingerprint = (algorithm, value) => `${algorithm.toLowerCase()} ${value.toUpperCase()}`;
+
+export const getCertificateFingerprint = (certificate) => {
+  const fingerprints = certificate.getFingerprints();
+  const preferred = fingerprints.find(({ algorithm }) => algorithm.toLowerCase() === 'sha-256') || fingerprints[0];
+  return formatFingerprint(preferred.algorithm, preferred.value);
+};
+
+// The fingerprint a remote description commits to (session or first media level)
+export const getSdpFingerprint = (sdp) => {
+  const match = /^a=fingerprint:(\S+) (\S+)\s*$/m.exec(sdp || '');
+  return match ? formatFingerprint(match[1], match[2]) : null;
+};
+
+const sha256 = async (text) => new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// What the receiver sends in place of its fingerprint when joining
+export const commitToFingerprint = async (fingerprint) => toHex(await sha256(`codedrop-commit|${fingerprint}`));
+
+export const matchesCommitment = async (fingerprint, commitment) => (
+  typeof fingerprint === 'string' && (await commitToFingerprint(fingerprint)) === commitment
+);
+
+// The sender's answer to a commitment, one per receiver
+export const createVerificationNonce = () => toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+export const deriveVerificationPhrase = async (senderFingerprint, receiverFingerprint, nonce) => {
+  const digest = await sha256(`codedrop-verify|${senderFingerprint}|${receiverFingerprint}|${nonce}`);
+  return Array.from(digest.slice(0, PHRASE_LENGTH), (byte) => PHRASE_WORDS[byte]).join(' ');
+};
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { commitToFingerprint, matchesCommitment, createVerificationNonce, deriveVerificationPhrase } from './verification';
+
+const SENDER_FINGERPRINT = `sha-256 ${Array(32).fill('AB').join(':')}`;
+const RECEIVER_FINGERPRINT = `sha-256 ${Array(32).fill('CD').join(':')}`;
+const ROGUE_FINGERPRINT = `sha-256 ${Array(32).fill('EF').join(':')}`;
+
+describe('fingerprint commitments', () => {
+  it('match only the fingerprint they were made for', async () => {
+    const commitment = await commitToFingerprint(RECEIVER_FINGERPRINT);
+    expect(commitment).toMatch(/^[0-9a-f]{64}$/);
+    await expect(matchesCommitment(RECEIVER_FINGERPRINT, commitment)).resolves.toBe(true);
+    await expect(matchesCommitment(ROGUE_FINGERPRINT, commitment)).resolves.toBe(false);
+    await expect(matchesCommitment(undefined, commitment)).resolves.toBe(false);
+  });
+});
+
+describe('deriveVerificationPhrase', () => {
+  it('gives both sides the same four words', async () => {
+    const nonce = createVerificationNonce();
+    const phrase = await deriveVerificationPhrase(SENDER_FINGERPRINT, RECEIVER_FINGERPRINT, nonce);
+    expect(phrase.split(' ')).toHaveLength(4);
+    await expect(deriveVerificationPhrase(SENDER_FINGERPRINT, RECEIVER_FINGERPRINT, nonce)).resolves.toBe(phrase);
+  });
+
+  it('depends on the nonce as well as both fingerprints', async () => {
+    const nonces = Array.from({ length: 8 }, createVerificationNonce);
+    expect(new Set(nonces).size).toBe(nonces.length);
+    const phrases = await Promise.all(nonces.map((nonce) => deriveVerificationPhrase(SENDER_FINGERPRINT, RECEIVER_FINGERPRINT, nonce)));
+    expect(new Set(phrases).size).toBeGreaterThan(1);
+    const nonce = nonces[0];
+    await expect(deriveVerificationPhrase(SENDER_FINGERPRINT, ROGUE_FINGERPRINT, nonce))
+      .resolves.not.toBe(await deriveVerificationPhrase(SENDER_FINGERPRINT, RECEIVER_FINGERPRINT, nonce));
+  });
+});
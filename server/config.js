@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { DEFAULT_STUN_URLS } = require('./iceServers');
+const { ROOM_CODE_FORMATS } = require('./roomCodes');
+const { EXPIRY_OPTIONS, DEFAULT_EXPIRY } = require('./uploadStore');
+
+// --- Server configuration ---
+// Every setting the server can be tuned with, each with a type, a default and
+// an environment variable. Values are layered: the defaults below, then a JSON
+// config file, then environment variables. Everything is checked before the
+// server starts, so a typo fails the deploy instead of showing up as odd
+// behaviour later.
+//
+// The config file is the one named by `--config <path>` or CONFIG_FILE, else
+// config.json next to this file if there is one. It uses the same nesting as
+// the settings, e.g. { "rooms": { "maxAge": "45m" }, "allowedOrigins": [...] }.
+// Durations take a number in the setting's unit or a string such as "90s",
+// "30m" or "24h"; sizes take bytes or a string such as "512MB". Relative paths
+// are resolved against this directory.
+//
+// `node server.js --print-config` prints the result (secrets hidden) and exits.
+
+const SERVER_DIR = __dirname;
+const DEFAULT_CONFIG_FILE = path.join(SERVER_DIR, 'config.json');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const MB = 1024 * 1024;
+
+const SETTINGS = {
+  port: { type: 'integer', env: 'PORT', default: 3001, min: 1, max: 65535 },
+  // Browser origins allowed to use the signaling server, upload API and file downloads
+  allowedOrigins: {
+    type: 'list',
+    env: 'ALLOWED_ORIGINS',
+    default: [
+      'https://code-drop-theta.vercel.app',
+      'http://localhost:3000',
+      'https://localhost:3000',
+      'http://localhost:5173'
+    ]
+  },
+
+  'uploads.dir': { type: 'path', env: 'UPLOADS_DIR', default: 'uploads' },
+  'uploads.partialDir': { type: 'path', env: 'PARTIAL_UPLOADS_DIR', default: 'uploads-partial' },
+  'uploads.storePath': { type: 'path', env: 'UPLOAD_STORE_PATH', default: 'uploads.json' },
+  'uploads.maxSize': { type: 'size', env: 'MAX_UPLOAD_SIZE', default: 2048 * MB, min: 1 },
+  // Used when an upload doesn't pick an expiry itself
+  'uploads.defaultExpiry': { type: 'string', env: 'UPLOAD_DEFAULT_EXPIRY', default: DEFAULT_EXPIRY, oneOf: Object.keys(EXPIRY_OPTIONS) },
+  // Files without a metadata record, and resumable uploads nobody finished
+  'uploads.orphanMaxAge': { type: 'duration', env: 'ORPHAN_FILE_MAX_AGE', default: 24 * HOUR },
+  'uploads.partialMaxAge': { type: 'duration', env: 'PARTIAL_UPLOAD_MAX_AGE', default: 24 * HOUR },
+  'uploads.cleanupSchedule': { type: 'cron', env: 'FILE_CLEANUP_SCHEDULE', default: '0 * * * *' },
+
+  'rooms.maxAge': { type: 'duration', env: 'ROOM_MAX_AGE', default: 30 * MINUTE },
+  // Rooms nobody has joined are closed after this long without activity
+  'rooms.inactiveTimeout': { type: 'duration', env: 'ROOM_INACTIVE_TIMEOUT', default: 5 * MINUTE },
+  // Receivers one room can hold, accepted or waiting for approval
+  'rooms.maxReceivers': { type: 'integer', env: 'MAX_RECEIVERS_PER_ROOM', default: 10, min: 1 },
+  // "words" (tiger-lamp-42) or "alphanumeric" (K7QM4XZP2A)
+  'rooms.codeFormat': { type: 'string', env: 'ROOM_CODE_FORMAT', default: 'words', oneOf: ROOM_CODE_FORMATS },
+  'rooms.codeWords': { type: 'integer', env: 'ROOM_CODE_WORDS', default: 2, min: 2, max: 5 },
+  'rooms.codeLength': { type: 'integer', env: 'ROOM_CODE_LENGTH', default: 10, min: 8, max: 32 },
+  'rooms.cleanupSchedule': { type: 'cron', env: 'ROOM_CLEANUP_SCHEDULE', default: '*/5 * * * *' },
+
+  // Failed joins allowed within 10 minutes before a 15 minute lockout
+  'joinLimits.maxFailuresPerSocket': { type: 'integer', env: 'JOIN_MAX_FAILURES_PER_SOCKET', default: 5, min: 1 },
+  'joinLimits.maxFailuresPerIp': { type: 'integer', env: 'JOIN_MAX_FAILURES_PER_IP', default: 20, min: 1 },
+
+  // Sockets that haven't pinged for `timeout` are dropped; checked every `checkInterval`
+  'heartbeat.timeout': { type: 'duration', env: 'HEARTBEAT_TIMEOUT', default: 30 * SECOND },
+  'heartbeat.checkInterval': { type: 'duration', env: 'HEARTBEAT_CHECK_INTERVAL', default: 15 * SECOND },
+
+  'socketIo.pingTimeout': { type: 'duration', env: 'SOCKET_PING_TIMEOUT', default: 60 * SECOND },
+  'socketIo.pingInterval': { type: 'duration', env: 'SOCKET_PING_INTERVAL', default: 25 * SECOND },
+  'socketIo.upgradeTimeout': { type: 'duration', env: 'SOCKET_UPGRADE_TIMEOUT', default: 30 * SECOND },
+
+  'relay.enabled': { type: 'boolean', env: 'RELAY_ENABLED', default: true },
+  // Bytes one room may send through the relay over its lifetime
+  'relay.maxBytesPerRoom': { type: 'size', env: 'RELAY_MAX_BYTES_PER_ROOM', default: 512 * MB, min: 1 },
+  'relay.ackTimeout': { type: 'duration', env: 'RELAY_ACK_TIMEOUT', default: 30 * SECOND },
+
+  'ice.stunUrls': { type: 'list', env: 'STUN_URLS', default: DEFAULT_STUN_URLS },
+  // turn:/turns: URLs and the coturn static-auth-secret for short-lived credentials
+  'ice.turnUrls': { type: 'list', env: 'TURN_URLS', default: [] },
+  'ice.turnSecret': { type: 'secret', env: 'TURN_SECRET', default: null },
+  'ice.credentialTtl': { type: 'duration', unit: 's', env: 'TURN_CREDENTIAL_TTL', default: 24 * 60 * 60 },
+
+  // Set to share rooms between several instances (see roomStore.js)
+  'redis.url': { type: 'url', env: 'REDIS_URL', default: null },
+  'redis.prefix': { type: 'string', env: 'REDIS_PREFIX', default: 'codedrop:' }
+};
+
+const DURATION_UNITS = { ms: 1, s: SECOND, m: MINUTE, h: HOUR, d: 24 * HOUR };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: MB, gb: 1024 * MB };
+
+const inRange = (value, { min = -Infinity, max = Infinity }) => {
+  if (value < min) return { error: `must be at least ${min}` };
+  if (value > max) return { error: `must be at most ${max}` };
+  return { value };
+};
+
+// Number of `units` from a bare number or a "<number><unit>" string
+const parseQuantity = (value, units, unitScale) => {
+  if (typeof value === 'number') return value;
+  const match = typeof value === 'string' && value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+  if (!match) return NaN;
+  if (!match[2]) return Number(match[1]);
+  return units[match[2]] ? (Number(match[1]) * units[match[2]]) / unitScale : NaN;
+};
+
+// Each parser gets a value from the file (any JSON type) or the environment
+// (always a string) and returns { value } or { error }
+const PARSERS = {
+  integer: (value, setting) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return Number.isInteger(number) ? inRange(number, setting) : { error: 'must be a whole number' };
+  },
+
+  duration: (value, setting) => {
+    const amount = Math.round(parseQuantity(value, DURATION_UNITS, DURATION_UNITS[setting.unit || 'ms']));
+    return amount > 0 ? inRange(amount, setting) : { error: 'must be a positive duration, e.g. 30s, 5m or 24h' };
+  },
+
+  size: (value, setting) => {
+    const bytes = Math.floor(parseQuantity(value, SIZE_UNITS, 1));
+    return bytes > 0 ? inRange(bytes, setting) : { error: 'must be a size in bytes, or e.g. 512MB' };
+  },
+
+  boolean: (value) => {
+    if (typeof value === 'boolean') return { value };
+    const text = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+    if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+    return { error: 'must be true or false' };
+  },
+
+  string: (value, setting) => {
+    if (typeof value !== 'string' || value === '') return { error: 'must be a non-empty string' };
+    if (setting.oneOf && !setting.oneOf.includes(value)) return { error: `must be one of ${setting.oneOf.join(', ')}` };
+    return { value };
+  },
+
+  // Comma-separated in the environment, an array in the file
+  list: (value) => {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+      return { error: 'must be a list of strings' };
+    }
+    return { value: items.map((item) => item.trim()).filter(Boolean) };
+  },
+
+  path: (value) => (
+    typeof value === 'string' && value !== ''
+      ? { value: path.resolve(SERVER_DIR, value) }
+      : { error: 'must be a path' }
+  ),
+
+  cron: (value) => (
+    typeof value === 'string' && cron.validate(value)
+      ? { value }
+      : { error: 'must be a cron expression, e.g. */5 * * * *' }
+  ),
+
+  secret: (value) => {
+    if (value === null || value === '') return { value: null };
+    return typeof value === 'string' ? { value } : { error: 'must be a string' };
+  },
+
+  url: (value) => {
+    if (value === null || value === '') return { value: null };
+    try {
+      return { value: new URL(value).toString() };
+    } catch {
+      return { error: 'must be a URL' };
+    }
+  }
+};
+
+// Settings that only make sense together
+const checkCombinations = (config, errors) => {
+  if (config.heartbeat.checkInterval >= config.heartbeat.timeout) {
+    errors.push('heartbeat.checkInterval must be shorter than heartbeat.timeout');
+  }
+  if (config.rooms.inactiveTimeout > config.rooms.maxAge) {
+    errors.push('rooms.inactiveTimeout must not be longer than rooms.maxAge');
+  }
+};
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => (
+  value && typeof value === 'object' ? value[part] : undefined
+), object);
+
+const setPath = (object, key, value) => {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((node, part) => {
+    node[part] = node[part] || {};
+    return node[part];
+  }, object);
+  parent[parts[parts.length - 1]] = value;
+};
+
+// Dotted names of everything in the file that isn't a known setting
+const findUnknownKeys = (object, prefix = '') => Object.entries(object).flatMap(([key, value]) => {
+  const name = `${prefix}${key}`;
+  if (SETTINGS[name]) return [];
+  const isSection = Object.keys(SETTINGS).some((setting) => setting.startsWith(`${name}.`));
+  if (isSection && value && typeof value === 'object' && !Array.isArray(value)) {
+    return findUnknownKeys(value, `${name}.`);
+  }
+  return [name];
+});
+
+const findConfigFile = (argv, env) => {
+  const flagIndex = argv.findIndex((arg) => arg === '--config' || arg.startsWith('--config='));
+  if (flagIndex !== -1) {
+    const arg = argv[flagIndex];
+    return { filePath: arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[flagIndex + 1], required: true };
+  }
+  if (env.CONFIG_FILE) return { filePath: env.CONFIG_FILE, required: true };
+  return { filePath: DEFAULT_CONFIG_FILE, required: false };
+};
+
+const readConfigFile = ({ filePath, required }) => {
+  if (!filePath) throw new Error('--config needs a file path');
+  const resolved = path.resolve(filePath);
+  let text;
+  try {
+    text = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return { file: null, values: {} };
+    throw new Error(`Could not read config file ${resolved}: ${error.message}`);
+  }
+
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Config file ${resolved} is not valid JSON: ${error.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Config file ${resolved} must contain a JSON object`);
+  }
+  return { file: resolved, values };
+};
+
+// Returns { config, file, sources }: the settings as a nested, frozen object,
+// the config file that was read (or null), and where each setting came from.
+// Throws with every problem listed when anything is invalid.
+const loadConfig = ({ argv = process.argv.slice(2), env = process.env } = {}) => {
+  const { file, values: fileValues } = readConfigFile(findConfigFile(argv, env));
+  const errors = findUnknownKeys(fileValues).map((key) => `${key} is not a known setting (in ${file})`);
+  const config = {};
+  const sources = {};
+
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    let raw = setting.default;
+    let source = 'default';
+    const fromFile = getPath(fileValues, key);
+    if (fromFile !== undefined) {
+      raw = fromFile;
+      source = 'file';
+    }
+    // Empty variables count as unset, like the `Number(...) || default` checks this replaces
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      raw = env[setting.env];
+      source = `env ${setting.env}`;
+    }
+
+    const parsed = raw === null ? { value: null } : PARSERS[setting.type](raw, setting);
+    if (parsed.error) {
+      errors.push(`${key} (from ${source}) ${parsed.error}, got ${JSON.stringify(raw)}`);
+    }
+    setPath(config, key, parsed.value);
+    sources[key] = source;
+  });
+
+  if (errors.length === 0) checkCombinations(config, errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+
+  Object.values(config).forEach((value) => {
+    if (value && typeof value === 'object') Object.freeze(value);
+  });
+  return { config: Object.freeze(config), file, sources };
+};
+
+// The config as --print-config shows it: secrets and URL passwords hidden
+const describeConfig = (config) => {
+  const copy = JSON.parse(JSON.stringify(config));
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    const value = getPath(copy, key);
+    if (value === null) return;
+    if (setting.type === 'secret') setPath(copy, key, '(hidden)');
+    if (setting.type === 'url') {
+      const url = new URL(value);
+      if (url.password) url.password = 'hidden';
+      setPath(copy, key, url.toString());
+    }
+  });
+  return copy;
+};
+
+module.exports = { loadConfig, describeConfig, SETTINGS };
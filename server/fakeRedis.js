@@ -0,0 +1,294 @@
+const net = require('net');
+
+// --- Redis stand-in for the tests ---
+// Just enough of Redis for the room store and Socket.IO's Redis adapter, kept in
+// memory. createFakeRedisClient() looks like a node-redis client (camelCase
+// commands resolving with RESP2 replies, multi() transactions that run their
+// queued commands together on exec()); createFakeRedisServer() speaks RESP2 over
+// TCP, with pub/sub, so whole server instances can share it through REDIS_URL.
+// Keys never expire; the stores don't rely on that for anything but cleanup.
+
+const createFakeRedisCommands = () => {
+  const data = new Map();
+  const hash = (key) => {
+    if (!data.has(key)) data.set(key, new Map());
+    return data.get(key);
+  };
+  const set = (key) => {
+    if (!data.has(key)) data.set(key, new Set());
+    return data.get(key);
+  };
+  // Sorted sets are Maps of member -> score
+  const sortedSet = (key) => {
+    if (!data.has(key)) data.set(key, new Map());
+    return data.get(key);
+  };
+  // Redis drops hashes and sets once they are empty
+  const dropIfEmpty = (key) => {
+    if (data.get(key)?.size === 0) data.delete(key);
+  };
+  const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+  const commands = {
+    hSet(key, field, value) {
+      const entries = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+      const target = hash(key);
+      return entries.reduce((added, [name, fieldValue]) => {
+        const isNew = !target.has(name);
+        target.set(name, String(fieldValue));
+        return added + (isNew ? 1 : 0);
+      }, 0);
+    },
+    hSetNX(key, field, value) {
+      const target = hash(key);
+      if (target.has(field)) return 0;
+      target.set(field, String(value));
+      return 1;
+    },
+    hGet: (key, field) => data.get(key)?.get(field) ?? null,
+    hGetAll: (key) => Object.fromEntries(data.get(key) || []),
+    hDel(key, field) {
+      const removed = data.get(key)?.delete(field) ? 1 : 0;
+      dropIfEmpty(key);
+      return removed;
+    },
+    hIncrBy(key, field, increment) {
+      const target = hash(key);
+      const total = Number(target.get(field) || 0) + increment;
+      target.set(field, String(total));
+      return total;
+    },
+    hLen: (key) => data.get(key)?.size || 0,
+    sAdd(key, members) {
+      const target = set(key);
+      return toList(members).reduce((added, member) => {
+        const isNew = !target.has(member);
+        target.add(member);
+        return added + (isNew ? 1 : 0);
+      }, 0);
+    },
+    sRem(key, members) {
+      const target = data.get(key);
+      const removed = target ? toList(members).filter((member) => target.delete(member)).length : 0;
+      dropIfEmpty(key);
+      return removed;
+    },
+    sMembers: (key) => [...(data.get(key) || [])],
+    zAdd(key, members) {
+      const target = sortedSet(key);
+      return toList(members).reduce((added, { score, value }) => {
+        const isNew = !target.has(value);
+        target.set(value, Number(score));
+        return added + (isNew ? 1 : 0);
+      }, 0);
+    },
+    zRemRangeByScore(key, min, max) {
+      const target = data.get(key);
+      if (!target) return 0;
+      const bound = (value) => Number(String(value).replace('inf', 'Infinity')); // "-inf", "+inf"
+      const inRange = (score) => score >= bound(min) && score <= bound(max);
+      const removed = [...target].filter(([member, score]) => inRange(score) && target.delete(member)).length;
+      dropIfEmpty(key);
+      return removed;
+    },
+    zCard: (key) => data.get(key)?.size || 0,
+    get: (key) => data.get(key) ?? null,
+    set(key, value) {
+      data.set(key, String(value));
+      return 'OK';
+    },
+    del: (keys) => toList(keys).filter((key) => data.delete(key)).length,
+    exists: (key) => (data.has(key) ? 1 : 0),
+    expire: (key) => (data.has(key) ? 1 : 0),
+    pExpire: (key) => (data.has(key) ? 1 : 0)
+  };
+
+  return { data, commands };
+};
+
+const createFakeRedisClient = () => {
+  const { data, commands } = createFakeRedisCommands();
+
+  const client = { data };
+  Object.entries(commands).forEach(([name, command]) => {
+    client[name] = async (...args) => command(...args);
+  });
+  client.multi = () => {
+    const queued = [];
+    const transaction = {
+      async exec() {
+        return queued.map((run) => run());
+      }
+    };
+    Object.entries(commands).forEach(([name, command]) => {
+      transaction[name] = (...args) => {
+        queued.push(() => command(...args));
+        return transaction;
+      };
+    });
+    return transaction;
+  };
+  return client;
+};
+
+// RESP2 replies: 'OK'-style statuses are sent as bulk strings, which clients
+// read the same way
+const encodeReply = (reply) => {
+  if (reply === null || reply === undefined) return [Buffer.from('$-1\r\n')];
+  if (typeof reply === 'number') return [Buffer.from(`:${reply}\r\n`)];
+  if (reply instanceof Error) return [Buffer.from(`-${reply.message}\r\n`)];
+  if (Array.isArray(reply)) return [Buffer.from(`*${reply.length}\r\n`), ...reply.flatMap(encodeReply)];
+  if (typeof reply === 'object' && !Buffer.isBuffer(reply)) return encodeReply(Object.entries(reply).flat());
+  const bytes = Buffer.isBuffer(reply) ? reply : Buffer.from(String(reply));
+  return [Buffer.from(`$${bytes.length}\r\n`), bytes, Buffer.from('\r\n')];
+};
+
+// One command from its RESP arguments (Buffers) to the camelCase commands
+const runCommand = (commands, name, args) => {
+  const [key, ...rest] = args.map(String);
+  const pairs = (list) => list.reduce((result, item, index) => (
+    index % 2 ? result : [...result, [item, list[index + 1]]]
+  ), []);
+
+  switch (name) {
+    case 'PING': return 'PONG';
+    case 'CLIENT': case 'SELECT': return 'OK';
+    case 'HSET': return commands.hSet(key, Object.fromEntries(pairs(rest)));
+    case 'HSETNX': return commands.hSetNX(key, rest[0], rest[1]);
+    case 'HGET': return commands.hGet(key, rest[0]);
+    case 'HGETALL': return commands.hGetAll(key);
+    case 'HDEL': return rest.reduce((removed, field) => removed + commands.hDel(key, field), 0);
+    case 'HINCRBY': return commands.hIncrBy(key, rest[0], Number(rest[1]));
+    case 'HLEN': return commands.hLen(key);
+    case 'SADD': return commands.sAdd(key, rest);
+    case 'SREM': return commands.sRem(key, rest);
+    case 'SMEMBERS': return commands.sMembers(key);
+    case 'ZADD': return commands.zAdd(key, pairs(rest).map(([score, value]) => ({ score, value })));
+    case 'ZREMRANGEBYSCORE': return commands.zRemRangeByScore(key, rest[0], rest[1]);
+    case 'ZCARD': return commands.zCard(key);
+    case 'GET': return commands.get(key);
+    case 'SET': return commands.set(key, rest[0]);
+    case 'DEL': return commands.del([key, ...rest]);
+    case 'EXISTS': return commands.exists(key);
+    case 'EXPIRE': return commands.expire(key);
+    case 'PEXPIRE': return commands.pExpire(key);
+    default: return new Error(`ERR unknown command '${name}'`);
+  }
+};
+
+// Resolves to the listening server; its address() has the port for REDIS_URL
+const createFakeRedisServer = ({ port = 0, host = '127.0.0.1' } = {}) => {
+  const { data, commands } = createFakeRedisCommands();
+  const subscribers = new Set(); // connections with their channels and patterns
+
+  const toPattern = (glob) => new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+
+  const publish = (channel, message) => {
+    let received = 0;
+    subscribers.forEach((subscriber) => {
+      if (subscriber.channels.has(channel)) {
+        received++;
+        subscriber.send(['message', channel, message]);
+      }
+      subscriber.patterns.forEach((pattern) => {
+        if (toPattern(pattern).test(channel)) {
+          received++;
+          subscriber.send(['pmessage', pattern, channel, message]);
+        }
+      });
+    });
+    return received;
+  };
+
+  const server = net.createServer((socket) => {
+    const connection = {
+      channels: new Set(),
+      patterns: new Set(),
+      queued: null, // commands between MULTI and EXEC
+      send: (reply) => encodeReply(reply).forEach((part) => socket.write(part))
+    };
+    let buffer = Buffer.alloc(0);
+
+    // Pub/sub and transactions; everything else goes to runCommand
+    const handle = ([command, ...args]) => {
+      const name = command.toString().toUpperCase();
+      if (connection.queued && name !== 'EXEC') {
+        connection.queued.push([name, args]);
+        return connection.send('QUEUED');
+      }
+      switch (name) {
+        case 'MULTI':
+          connection.queued = [];
+          return connection.send('OK');
+        case 'EXEC': {
+          const queued = connection.queued || [];
+          connection.queued = null;
+          return connection.send(queued.map(([queuedName, queuedArgs]) => runCommand(commands, queuedName, queuedArgs)));
+        }
+        case 'SUBSCRIBE': case 'PSUBSCRIBE': {
+          const target = name === 'SUBSCRIBE' ? connection.channels : connection.patterns;
+          subscribers.add(connection);
+          return args.map(String).forEach((channel) => {
+            target.add(channel);
+            connection.send([name.toLowerCase(), channel, connection.channels.size + connection.patterns.size]);
+          });
+        }
+        case 'UNSUBSCRIBE': case 'PUNSUBSCRIBE': {
+          const target = name === 'UNSUBSCRIBE' ? connection.channels : connection.patterns;
+          return args.map(String).forEach((channel) => {
+            target.delete(channel);
+            connection.send([name.toLowerCase(), channel, connection.channels.size + connection.patterns.size]);
+          });
+        }
+        case 'PUBLISH':
+          return connection.send(publish(args[0].toString(), args[1]));
+        case 'PUBSUB': {
+          const channels = args.slice(1).map(String);
+          const counts = channels.flatMap((channel) => [
+            channel,
+            [...subscribers].filter((subscriber) => subscriber.channels.has(channel)).length
+          ]);
+          return connection.send(args[0].toString().toUpperCase() === 'NUMSUB' ? counts : []);
+        }
+        default:
+          return connection.send(runCommand(commands, name, args));
+      }
+    };
+
+    // Requests are arrays of bulk strings: *<count>\r\n then $<length>\r\n<bytes>\r\n each
+    const readRequest = () => {
+      const lineEnd = buffer.indexOf('\r\n');
+      if (buffer[0] !== 0x2a || lineEnd < 0) return null;
+      const count = Number(buffer.subarray(1, lineEnd));
+      const args = [];
+      let position = lineEnd + 2;
+      for (let i = 0; i < count; i++) {
+        const headerEnd = buffer.indexOf('\r\n', position);
+        if (headerEnd < 0) return null;
+        const length = Number(buffer.subarray(position + 1, headerEnd));
+        if (buffer.length < headerEnd + 2 + length + 2) return null;
+        args.push(buffer.subarray(headerEnd + 2, headerEnd + 2 + length));
+        position = headerEnd + 2 + length + 2;
+      }
+      buffer = buffer.subarray(position);
+      return args;
+    };
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (let request = readRequest(); request; request = readRequest()) {
+        handle(request);
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => subscribers.delete(connection));
+  });
+  server.data = data;
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+};
+
+module.exports = { createFakeRedisClient, createFakeRedisServer };
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// --- ICE server configuration for clients ---
+// With TURN_SECRET set, every request gets short-lived TURN credentials in the
+// TURN REST API format that coturn's `use-auth-secret` understands:
+//   username   = "<unix expiry>:<user id>"
+//   credential = base64(HMAC-SHA1(secret, username))
+// Without a secret we fall back to the free public relays, whose credentials
+// are public anyway.
+
+const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302',
+  'stun:stun.cloudflare.com:3478'
+];
+
+const PUBLIC_TURN_SERVERS = [
+  {
+    urls: ['turn:openrelay.metered.ca:80', 'turn:openrelay.metered.ca:443', 'turn:openrelay.metered.ca:443?transport=tcp'],
+    username: 'openrelayproject',
+    credential: 'openrelayproject'
+  },
+  {
+    urls: ['turn:relay.backups.cz', 'turn:relay.backups.cz:443'],
+    username: 'webrtc',
+    credential: 'webrtc'
+  }
+];
+
+const DEFAULT_CREDENTIAL_TTL = 24 * 60 * 60; // seconds; must outlast the longest transfer over a relay
+
+const createTurnCredentials = (secret, userId, ttl) => {
+  const username = `${Math.floor(Date.now() / 1000) + ttl}:${userId}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential };
+};
+
+const createIceServerProvider = ({
+  stunUrls = DEFAULT_STUN_URLS,
+  turnUrls = [],
+  turnSecret = null,
+  ttl = DEFAULT_CREDENTIAL_TTL
+} = {}) => {
+  const useEphemeralTurn = Boolean(turnSecret && turnUrls.length);
+  if (turnSecret && !turnUrls.length) {
+    console.warn('⚠️ TURN_SECRET is set but TURN_URLS is empty - falling back to public TURN relays');
+  }
+
+  return {
+    ephemeral: useEphemeralTurn,
+    // The user id only shows up in TURN server logs; it does not need to be secret
+    getConfig(userId = crypto.randomBytes(6).toString('hex')) {
+      const iceServers = stunUrls.length ? [{ urls: stunUrls }] : [];
+      if (useEphemeralTurn) {
+        iceServers.push({ urls: turnUrls, ...createTurnCredentials(turnSecret, userId, ttl) });
+      } else {
+        iceServers.push(...PUBLIC_TURN_SERVERS);
+      }
+      return { iceServers, ttl: useEphemeralTurn ? ttl : null };
+    }
+  };
+};
+
+module.exports = { createIceServerProvider, DEFAULT_STUN_URLS };
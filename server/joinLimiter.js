@@ -0,0 +1,54 @@
+// --- Join attempt limiter ---
+// Every failed join-room (bad code, unknown room) counts against the socket and
+// against its IP address. Too many failures inside the window locks that key
+// out for a while; a new socket does not help because the IP stays locked.
+// Successful joins are not counted, so normal use never gets near the limits.
+// The counts live in the room store (see roomStore.js), so with Redis every
+// instance shares them and spreading attempts over instances does not help either.
+
+const DEFAULT_WINDOW = 10 * 60 * 1000;
+const DEFAULT_LOCKOUT = 15 * 60 * 1000;
+
+const createJoinLimiter = (store, {
+  maxFailuresPerSocket = 5,
+  maxFailuresPerIp = 20,
+  window = DEFAULT_WINDOW,
+  lockout = DEFAULT_LOCKOUT
+} = {}) => {
+  const limitFor = (key) => (key.startsWith('ip:') ? maxFailuresPerIp : maxFailuresPerSocket);
+
+  const keysFor = ({ socketId, ip }) => [`socket:${socketId}`, ...(ip ? [`ip:${ip}`] : [])];
+
+  // Milliseconds until the socket may try again, or 0 when it is not locked out
+  const retryAfter = async (client, now = Date.now()) => {
+    const locks = await Promise.all(keysFor(client).map((key) => store.getJoinLock(key)));
+    return Math.max(0, ...locks.map((lockedUntil) => lockedUntil - now));
+  };
+
+  return {
+    retryAfter,
+
+    // Resolves to the lockout that this failure caused, if any (same as retryAfter)
+    async recordFailure(client, now = Date.now()) {
+      await Promise.all(keysFor(client).map(async (key) => {
+        const failures = await store.addJoinFailure(key, { window, now });
+        if (failures >= limitFor(key)) {
+          await store.lockJoins(key, { until: now + lockout, now });
+          console.warn(`🚫 Join attempts locked for ${key} (${Math.round(lockout / 60000)} min)`);
+        }
+      }));
+      return retryAfter(client, now);
+    },
+
+    forgetSocket(socketId) {
+      return store.deleteJoinFailures(`socket:${socketId}`);
+    },
+
+    // Drops entries with nothing left to remember
+    prune(now = Date.now()) {
+      return store.pruneJoinFailures({ window, now });
+    }
+  };
+};
+
+module.exports = { createJoinLimiter };
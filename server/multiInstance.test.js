@@ -0,0 +1,200 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { createFakeRedisServer } = require('./fakeRedis');
+
+// Two server instances sharing one Redis (the stand-in from fakeRedis.js), the
+// way they run behind a load balancer: each test puts the sender on one
+// instance and the receiver on the other, so everything between them goes
+// through the room store and Socket.IO's Redis adapter.
+
+const SENDER_FINGERPRINT = `sha-256 ${Array(32).fill('AB').join(':')}`;
+const RECEIVER_FINGERPRINT = `sha-256 ${Array(32).fill('CD').join(':')}`;
+const COMMITMENT = 'c'.repeat(64);
+const NONCE = 'a'.repeat(32);
+const MAX_FAILURES_PER_IP = 3;
+
+const findFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer().once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const startInstance = async (redisUrl, dataDir) => {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      REDIS_URL: redisUrl,
+      REDIS_PREFIX: 'multi-instance:',
+      UPLOADS_DIR: path.join(dataDir, `uploads-${port}`),
+      PARTIAL_UPLOADS_DIR: path.join(dataDir, `partial-${port}`),
+      UPLOAD_STORE_PATH: path.join(dataDir, `uploads-${port}.json`),
+      JOIN_MAX_FAILURES_PER_IP: String(MAX_FAILURES_PER_IP)
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Signaling server running')) resolve();
+    });
+    child.once('exit', (code) => reject(new Error(`Instance exited with ${code}:\n${output}`)));
+  });
+  return { child, url: `http://127.0.0.1:${port}` };
+};
+
+const stopInstance = ({ child }) => new Promise((resolve) => {
+  if (child.exitCode !== null) return resolve();
+  const forced = setTimeout(() => child.kill('SIGKILL'), 5000);
+  child.once('exit', () => {
+    clearTimeout(forced);
+    resolve();
+  });
+  child.kill('SIGTERM');
+});
+
+// The next `event` on the socket, as the array of its arguments
+const next = (socket, event) => new Promise((resolve) => socket.once(event, (...args) => resolve(args)));
+
+describe('two server instances sharing Redis', () => {
+  const sockets = [];
+  let redis;
+  let dataDir;
+  let first;
+  let second;
+
+  const connect = async (instance) => {
+    const socket = io(instance.url, { transports: ['websocket'], reconnection: false, forceNew: true });
+    sockets.push(socket);
+    await next(socket, 'connect');
+    return socket;
+  };
+
+  // A sender on the first instance with a receiver on the second, accepted into its room
+  const pairAcrossInstances = async () => {
+    const sender = await connect(first);
+    const receiver = await connect(second);
+    const created = next(sender, 'room-created');
+    sender.emit('create-room', { fingerprint: SENDER_FINGERPRINT });
+    const [roomCode] = await created;
+
+    const joined = next(receiver, 'room-joined');
+    const announced = next(sender, 'receiver-joined');
+    receiver.emit('join-room', roomCode, { commitment: COMMITMENT });
+    const [, { senderId, senderFingerprint }] = await joined;
+    assert.strictEqual(senderId, sender.id);
+    assert.strictEqual(senderFingerprint, SENDER_FINGERPRINT);
+    const [{ receiverId, commitment }] = await announced;
+    assert.strictEqual(receiverId, receiver.id);
+    assert.strictEqual(commitment, COMMITMENT);
+
+    const nonce = next(receiver, 'verification-nonce');
+    sender.emit('verification-nonce', { receiverId, nonce: NONCE });
+    assert.deepStrictEqual(await nonce, [{ nonce: NONCE }]);
+    const revealed = next(sender, 'receiver-fingerprint');
+    receiver.emit('reveal-fingerprint', { fingerprint: RECEIVER_FINGERPRINT });
+    assert.deepStrictEqual(await revealed, [{ receiverId, fingerprint: RECEIVER_FINGERPRINT }]);
+
+    const accepted = next(receiver, 'receiver-accepted');
+    sender.emit('accept-receiver', { receiverId });
+    assert.deepStrictEqual(await accepted, [roomCode]);
+    return { sender, receiver, roomCode };
+  };
+
+  before(async () => {
+    redis = await createFakeRedisServer();
+    const redisUrl = `redis://127.0.0.1:${redis.address().port}`;
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codedrop-instances-'));
+    [first, second] = await Promise.all([startInstance(redisUrl, dataDir), startInstance(redisUrl, dataDir)]);
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach((socket) => socket.close());
+  });
+
+  after(async () => {
+    await Promise.all([first, second].filter(Boolean).map(stopInstance));
+    await new Promise((resolve) => redis.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('pairs a sender and a receiver connected to different instances', { timeout: 10000 }, async () => {
+    await pairAcrossInstances();
+  });
+
+  it('relays signaling in order, both ways', { timeout: 10000 }, async () => {
+    const { sender, receiver } = await pairAcrossInstances();
+
+    const received = [];
+    const allReceived = new Promise((resolve) => {
+      receiver.on('offer', ({ sdp, senderId }) => {
+        assert.strictEqual(senderId, sender.id);
+        received.push(sdp);
+      });
+      receiver.on('ice-candidate', ({ candidate, from }) => {
+        assert.strictEqual(from, sender.id);
+        received.push(candidate);
+        if (received.length === 4) resolve();
+      });
+    });
+    sender.emit('offer', { target: receiver.id, sdp: 'offer-sdp' });
+    [1, 2, 3].forEach((candidate) => sender.emit('ice-candidate', { target: receiver.id, candidate }));
+    await allReceived;
+    assert.deepStrictEqual(received, ['offer-sdp', 1, 2, 3]);
+
+    const answer = next(sender, 'answer');
+    receiver.emit('answer', { target: sender.id, sdp: 'answer-sdp' });
+    const [{ sdp }] = await answer;
+    assert.strictEqual(sdp, 'answer-sdp');
+  });
+
+  it('relays data and its ack between instances', { timeout: 10000 }, async () => {
+    const { sender, receiver } = await pairAcrossInstances();
+
+    const senderReady = next(sender, 'relay-ready');
+    const receiverReady = next(receiver, 'relay-ready');
+    receiver.emit('relay-start', {});
+    assert.strictEqual((await senderReady)[0].peerId, receiver.id);
+    assert.strictEqual((await receiverReady)[0].peerId, sender.id);
+
+    sender.on('relay-data', (from, data, ack) => ack({ ok: true, from, length: data.length }));
+    const response = await new Promise((resolve) => receiver.emit('relay-data', sender.id, 'hello', resolve));
+    assert.deepStrictEqual(response, { ok: true, from: receiver.id, length: 5 });
+  });
+
+  it('tells the receiver when the sender on the other instance leaves', { timeout: 10000 }, async () => {
+    const { sender, receiver } = await pairAcrossInstances();
+    const senderId = sender.id;
+    const left = next(receiver, 'peer-disconnected');
+    sender.close();
+    const [{ reason, userId }] = await left;
+    assert.strictEqual(reason, 'peer-left');
+    assert.strictEqual(userId, senderId);
+  });
+
+  it('shares the join lockout between instances', { timeout: 10000 }, async () => {
+    const tryCode = async (socket) => {
+      const error = next(socket, 'error');
+      socket.emit('join-room', 'zzzz-zzzz-00', { commitment: COMMITMENT });
+      return (await error)[0];
+    };
+    const onFirst = await connect(first);
+    const onSecond = await connect(second);
+    for (let i = 1; i < MAX_FAILURES_PER_IP; i++) {
+      assert.doesNotMatch(await tryCode(i % 2 ? onFirst : onSecond), /Too many/);
+    }
+    assert.match(await tryCode(onSecond), /Too many failed attempts/);
+    assert.match(await tryCode(onFirst), /Too many failed attempts/);
+  });
+});
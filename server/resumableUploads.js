@@ -0,0 +1,291 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createUploadId, createManageToken, parseRetention } = require('./uploadStore');
+
+// --- Resumable uploads (tus 1.0.0 core + creation + termination) ---
+// POST   /            create an upload (Upload-Length, Upload-Metadata)  -> 201 Location
+// HEAD   /:id         how many bytes the server has (Upload-Offset)
+// PATCH  /:id         append bytes at Upload-Offset (application/offset+octet-stream)
+// DELETE /:id         abandon an upload
+// GET    /:id         JSON status, including the share link and manage token once complete
+//                     (CodeDrop extension; the upload URL itself is the uploader's secret)
+// The upload is finalized automatically when the last byte arrives.
+// Upload-Metadata keys: filename, filetype, expiry (1h|24h|7d), maxdownloads,
+// language (set for pasted snippets, so the landing page can highlight them),
+// encoding (gzip|deflate when the browser compressed the file before sending it)
+// and originalsize (its size before compression).
+
+const TUS_VERSION = '1.0.0';
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Upload-Metadata is "key base64value,key2 base64value2"
+const parseMetadata = (header = '') => {
+  const metadata = {};
+  header.split(',').map((pair) => pair.trim()).filter(Boolean).forEach((pair) => {
+    const [key, value = ''] = pair.split(' ');
+    metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+  });
+  return metadata;
+};
+
+// Stops the stream once more bytes arrive than the upload has room for
+const createLimiter = (maxBytes) => {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > maxBytes) {
+        callback(Object.assign(new Error('Upload exceeds its declared length'), { status: 413 }));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+const createResumableUploadRouter = ({ uploadsDir, partialDir, maxUploadSize, defaultExpiry, uploadStore, buildFileLink }) => {
+  const router = express.Router();
+  const activePatches = new Set();
+
+  if (!fs.existsSync(partialDir)) {
+    fs.mkdirSync(partialDir, { recursive: true });
+  }
+
+  const dataPath = (id) => path.join(partialDir, id);
+  const infoPath = (id) => path.join(partialDir, `${id}.json`);
+
+  const readInfo = async (id) => {
+    if (!UPLOAD_ID_PATTERN.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(infoPath(id), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const writeInfo = (info) => fs.promises.writeFile(infoPath(info.id), JSON.stringify(info));
+
+  const currentOffset = async (info) => {
+    if (info.fileId) return info.length;
+    try {
+      return (await fs.promises.stat(dataPath(info.id))).size;
+    } catch (error) {
+      return 0;
+    }
+  };
+
+  // Move the finished bytes next to regular uploads under a fresh public ID.
+  // On failure everything is put back, so the next PATCH can finalize again.
+  const finalize = async (info) => {
+    const safeName = path.basename(info.metadata.filename || 'upload').replace(/[\r\n]/g, '');
+    const fileId = createUploadId();
+    const filePath = path.join(uploadsDir, fileId);
+    await fs.promises.rename(dataPath(info.id), filePath);
+    try {
+      info.fileId = fileId;
+      info.completed = Date.now();
+      const record = uploadStore.add({
+        id: fileId,
+        originalName: safeName,
+        size: info.length,
+        mimeType: info.metadata.filetype,
+        language: info.metadata.language,
+        encoding: info.metadata.encoding,
+        originalSize: info.metadata.originalsize,
+        uploaderIp: info.uploaderIp,
+        retention: info.retention,
+        manageToken: info.manageToken
+      });
+      info.expiresAt = record.expiresAt;
+      await writeInfo(info);
+    } catch (error) {
+      uploadStore.remove(fileId);
+      delete info.fileId;
+      delete info.completed;
+      delete info.expiresAt;
+      await fs.promises.rename(filePath, dataPath(info.id));
+      throw error;
+    }
+    console.log(`📦 Resumable upload ${info.id} finalized as ${fileId}`);
+    return info;
+  };
+
+  router.use((req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+    if (req.method !== 'OPTIONS' && req.method !== 'GET' && req.get('Tus-Resumable') !== TUS_VERSION) {
+      res.set('Tus-Version', TUS_VERSION);
+      return res.status(412).send('Unsupported Tus-Resumable version');
+    }
+    next();
+  });
+
+  router.options('*', (req, res) => {
+    res.set({
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': 'creation,termination',
+      'Tus-Max-Size': String(maxUploadSize)
+    });
+    res.sendStatus(204);
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const length = Number(req.get('Upload-Length'));
+      if (!Number.isSafeInteger(length) || length < 0) {
+        return res.status(400).send('Missing or invalid Upload-Length');
+      }
+      if (length > maxUploadSize) {
+        return res.status(413).send(`Upload exceeds the ${maxUploadSize} byte limit`);
+      }
+
+      const metadata = parseMetadata(req.get('Upload-Metadata'));
+      const retention = parseRetention({ expiry: metadata.expiry, maxDownloads: metadata.maxdownloads }, defaultExpiry);
+      if (retention.error) {
+        return res.status(400).send(retention.error);
+      }
+
+      const info = {
+        id: crypto.randomBytes(16).toString('hex'),
+        length,
+        metadata,
+        retention,
+        manageToken: createManageToken(),
+        uploaderIp: req.ip,
+        created: Date.now()
+      };
+      await fs.promises.writeFile(dataPath(info.id), Buffer.alloc(0));
+      await writeInfo(info);
+
+      if (length === 0) {
+        await finalize(info);
+        res.set('CodeDrop-File-Link', buildFileLink(req, info.fileId));
+      }
+
+      console.log(`📤 Resumable upload created: ${info.id} (${length} bytes)`);
+      res.set('Location', `${req.baseUrl}/${info.id}`);
+      res.sendStatus(201);
+    } catch (error) {
+      console.error('❌ Error creating upload:', error);
+      res.status(500).send('Failed to create upload');
+    }
+  });
+
+  router.head('/:id', async (req, res) => {
+    try {
+      const info = await readInfo(req.params.id);
+      if (!info) return res.sendStatus(404);
+
+      res.set({
+        'Upload-Offset': String(await currentOffset(info)),
+        'Upload-Length': String(info.length),
+        'Cache-Control': 'no-store'
+      });
+      res.sendStatus(200);
+    } catch (error) {
+      console.error('❌ Error reading upload offset:', error);
+      res.sendStatus(500);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const info = await readInfo(req.params.id);
+      if (!info) return res.status(404).json({ error: 'Upload not found' });
+
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        offset: await currentOffset(info),
+        length: info.length,
+        complete: Boolean(info.fileId),
+        id: info.fileId || null,
+        link: info.fileId ? buildFileLink(req, info.fileId) : null,
+        expiresAt: info.expiresAt || null,
+        maxDownloads: info.retention.maxDownloads,
+        manageToken: info.fileId ? info.manageToken : null
+      });
+    } catch (error) {
+      console.error('❌ Error reading upload status:', error);
+      res.status(500).json({ error: 'Failed to read upload status' });
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    const { id } = req.params;
+    const info = await readInfo(id);
+    if (!info) return res.sendStatus(404);
+    if (info.fileId) return res.status(403).send('Upload already complete');
+
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).send('Content-Type must be application/offset+octet-stream');
+    }
+    if (activePatches.has(id)) {
+      return res.status(409).send('Another request is already writing to this upload');
+    }
+
+    const offset = await currentOffset(info);
+    if (Number(req.get('Upload-Offset')) !== offset) {
+      res.set('Upload-Offset', String(offset));
+      return res.status(409).send('Upload-Offset does not match the stored offset');
+    }
+
+    const declaredLength = req.get('Content-Length');
+    if (declaredLength !== undefined && offset + Number(declaredLength) > info.length) {
+      return res.status(413).send('Upload exceeds its declared length');
+    }
+
+    activePatches.add(id);
+    let failure = null;
+    try {
+      await pipeline(req, createLimiter(info.length - offset), fs.createWriteStream(dataPath(id), { flags: 'a' }));
+    } catch (error) {
+      // Whatever reached the disk stays; the client asks with HEAD and continues from there
+      console.warn(`⚠️ Upload ${id} interrupted:`, error.message);
+      failure = error;
+    } finally {
+      activePatches.delete(id);
+    }
+
+    // A dropped or over-long request has already torn down its socket - nobody to answer
+    if (!req.complete) return;
+    if (failure) {
+      return res.status(500).send('Failed to write upload');
+    }
+
+    const newOffset = await currentOffset(info);
+    if (newOffset === info.length) {
+      try {
+        await finalize(info);
+      } catch (error) {
+        // The bytes are still there; an empty PATCH at the final offset tries again
+        console.error(`❌ Error finalizing upload ${id}:`, error);
+        return res.status(500).send('Failed to finalize upload');
+      }
+      res.set('CodeDrop-File-Link', buildFileLink(req, info.fileId));
+    }
+    res.set('Upload-Offset', String(newOffset));
+    res.sendStatus(204);
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const info = await readInfo(req.params.id);
+      if (!info) return res.sendStatus(404);
+
+      await fs.promises.rm(dataPath(info.id), { force: true });
+      await fs.promises.rm(infoPath(info.id), { force: true });
+      console.log(`🗑️ Resumable upload terminated: ${info.id}`);
+      res.sendStatus(204);
+    } catch (error) {
+      console.error('❌ Error terminating upload:', error);
+      res.status(500).send('Failed to terminate upload');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createResumableUploadRouter };
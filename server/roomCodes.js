@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// --- Room codes ---
+// Codes come from crypto.randomInt, never Math.random. Two formats:
+//   words         "tiger-lamp-42": easy to read out loud; 256 words per slot
+//                 plus two digits gives ~6.5 million codes with the default
+//                 two words, so joining also goes through the rate limiter
+//   alphanumeric  "K7QM4XZP2A": 31 symbols without look-alikes (0/O, 1/I/L),
+//                 ~49 bits at the default length of 10
+// Whatever the receiver types is normalized first, so case, spaces and
+// dashes in the wrong places do not matter.
+
+const WORDS = [
+  'acorn', 'alpha', 'amber', 'anchor', 'apple', 'arrow', 'aspen', 'atlas',
+  'badge', 'bagel', 'bamboo', 'banjo', 'basil', 'beach', 'beacon', 'berry',
+  'birch', 'bison', 'blaze', 'bloom', 'boat', 'bolt', 'bottle', 'brave',
+  'breeze', 'brick', 'bridge', 'brook', 'bubble', 'cabin', 'cactus', 'camel',
+  'candle', 'canoe', 'canyon', 'carbon', 'cedar', 'chalk', 'cherry', 'chess',
+  'cider', 'circle', 'clay', 'cliff', 'cloud', 'clover', 'cobalt', 'comet',
+  'coral', 'cotton', 'crane', 'crater', 'cricket', 'crown', 'crystal', 'daisy',
+  'delta', 'denim', 'desert', 'diamond', 'dolphin', 'dragon', 'drum', 'dune',
+  'eagle', 'echo', 'ember', 'falcon', 'feather', 'fern', 'fiddle', 'field',
+  'flame', 'flint', 'forest', 'fossil', 'fox', 'frost', 'galaxy', 'garden',
+  'garnet', 'ginger', 'glacier', 'glass', 'globe', 'gold', 'granite', 'grape',
+  'gravel', 'guitar', 'hammer', 'harbor', 'harp', 'hazel', 'heron', 'hill',
+  'honey', 'horizon', 'iceberg', 'indigo', 'iris', 'island', 'ivory', 'jade',
+  'jasmine', 'jelly', 'jungle', 'kayak', 'kettle', 'kite', 'koala', 'lagoon',
+  'lake', 'lamp', 'lantern', 'lava', 'lemon', 'lily', 'lime', 'lion',
+  'lotus', 'lunar', 'magnet', 'mango', 'maple', 'marble', 'meadow', 'melon',
+  'meteor', 'mint', 'mirror', 'mist', 'moon', 'moss', 'mountain', 'nebula',
+  'nectar', 'nest', 'noodle', 'north', 'nova', 'oak', 'oasis', 'ocean',
+  'olive', 'onyx', 'opal', 'orbit', 'orchid', 'otter', 'owl', 'oyster',
+  'paddle', 'palm', 'panda', 'paper', 'parrot', 'peach', 'pearl', 'pebble',
+  'pepper', 'piano', 'pine', 'pixel', 'planet', 'plum', 'pocket', 'polar',
+  'pond', 'poppy', 'prairie', 'prism', 'puffin', 'pumpkin', 'quartz', 'quill',
+  'rabbit', 'radar', 'rain', 'raven', 'reef', 'ridge', 'river', 'robin',
+  'rocket', 'rose', 'ruby', 'saffron', 'sage', 'salmon', 'sand', 'saturn',
+  'shadow', 'shell', 'silver', 'sky', 'slate', 'snow', 'solar', 'sparrow',
+  'spice', 'spruce', 'star', 'stone', 'storm', 'sugar', 'summit', 'sun',
+  'swan', 'table', 'tango', 'thistle', 'thunder', 'tiger', 'timber', 'topaz',
+  'torch', 'tulip', 'tundra', 'turtle', 'valley', 'velvet', 'violet', 'voyage',
+  'walnut', 'water', 'wave', 'whale', 'willow', 'wind', 'winter', 'wolf',
+  'yak', 'yarrow', 'zebra', 'zenith', 'zephyr', 'zinc', 'apricot', 'aurora',
+  'bramble', 'breadfruit', 'cashew', 'citrus', 'compass', 'cypress', 'ferry', 'fjord',
+  'gecko', 'hollow', 'jaguar', 'lichen', 'mosaic', 'pelican', 'sequoia', 'walrus'
+];
+
+const ALPHANUMERIC_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+const ROOM_CODE_FORMATS = ['words', 'alphanumeric'];
+const MIN_WORD_COUNT = 2;
+const MAX_WORD_COUNT = 5;
+const MIN_ALPHANUMERIC_LENGTH = 8;
+const MAX_ALPHANUMERIC_LENGTH = 32;
+
+const WORD_CODE_PATTERN = /^[a-z]+(-[a-z]+){1,4}-\d{2}$/;
+const ALPHANUMERIC_CODE_PATTERN = /^[0-9A-Z]{8,32}$/;
+
+const pick = (alphabet) => alphabet[crypto.randomInt(alphabet.length)];
+
+// Accepts the receiver's input in any reasonable shape; returns the canonical
+// code, or null when it cannot be a room code at all
+const normalizeRoomCode = (input) => {
+  if (typeof input !== 'string' || input.length > 100) return null;
+  const code = input.trim().toLowerCase().replace(/[\s_.]+/g, '-').replace(/-+/g, '-');
+  if (WORD_CODE_PATTERN.test(code)) return code;
+  const compact = code.replace(/-/g, '').toUpperCase();
+  return ALPHANUMERIC_CODE_PATTERN.test(compact) ? compact : null;
+};
+
+const createRoomCodeGenerator = ({ format = 'words', wordCount = 2, length = 10 } = {}) => {
+  if (!ROOM_CODE_FORMATS.includes(format)) {
+    throw new Error(`Room code format must be one of ${ROOM_CODE_FORMATS.join(', ')}`);
+  }
+  if (!Number.isInteger(wordCount) || wordCount < MIN_WORD_COUNT || wordCount > MAX_WORD_COUNT) {
+    throw new Error(`Room code word count must be between ${MIN_WORD_COUNT} and ${MAX_WORD_COUNT}`);
+  }
+  if (!Number.isInteger(length) || length < MIN_ALPHANUMERIC_LENGTH || length > MAX_ALPHANUMERIC_LENGTH) {
+    throw new Error(`Room code length must be between ${MIN_ALPHANUMERIC_LENGTH} and ${MAX_ALPHANUMERIC_LENGTH}`);
+  }
+
+  if (format === 'words') {
+    return () => {
+      const words = Array.from({ length: wordCount }, () => pick(WORDS));
+      return `${words.join('-')}-${String(crypto.randomInt(100)).padStart(2, '0')}`;
+    };
+  }
+  return () => Array.from({ length }, () => pick(ALPHANUMERIC_ALPHABET)).join('');
+};
+
+module.exports = { createRoomCodeGenerator, normalizeRoomCode, ROOM_CODE_FORMATS };
@@ -0,0 +1,424 @@
+// --- Room store ---
+// Signaling state - the rooms, which room each socket is in, when each socket
+// last sent a heartbeat and the failed join attempts joinLimiter.js counts -
+// behind one async interface, so several server instances can share it. createMemoryRoomStore keeps everything in this process
+// (one instance only, gone on restart); createRedisRoomStore keeps it in Redis or
+// anything that speaks its protocol (Valkey, a local stand-in, a fake client).
+//
+// getRoom() and friends return a copy of the room:
+//   { code, sender, senderFingerprint,
+//     receivers,        // Set: accepted receivers, each with its own peer connection to the sender
+//     pendingReceivers, // Map: receiver id -> fingerprint commitment until the sender accepts or rejects
+//     relayedReceivers, // Set: receivers whose connection to the sender goes through the relay
+//     relayBytes, created, lastActivity }
+// Changes go through the store's methods. The ones that return a boolean report
+// whether this call made the change, so two instances racing for the same
+// receiver or room can't both act on it.
+
+const crypto = require('crypto');
+
+const copyRoom = (code, room) => ({
+  code,
+  sender: room.sender,
+  senderFingerprint: room.senderFingerprint,
+  receivers: new Set(room.receivers),
+  pendingReceivers: new Map(room.pendingReceivers),
+  relayedReceivers: new Set(room.relayedReceivers),
+  relayBytes: room.relayBytes,
+  created: room.created,
+  lastActivity: room.lastActivity
+});
+
+const createMemoryRoomStore = () => {
+  const rooms = new Map();
+  const userRooms = new Map(); // socket id -> room code
+  const heartbeats = new Map(); // socket id -> time of the last heartbeat
+  const joinFailures = new Map(); // limiter key -> { failures: [times], lockedUntil }
+
+  const joinEntry = (key) => {
+    if (!joinFailures.has(key)) joinFailures.set(key, { failures: [], lockedUntil: 0 });
+    return joinFailures.get(key);
+  };
+
+  return {
+    kind: 'memory',
+
+    // False when the code is already taken
+    async createRoom(code, { sender, senderFingerprint, now = Date.now() }) {
+      if (rooms.has(code)) return false;
+      rooms.set(code, {
+        sender,
+        senderFingerprint,
+        receivers: new Set(),
+        pendingReceivers: new Map(),
+        relayedReceivers: new Set(),
+        relayBytes: 0,
+        created: now,
+        lastActivity: now
+      });
+      return true;
+    },
+
+    async getRoom(code) {
+      const room = rooms.get(code);
+      return room ? copyRoom(code, room) : null;
+    },
+
+    async listRooms() {
+      return [...rooms.entries()].map(([code, room]) => copyRoom(code, room));
+    },
+
+    async countRooms() {
+      return rooms.size;
+    },
+
+    // The room as it was, or null when it was already gone
+    async deleteRoom(code) {
+      const room = rooms.get(code);
+      if (!room) return null;
+      rooms.delete(code);
+      return copyRoom(code, room);
+    },
+
+    async touchRoom(code, now = Date.now()) {
+      const room = rooms.get(code);
+      if (room) room.lastActivity = now;
+    },
+
+    async addPendingReceiver(code, receiverId, commitment) {
+      const room = rooms.get(code);
+      if (!room) return false;
+      room.pendingReceivers.set(receiverId, commitment);
+      return true;
+    },
+
+    async removePendingReceiver(code, receiverId) {
+      const room = rooms.get(code);
+      return Boolean(room && room.pendingReceivers.delete(receiverId));
+    },
+
+    async addReceiver(code, receiverId) {
+      rooms.get(code)?.receivers.add(receiverId);
+    },
+
+    // Also takes the receiver off the relay
+    async removeReceiver(code, receiverId) {
+      const room = rooms.get(code);
+      if (!room || !room.receivers.delete(receiverId)) return false;
+      room.relayedReceivers.delete(receiverId);
+      return true;
+    },
+
+    async addRelayedReceiver(code, receiverId) {
+      const room = rooms.get(code);
+      if (!room || room.relayedReceivers.has(receiverId)) return false;
+      room.relayedReceivers.add(receiverId);
+      return true;
+    },
+
+    async clearRelayedReceivers(code) {
+      rooms.get(code)?.relayedReceivers.clear();
+    },
+
+    // The room's relay total after adding `bytes`
+    async addRelayBytes(code, bytes) {
+      const room = rooms.get(code);
+      if (!room) return 0;
+      room.relayBytes += bytes;
+      return room.relayBytes;
+    },
+
+    async getUserRoom(socketId) {
+      return userRooms.get(socketId) || null;
+    },
+
+    async setUserRoom(socketId, code) {
+      userRooms.set(socketId, code);
+    },
+
+    async deleteUserRoom(socketId) {
+      userRooms.delete(socketId);
+    },
+
+    async setHeartbeat(socketId, time = Date.now()) {
+      heartbeats.set(socketId, time);
+    },
+
+    async getHeartbeat(socketId) {
+      return heartbeats.get(socketId) ?? null;
+    },
+
+    async deleteHeartbeat(socketId) {
+      return heartbeats.delete(socketId);
+    },
+
+    // [socketId, time] pairs
+    async listHeartbeats() {
+      return [...heartbeats.entries()];
+    },
+
+    async countHeartbeats() {
+      return heartbeats.size;
+    },
+
+    // How many failed joins `key` has had within `window`, this one included
+    async addJoinFailure(key, { window, now = Date.now() }) {
+      const entry = joinEntry(key);
+      entry.failures = entry.failures.filter((time) => now - time < window);
+      entry.failures.push(now);
+      return entry.failures.length;
+    },
+
+    // Locks `key` out until `until` and starts its count over
+    async lockJoins(key, { until }) {
+      const entry = joinEntry(key);
+      entry.failures = [];
+      entry.lockedUntil = until;
+    },
+
+    // When the key's lockout ends; 0 if it has none
+    async getJoinLock(key) {
+      return joinFailures.get(key)?.lockedUntil || 0;
+    },
+
+    async deleteJoinFailures(key) {
+      joinFailures.delete(key);
+    },
+
+    // Drops keys with nothing left to remember (Redis lets them expire instead)
+    async pruneJoinFailures({ window, now = Date.now() }) {
+      for (const [key, entry] of joinFailures.entries()) {
+        const recent = entry.failures.some((time) => now - time < window);
+        if (!recent && entry.lockedUntil <= now) {
+          joinFailures.delete(key);
+        }
+      }
+    }
+  };
+};
+
+// Redis layout, every key under `prefix`:
+//   rooms                   set of room codes
+//   room:<code>             hash: sender, senderFingerprint, relayBytes, created, lastActivity
+//   room:<code>:pending     hash: receiver id -> fingerprint commitment
+//   room:<code>:receivers   set of receiver ids
+//   room:<code>:relayed     set of receiver ids
+//   user-rooms              hash: socket id -> room code
+//   heartbeats              hash: socket id -> time
+//   join-failures:<key>     sorted set: failed join attempts, scored by time
+//   join-lock:<key>         time the key's join lockout ends
+// `client` is a connected node-redis client (or anything with the same camelCase
+// commands and multi()). Room keys expire after ROOM_TTL without changes, so an
+// instance that dies halfway through a cleanup can't leave them behind for good;
+// join failures expire once they fall out of their window, and locks when they end.
+
+const ROOM_TTL = 2 * 60 * 60; // seconds; rooms are closed after 30 minutes anyway
+
+const createRedisRoomStore = (client, { prefix = 'codedrop:' } = {}) => {
+  const roomsKey = `${prefix}rooms`;
+  const userRoomsKey = `${prefix}user-rooms`;
+  const heartbeatsKey = `${prefix}heartbeats`;
+  const joinKeys = (key) => ({ failures: `${prefix}join-failures:${key}`, lock: `${prefix}join-lock:${key}` });
+  const roomKeys = (code) => {
+    const key = `${prefix}room:${code}`;
+    return { room: key, pending: `${key}:pending`, receivers: `${key}:receivers`, relayed: `${key}:relayed` };
+  };
+
+  // Queues the reads for one room on a transaction; parseRoom() turns their replies into a room
+  const readRoom = (multi, code) => {
+    const keys = roomKeys(code);
+    return multi.hGetAll(keys.room).hGetAll(keys.pending).sMembers(keys.receivers).sMembers(keys.relayed);
+  };
+
+  // A hash without a sender is what's left of a room after it was deleted
+  const parseRoom = (code, [fields, pending, receivers, relayed]) => {
+    if (!fields || !fields.sender) return null;
+    return {
+      code,
+      sender: fields.sender,
+      senderFingerprint: fields.senderFingerprint,
+      receivers: new Set(receivers),
+      pendingReceivers: new Map(Object.entries(pending || {})),
+      relayedReceivers: new Set(relayed),
+      relayBytes: Number(fields.relayBytes) || 0,
+      created: Number(fields.created),
+      lastActivity: Number(fields.lastActivity)
+    };
+  };
+
+  const getRoom = async (code) => parseRoom(code, await readRoom(client.multi(), code).exec());
+
+  const listRooms = async () => {
+    const codes = await client.sMembers(roomsKey);
+    const rooms = await Promise.all(codes.map(getRoom));
+    // Codes whose keys expired
+    const stale = codes.filter((code, index) => !rooms[index]);
+    if (stale.length) await client.sRem(roomsKey, stale);
+    return rooms.filter(Boolean);
+  };
+
+  return {
+    kind: 'redis',
+
+    async createRoom(code, { sender, senderFingerprint, now = Date.now() }) {
+      const keys = roomKeys(code);
+      // Claiming the sender field is atomic, so only one instance gets the code
+      if (!(await client.hSetNX(keys.room, 'sender', sender))) return false;
+      await client.multi()
+        .del([keys.pending, keys.receivers, keys.relayed])
+        .hSet(keys.room, { senderFingerprint, relayBytes: 0, created: now, lastActivity: now })
+        .expire(keys.room, ROOM_TTL)
+        .sAdd(roomsKey, code)
+        .exec();
+      return true;
+    },
+
+    getRoom,
+    listRooms,
+
+    async countRooms() {
+      return (await listRooms()).length;
+    },
+
+    async deleteRoom(code) {
+      const keys = roomKeys(code);
+      const replies = await readRoom(client.multi(), code)
+        .sRem(roomsKey, code)
+        .del([keys.room, keys.pending, keys.receivers, keys.relayed])
+        .exec();
+      // Only the call that actually deleted the keys gets the room back
+      return replies[5] > 0 ? parseRoom(code, replies) : null;
+    },
+
+    async touchRoom(code, now = Date.now()) {
+      const keys = roomKeys(code);
+      await client.multi()
+        .hSet(keys.room, 'lastActivity', now)
+        .expire(keys.room, ROOM_TTL)
+        .exec();
+    },
+
+    async addPendingReceiver(code, receiverId, commitment) {
+      const keys = roomKeys(code);
+      const [exists] = await client.multi()
+        .exists(keys.room)
+        .hSet(keys.pending, receiverId, commitment)
+        .expire(keys.pending, ROOM_TTL)
+        .exec();
+      return exists > 0;
+    },
+
+    async removePendingReceiver(code, receiverId) {
+      return (await client.hDel(roomKeys(code).pending, receiverId)) > 0;
+    },
+
+    async addReceiver(code, receiverId) {
+      const keys = roomKeys(code);
+      await client.multi()
+        .sAdd(keys.receivers, receiverId)
+        .expire(keys.receivers, ROOM_TTL)
+        .exec();
+    },
+
+    async removeReceiver(code, receiverId) {
+      const keys = roomKeys(code);
+      const [removed] = await client.multi()
+        .sRem(keys.receivers, receiverId)
+        .sRem(keys.relayed, receiverId)
+        .exec();
+      return removed > 0;
+    },
+
+    async addRelayedReceiver(code, receiverId) {
+      const keys = roomKeys(code);
+      const [added] = await client.multi()
+        .sAdd(keys.relayed, receiverId)
+        .expire(keys.relayed, ROOM_TTL)
+        .exec();
+      return added > 0;
+    },
+
+    async clearRelayedReceivers(code) {
+      await client.del(roomKeys(code).relayed);
+    },
+
+    async addRelayBytes(code, bytes) {
+      const keys = roomKeys(code);
+      const [total] = await client.multi()
+        .hIncrBy(keys.room, 'relayBytes', bytes)
+        .expire(keys.room, ROOM_TTL)
+        .exec();
+      return Number(total);
+    },
+
+    async getUserRoom(socketId) {
+      return (await client.hGet(userRoomsKey, socketId)) || null;
+    },
+
+    async setUserRoom(socketId, code) {
+      await client.hSet(userRoomsKey, socketId, code);
+    },
+
+    async deleteUserRoom(socketId) {
+      await client.hDel(userRoomsKey, socketId);
+    },
+
+    async setHeartbeat(socketId, time = Date.now()) {
+      await client.hSet(heartbeatsKey, socketId, time);
+    },
+
+    async getHeartbeat(socketId) {
+      const time = await client.hGet(heartbeatsKey, socketId);
+      return time ? Number(time) : null;
+    },
+
+    async deleteHeartbeat(socketId) {
+      return (await client.hDel(heartbeatsKey, socketId)) > 0;
+    },
+
+    async listHeartbeats() {
+      return Object.entries(await client.hGetAll(heartbeatsKey)).map(([socketId, time]) => [socketId, Number(time)]);
+    },
+
+    async countHeartbeats() {
+      return Number(await client.hLen(heartbeatsKey));
+    },
+
+    async addJoinFailure(key, { window, now = Date.now() }) {
+      const keys = joinKeys(key);
+      // Instances can fail joins for the same key in the same millisecond
+      const member = `${now}:${crypto.randomBytes(4).toString('hex')}`;
+      const [, , count] = await client.multi()
+        .zRemRangeByScore(keys.failures, '-inf', now - window)
+        .zAdd(keys.failures, { score: now, value: member })
+        .zCard(keys.failures)
+        .pExpire(keys.failures, window)
+        .exec();
+      return Number(count);
+    },
+
+    async lockJoins(key, { until, now = Date.now() }) {
+      const keys = joinKeys(key);
+      await client.multi()
+        .del(keys.failures)
+        .set(keys.lock, until, { expiration: { type: 'PX', value: Math.max(1, until - now) } })
+        .exec();
+    },
+
+    async getJoinLock(key) {
+      return Number(await client.get(joinKeys(key).lock)) || 0;
+    },
+
+    async deleteJoinFailures(key) {
+      const keys = joinKeys(key);
+      await client.del([keys.failures, keys.lock]);
+    },
+
+    async pruneJoinFailures() {}
+  };
+};
+
+module.exports = {
+  createMemoryRoomStore,
+  createRedisRoomStore
+};
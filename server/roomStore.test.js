@@ -0,0 +1,238 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createMemoryRoomStore, createRedisRoomStore } = require('./roomStore');
+const { createFakeRedisClient } = require('./fakeRedis');
+
+const STORES = {
+  memory: () => createMemoryRoomStore(),
+  redis: () => createRedisRoomStore(createFakeRedisClient())
+};
+
+// Both stores have to behave the same; server.js can't tell which one it has
+for (const [kind, createStore] of Object.entries(STORES)) {
+  describe(`${kind} room store`, () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+    });
+
+    it('reports its kind', () => {
+      assert.strictEqual(store.kind, kind);
+    });
+
+    describe('createRoom', () => {
+      it('creates a room with the given sender', async () => {
+        assert.strictEqual(await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp', now: 5 }), true);
+        const room = await store.getRoom('tiger-lamp-42');
+        assert.strictEqual(room.code, 'tiger-lamp-42');
+        assert.strictEqual(room.sender, 's1');
+        assert.strictEqual(room.senderFingerprint, 'fp');
+        assert.strictEqual(room.created, 5);
+        assert.strictEqual(room.lastActivity, 5);
+        assert.strictEqual(room.relayBytes, 0);
+        assert.deepStrictEqual([room.receivers.size, room.pendingReceivers.size, room.relayedReceivers.size], [0, 0, 0]);
+      });
+
+      it('refuses a code that is already taken and keeps the first sender', async () => {
+        await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp1' });
+        assert.strictEqual(await store.createRoom('tiger-lamp-42', { sender: 's2', senderFingerprint: 'fp2' }), false);
+        const room = await store.getRoom('tiger-lamp-42');
+        assert.strictEqual(room.sender, 's1');
+        assert.strictEqual(room.senderFingerprint, 'fp1');
+      });
+
+      it('gives a code to only one of two racing senders', async () => {
+        const results = await Promise.all([
+          store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp' }),
+          store.createRoom('tiger-lamp-42', { sender: 's2', senderFingerprint: 'fp' })
+        ]);
+        assert.deepStrictEqual(results.sort(), [false, true]);
+        assert.strictEqual(await store.countRooms(), 1);
+      });
+
+      it('hands out a deleted code again, without what was in it', async () => {
+        await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp' });
+        await store.addReceiver('tiger-lamp-42', 'r1');
+        await store.deleteRoom('tiger-lamp-42');
+        assert.strictEqual(await store.createRoom('tiger-lamp-42', { sender: 's2', senderFingerprint: 'fp' }), true);
+        const room = await store.getRoom('tiger-lamp-42');
+        assert.strictEqual(room.sender, 's2');
+        assert.strictEqual(room.receivers.size, 0);
+      });
+    });
+
+    describe('deleteRoom', () => {
+      beforeEach(async () => {
+        await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp' });
+        await store.addPendingReceiver('tiger-lamp-42', 'r1', 'fp-r1');
+        await store.addReceiver('tiger-lamp-42', 'r2');
+      });
+
+      it('returns the room as it was, then null', async () => {
+        const room = await store.deleteRoom('tiger-lamp-42');
+        assert.strictEqual(room.sender, 's1');
+        assert.deepStrictEqual([...room.pendingReceivers], [['r1', 'fp-r1']]);
+        assert.deepStrictEqual([...room.receivers], ['r2']);
+        assert.strictEqual(await store.deleteRoom('tiger-lamp-42'), null);
+        assert.strictEqual(await store.getRoom('tiger-lamp-42'), null);
+        assert.deepStrictEqual(await store.listRooms(), []);
+      });
+
+      it('returns the room to only one of two racing calls', async () => {
+        const results = await Promise.all([store.deleteRoom('tiger-lamp-42'), store.deleteRoom('tiger-lamp-42')]);
+        assert.strictEqual(results.filter(Boolean).length, 1);
+      });
+
+      it('returns null for a room that never existed', async () => {
+        assert.strictEqual(await store.deleteRoom('no-such-room'), null);
+      });
+
+      it('is not undone by a late touch', async () => {
+        await store.deleteRoom('tiger-lamp-42');
+        await store.touchRoom('tiger-lamp-42');
+        assert.strictEqual(await store.getRoom('tiger-lamp-42'), null);
+      });
+    });
+
+    describe('receivers', () => {
+      beforeEach(async () => {
+        await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp' });
+      });
+
+      it('adds pending receivers only to rooms that exist', async () => {
+        assert.strictEqual(await store.addPendingReceiver('tiger-lamp-42', 'r1', 'fp-r1'), true);
+        assert.strictEqual(await store.addPendingReceiver('no-such-room', 'r1', 'fp-r1'), false);
+        assert.strictEqual((await store.getRoom('tiger-lamp-42')).pendingReceivers.get('r1'), 'fp-r1');
+      });
+
+      it('removes a pending receiver once', async () => {
+        await store.addPendingReceiver('tiger-lamp-42', 'r1', 'fp-r1');
+        assert.strictEqual(await store.removePendingReceiver('tiger-lamp-42', 'r1'), true);
+        assert.strictEqual(await store.removePendingReceiver('tiger-lamp-42', 'r1'), false);
+        assert.strictEqual(await store.removePendingReceiver('no-such-room', 'r1'), false);
+      });
+
+      it('lets only one of two racing answers take a pending receiver', async () => {
+        await store.addPendingReceiver('tiger-lamp-42', 'r1', 'fp-r1');
+        const results = await Promise.all([
+          store.removePendingReceiver('tiger-lamp-42', 'r1'),
+          store.removePendingReceiver('tiger-lamp-42', 'r1')
+        ]);
+        assert.deepStrictEqual(results.sort(), [false, true]);
+      });
+
+      it('puts a receiver on the relay once', async () => {
+        await store.addReceiver('tiger-lamp-42', 'r1');
+        assert.strictEqual(await store.addRelayedReceiver('tiger-lamp-42', 'r1'), true);
+        assert.strictEqual(await store.addRelayedReceiver('tiger-lamp-42', 'r1'), false);
+        assert.deepStrictEqual([...(await store.getRoom('tiger-lamp-42')).relayedReceivers], ['r1']);
+        await store.clearRelayedReceivers('tiger-lamp-42');
+        assert.strictEqual((await store.getRoom('tiger-lamp-42')).relayedReceivers.size, 0);
+        assert.strictEqual(await store.addRelayedReceiver('tiger-lamp-42', 'r1'), true);
+      });
+
+      it('takes a removed receiver off the relay too', async () => {
+        await store.addReceiver('tiger-lamp-42', 'r1');
+        await store.addRelayedReceiver('tiger-lamp-42', 'r1');
+        assert.strictEqual(await store.removeReceiver('tiger-lamp-42', 'r1'), true);
+        assert.strictEqual(await store.removeReceiver('tiger-lamp-42', 'r1'), false);
+        const room = await store.getRoom('tiger-lamp-42');
+        assert.strictEqual(room.receivers.size, 0);
+        assert.strictEqual(room.relayedReceivers.size, 0);
+      });
+    });
+
+    describe('activity and relay totals', () => {
+      it('adds up relay bytes per room', async () => {
+        await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp' });
+        assert.strictEqual(await store.addRelayBytes('tiger-lamp-42', 10), 10);
+        assert.strictEqual(await store.addRelayBytes('tiger-lamp-42', 5), 15);
+        assert.strictEqual((await store.getRoom('tiger-lamp-42')).relayBytes, 15);
+      });
+
+      it('records the last activity', async () => {
+        await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp', now: 5 });
+        await store.touchRoom('tiger-lamp-42', 99);
+        assert.strictEqual((await store.getRoom('tiger-lamp-42')).lastActivity, 99);
+      });
+
+      it('lists and counts every room', async () => {
+        await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp' });
+        await store.createRoom('K7QM4XZP2A', { sender: 's2', senderFingerprint: 'fp' });
+        assert.strictEqual(await store.countRooms(), 2);
+        assert.deepStrictEqual((await store.listRooms()).map(({ code }) => code).sort(), ['K7QM4XZP2A', 'tiger-lamp-42']);
+      });
+    });
+
+    describe('sockets', () => {
+      it('remembers which room a socket is in', async () => {
+        assert.strictEqual(await store.getUserRoom('s1'), null);
+        await store.setUserRoom('s1', 'tiger-lamp-42');
+        assert.strictEqual(await store.getUserRoom('s1'), 'tiger-lamp-42');
+        await store.deleteUserRoom('s1');
+        assert.strictEqual(await store.getUserRoom('s1'), null);
+      });
+
+      it('keeps heartbeats and deletes each one once', async () => {
+        await store.setHeartbeat('s1', 7);
+        assert.strictEqual(await store.getHeartbeat('s1'), 7);
+        assert.deepStrictEqual(await store.listHeartbeats(), [['s1', 7]]);
+        assert.strictEqual(await store.countHeartbeats(), 1);
+        assert.strictEqual(await store.deleteHeartbeat('s1'), true);
+        assert.strictEqual(await store.deleteHeartbeat('s1'), false);
+        assert.strictEqual(await store.getHeartbeat('s1'), null);
+        assert.strictEqual(await store.countHeartbeats(), 0);
+      });
+    });
+
+    describe('join failures', () => {
+      const window = 1000;
+
+      it('counts failures per key within the window', async () => {
+        assert.strictEqual(await store.addJoinFailure('ip:1.2.3.4', { window, now: 100 }), 1);
+        assert.strictEqual(await store.addJoinFailure('ip:1.2.3.4', { window, now: 100 }), 2);
+        assert.strictEqual(await store.addJoinFailure('socket:s1', { window, now: 200 }), 1);
+        assert.strictEqual(await store.addJoinFailure('ip:1.2.3.4', { window, now: 1100 }), 1);
+      });
+
+      it('locks a key out and starts its count over', async () => {
+        assert.strictEqual(await store.getJoinLock('socket:s1'), 0);
+        await store.addJoinFailure('socket:s1', { window, now: 100 });
+        await store.lockJoins('socket:s1', { until: 5000, now: 100 });
+        assert.strictEqual(await store.getJoinLock('socket:s1'), 5000);
+        assert.strictEqual(await store.addJoinFailure('socket:s1', { window, now: 200 }), 1);
+      });
+
+      it('forgets a key with its lock', async () => {
+        await store.lockJoins('socket:s1', { until: 5000, now: 100 });
+        await store.deleteJoinFailures('socket:s1');
+        assert.strictEqual(await store.getJoinLock('socket:s1'), 0);
+        assert.strictEqual(await store.addJoinFailure('socket:s1', { window, now: 200 }), 1);
+      });
+    });
+  });
+}
+
+describe('redis room store layout', () => {
+  it('keeps every key under its prefix', async () => {
+    const client = createFakeRedisClient();
+    const store = createRedisRoomStore(client, { prefix: 'test:' });
+    await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp' });
+    await store.addReceiver('tiger-lamp-42', 'r1');
+    await store.setUserRoom('s1', 'tiger-lamp-42');
+    await store.setHeartbeat('s1');
+    await store.addJoinFailure('ip:1.2.3.4', { window: 1000 });
+    await store.lockJoins('socket:s1', { until: Date.now() + 1000 });
+    assert.ok([...client.data.keys()].every((key) => key.startsWith('test:')));
+  });
+
+  it('forgets rooms whose keys expired', async () => {
+    const client = createFakeRedisClient();
+    const store = createRedisRoomStore(client);
+    await store.createRoom('tiger-lamp-42', { sender: 's1', senderFingerprint: 'fp' });
+    client.data.delete('codedrop:room:tiger-lamp-42');
+    assert.deepStrictEqual(await store.listRooms(), []);
+    assert.deepStrictEqual(await client.sMembers('codedrop:rooms'), []);
+  });
+});
@@ -4,105 +4,517 @@ const { Server } = require("socket.io");
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
 const cron = require('node-cron');
+const { createResumableUploadRouter } = require('./resumableUploads');
+const { createIceServerProvider } = require('./iceServers');
+const { createRoomCodeGenerator, normalizeRoomCode } = require('./roomCodes');
+const { createJoinLimiter } = require('./joinLimiter');
+const { createMemoryRoomStore, createRedisRoomStore } = require('./roomStore');
+const {
+  createUploadStore,
+  createUploadId,
+  createManageToken,
+  isUploadId,
+  parseRetention,
+  countsAsDownload
+} = require('./uploadStore');
+const { loadConfig, describeConfig } = require('./config');
+
+// --- Configuration ---
+// Defaults, then the config file, then environment variables (see config.js)
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+const { config, file: configFile, sources: configSources } = loaded;
+
+if (process.argv.includes('--print-config')) {
+  const overrides = Object.fromEntries(Object.entries(configSources).filter(([, source]) => source !== 'default'));
+  console.log(JSON.stringify({ configFile, overrides, settings: describeConfig(config) }, null, 2));
+  process.exit(0);
+}
+if (configFile) {
+  console.log(`⚙️ Loaded settings from ${configFile}`);
+}
 
 const app = express();
 const server = http.createServer(app);
 
+// Behind Render's proxy - lets req.ip report the real uploader address
+app.set('trust proxy', 1);
+
+// --- CORS for the HTTP API ---
+// The client fetches uploaded (possibly encrypted) files with fetch(), so they need CORS too
+app.use((req, res, next) => {
+  const origin = req.get('origin');
+  if (origin && config.allowedOrigins.includes(origin)) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Vary', 'Origin');
+    res.set('Access-Control-Allow-Methods', 'GET, HEAD, POST, PATCH, DELETE, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type, Range, Upload-Length, Upload-Offset, Upload-Metadata, Tus-Resumable');
+    res.set('Access-Control-Expose-Headers', 'Location, Content-Disposition, Content-Range, Accept-Ranges, Upload-Offset, Upload-Length, Tus-Resumable, Tus-Version, Tus-Max-Size, CodeDrop-File-Link');
+  }
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+  next();
+});
+
 // --- File Upload Setup (Multer) ---
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const UPLOADS_DIR = config.uploads.dir;
+const PARTIAL_UPLOADS_DIR = config.uploads.partialDir; // Resumable uploads still in progress
 // Create the uploads directory if it doesn't exist
 if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR);
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 }
 
+const uploadStore = createUploadStore({ filePath: config.uploads.storePath }); // Metadata for every stored upload
+
+// Remove a stored upload and its metadata record. Keeping the record lets the
+// link answer "expired" instead of "not found" until the cleanup job runs.
+const deleteUpload = (id, reason, { keepRecord = false } = {}) => {
+  console.log(`🗑️ Deleting upload ${id} (${reason})`);
+  if (!keepRecord) uploadStore.remove(id);
+  fs.unlink(path.join(UPLOADS_DIR, id), (err) => {
+    if (err && err.code !== 'ENOENT') console.error(`Error deleting file: ${id}`, err);
+  });
+};
+
 // Configure how files are stored
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, UPLOADS_DIR);
   },
   filename: (req, file, cb) => {
-    // Create a unique filename to avoid collisions: timestamp + original name
-    const uniqueName = `${Date.now()}-${file.originalname}`;
-    cb(null, uniqueName);
+    // Stored under a random ID; the original name is only kept in the metadata store
+    cb(null, createUploadId());
   }
 });
 
-const upload = multer({ storage: storage });
+const upload = multer({ storage: storage, limits: { fileSize: config.uploads.maxSize } });
 
-// --- Serve Uploaded Files Statically ---
-// This makes files in the 'uploads' directory accessible via a URL
-app.use('/files', express.static(UPLOADS_DIR));
+// Build the public link for a stored upload
+// IMPORTANT: Replace with your actual server URL when deployed
+const buildFileLink = (req, id) => `${req.protocol}://${req.get('host')}/d/${id}`;
+
+// RFC 6266: an ASCII fallback name plus the exact UTF-8 name for modern browsers
+const buildContentDisposition = (fileName, disposition = 'attachment') => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+const TEXT_FILE_PATTERN = /\.(txt|md|log|csv|json|ya?ml|toml|ini|xml|html?|css|jsx?|tsx?|py|rb|go|rs|java|kt|c|h|cpp|cs|php|sh|sql)$/i;
+
+// Which kind of inline preview the landing page may show, if any. Links with a
+// download limit get none, since a preview would hand out the content for free.
+const getPreviewType = (record) => {
+  if (record.maxDownloads !== null) return null;
+  const { mimeType, originalName } = record;
+  if (/^image\/(png|jpeg|gif|webp|avif|bmp)$/.test(mimeType)) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('text/') || /^application\/(json|xml|javascript)$/.test(mimeType) || TEXT_FILE_PATTERN.test(originalName)) {
+    return 'text';
+  }
+  return null;
+};
+
+// A compressed upload as stored when the client accepts its encoding, otherwise inflated on the way out
+const sendEncodedUpload = (req, res, record) => {
+  const filePath = path.join(UPLOADS_DIR, record.id);
+  res.vary('Accept-Encoding');
+  if (req.acceptsEncodings(record.encoding) === record.encoding) {
+    res.set('Content-Encoding', record.encoding);
+    return res.sendFile(filePath, { acceptRanges: false }, (err) => {
+      if (err && !res.headersSent) {
+        console.error(`❌ Error sending upload ${record.id}:`, err.message);
+        res.status(err.status === 404 ? 404 : 500).send('Could not read the file.');
+      }
+    });
+  }
+
+  const source = fs.createReadStream(filePath);
+  const decompressor = record.encoding === 'gzip' ? zlib.createGunzip() : zlib.createInflate();
+  source.on('error', (err) => {
+    console.error(`❌ Error reading upload ${record.id}:`, err.message);
+    if (!res.headersSent) res.status(err.code === 'ENOENT' ? 404 : 500).send('Could not read the file.');
+    else res.destroy();
+  });
+  decompressor.on('error', (err) => {
+    console.error(`❌ Error decompressing upload ${record.id}:`, err.message);
+    res.destroy();
+  });
+  source.once('open', () => {
+    if (req.method === 'HEAD') {
+      source.destroy();
+      return res.end();
+    }
+    source.pipe(decompressor).pipe(res);
+  });
+};
+
+// --- Download Uploaded Files ---
+// Expired or used-up links answer 410 even before the cleanup job gets to them.
+// Range requests are served so big downloads can resume; every request that may
+// start at byte 0 counts as a download (see countsAsDownload). A "burn after N downloads" file is deleted once
+// its last allowed download has been sent. `?inline=1` serves a preview for the
+// landing page instead; previews are not counted. Files the browser compressed
+// before uploading go out with Content-Encoding, or are decompressed here for
+// clients that don't accept it; either way there are no ranges.
+app.get('/d/:id', (req, res) => {
+  const { id } = req.params;
+  const record = isUploadId(id) ? uploadStore.get(id) : null;
+  if (!record) {
+    return res.status(404).send('File not found.');
+  }
+  if (uploadStore.isExpired(record)) {
+    return res.status(410).send('This link has expired.');
+  }
+
+  const inline = req.query.inline === '1';
+  const previewType = getPreviewType(record);
+  if (inline && !previewType) {
+    return res.status(403).send('No preview available for this file.');
+  }
+
+  const range = record.encoding ? null : req.get('Range');
+  if (req.method === 'GET' && !inline && countsAsDownload({ range, ifRange: req.get('If-Range'), size: record.size })) {
+    const updated = uploadStore.recordDownload(id);
+    if (uploadStore.isExpired(updated)) {
+      res.on('close', () => deleteUpload(id, 'download limit reached', { keepRecord: true }));
+    }
+  }
+
+  // Downloads are always attachments and previews only cover safe types (text as
+  // text/plain), so uploaded HTML or SVG never renders on this origin
+  res.set({
+    'Content-Type': inline && previewType === 'text' ? 'text/plain; charset=utf-8' : record.mimeType,
+    'Content-Disposition': buildContentDisposition(record.originalName, inline ? 'inline' : 'attachment'),
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-store'
+  });
+  if (inline && previewType !== 'pdf') {
+    res.set('Content-Security-Policy', 'sandbox');
+  }
+  if (record.encoding) {
+    return sendEncodedUpload(req, res, record);
+  }
+  res.sendFile(path.join(UPLOADS_DIR, id), (err) => {
+    if (err && !res.headersSent) {
+      console.error(`❌ Error sending upload ${id}:`, err.message);
+      res.status(err.status === 404 ? 404 : 500).send('Could not read the file.');
+    }
+  });
+});
+
+// --- File Metadata ---
+// Everything the download landing page shows before the recipient downloads
+app.get('/api/files/:id', (req, res) => {
+  const { id } = req.params;
+  const record = isUploadId(id) ? uploadStore.get(id) : null;
+  if (!record) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  if (uploadStore.isExpired(record)) {
+    return res.status(410).json({ error: 'This link has expired' });
+  }
+
+  const downloadUrl = buildFileLink(req, id);
+  const previewType = getPreviewType(record);
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    id,
+    name: record.originalName,
+    size: record.originalSize ?? record.size,
+    mimeType: record.mimeType,
+    language: record.language || null,
+    encoding: record.encoding || null,
+    created: record.created,
+    expiresAt: record.expiresAt,
+    downloads: record.downloads,
+    maxDownloads: record.maxDownloads,
+    remainingDownloads: record.maxDownloads === null ? null : record.maxDownloads - record.downloads,
+    downloadUrl,
+    previewType,
+    previewUrl: previewType ? `${downloadUrl}?inline=1` : null
+  });
+});
+
+// --- Uploader Management ---
+// The manage token handed out at upload time authorizes these, sent as
+// "Authorization: Bearer <token>". Unknown IDs and wrong tokens look the same.
+const requireManageToken = (req, res, next) => {
+  const { id } = req.params;
+  const record = isUploadId(id) ? uploadStore.get(id) : null;
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!uploadStore.canManage(record, token)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  req.uploadRecord = record;
+  next();
+};
+
+const describeManagedUpload = (req, record) => ({
+  id: record.id,
+  name: record.originalName,
+  size: record.size,
+  created: record.created,
+  expiresAt: record.expiresAt,
+  downloads: record.downloads,
+  maxDownloads: record.maxDownloads,
+  lastDownloadAt: record.lastDownloadAt || null,
+  expired: uploadStore.isExpired(record),
+  downloadUrl: buildFileLink(req, record.id)
+});
+
+app.get('/api/files/:id/manage', requireManageToken, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(describeManagedUpload(req, req.uploadRecord));
+});
+
+app.post('/api/files/:id/extend', express.json(), requireManageToken, (req, res) => {
+  const retention = parseRetention({ expiry: req.body && req.body.expiry }, config.uploads.defaultExpiry);
+  if (retention.error) {
+    return res.status(400).json({ error: retention.error });
+  }
+  if (uploadStore.isExpired(req.uploadRecord)) {
+    return res.status(410).json({ error: 'This link has already expired' });
+  }
+
+  const record = uploadStore.extend(req.uploadRecord.id, retention.lifetime);
+  console.log(`⏳ Upload ${record.id} extended until ${new Date(record.expiresAt).toISOString()}`);
+  res.json(describeManagedUpload(req, record));
+});
+
+app.delete('/api/files/:id', requireManageToken, (req, res) => {
+  deleteUpload(req.uploadRecord.id, 'revoked by uploader');
+  res.sendStatus(204);
+});
 
 // --- API Endpoint for File Upload ---
 // The React app will send files to this endpoint
-app.post('/api/upload', upload.single('file'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).send('No file uploaded.');
-  }
-  // Construct the shareable link
-  // IMPORTANT: Replace with your actual server URL when deployed
-  const fileUrl = `${req.protocol}://${req.get('host')}/files/${req.file.filename}`;
-  res.status(200).json({ link: fileUrl });
+app.post('/api/upload', (req, res) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).send(`File exceeds the ${config.uploads.maxSize} byte limit.`);
+      }
+      console.error('❌ Upload error:', err);
+      return res.status(500).send('Upload failed.');
+    }
+    if (!req.file) {
+      return res.status(400).send('No file uploaded.');
+    }
+
+    // Expiry fields must come before the file in the form so multer has parsed them
+    const retention = parseRetention(req.body, config.uploads.defaultExpiry);
+    if (retention.error) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).send(retention.error);
+    }
+
+    const manageToken = createManageToken();
+    const record = uploadStore.add({
+      id: req.file.filename,
+      // Multer hands over the multipart filename as latin1
+      originalName: Buffer.from(req.file.originalname, 'latin1').toString('utf8'),
+      size: req.file.size,
+      mimeType: req.file.mimetype,
+      uploaderIp: req.ip,
+      retention,
+      manageToken
+    });
+
+    // Construct the shareable link
+    res.status(200).json({
+      id: record.id,
+      link: buildFileLink(req, record.id),
+      expiresAt: record.expiresAt,
+      maxDownloads: record.maxDownloads,
+      manageToken
+    });
+  });
+});
+
+// --- Resumable (tus) Uploads ---
+// Chunked uploads that survive dropped connections and page reloads
+app.use('/api/uploads', createResumableUploadRouter({
+  uploadsDir: UPLOADS_DIR,
+  partialDir: PARTIAL_UPLOADS_DIR,
+  maxUploadSize: config.uploads.maxSize,
+  defaultExpiry: config.uploads.defaultExpiry,
+  uploadStore,
+  buildFileLink
+}));
+
+// --- ICE Servers ---
+// Clients fetch STUN/TURN settings (with short-lived TURN credentials) right
+// before creating a peer connection, so relays can change without a client rebuild.
+const iceServerProvider = createIceServerProvider({
+  stunUrls: config.ice.stunUrls,
+  turnUrls: config.ice.turnUrls,
+  turnSecret: config.ice.turnSecret,
+  ttl: config.ice.credentialTtl
+});
+
+app.get('/api/ice-servers', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(iceServerProvider.getConfig());
 });
 
 // --- Socket.IO Setup ---
 const io = new Server(server, {
   cors: {
-    origin: ["https://code-drop-theta.vercel.app", "http://localhost:3000", "https://localhost:3000"],
+    origin: config.allowedOrigins,
     methods: ["GET", "POST"],
     credentials: true
   },
   transports: ['websocket', 'polling'],
-  pingTimeout: 60000,
-  pingInterval: 25000,
-  upgradeTimeout: 30000,
+  pingTimeout: config.socketIo.pingTimeout,
+  pingInterval: config.socketIo.pingInterval,
+  upgradeTimeout: config.socketIo.upgradeTimeout,
   allowUpgrades: true
 });
 
-const PORT = process.env.PORT || 3001;
+// Relay messages are one chunk frame plus headroom; well under Socket.IO's 1 MB maxHttpBufferSize.
+// The per-room byte budget and the ack timeout are in config.relay.
+const RELAY_MAX_MESSAGE_SIZE = 256 * 1024;
+
+const generateRoomCode = createRoomCodeGenerator({
+  format: config.rooms.codeFormat,
+  wordCount: config.rooms.codeWords,
+  length: config.rooms.codeLength
+});
+
+// Same idea as Express's `trust proxy: 1`: only the address added by Render's
+// proxy (the last X-Forwarded-For entry) can be trusted, the rest is client-supplied
+const getSocketIp = (socket) => {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (forwarded) {
+    const addresses = forwarded.split(',').map((address) => address.trim()).filter(Boolean);
+    if (addresses.length) return addresses[addresses.length - 1];
+  }
+  return socket.handshake.address;
+};
+
+// --- Room store ---
+// Rooms, the room each socket is in, heartbeats and failed join attempts live in
+// the room store (see roomStore.js): in this process by default, or in Redis
+// when REDIS_URL is set.
+// With Redis, Socket.IO's Redis adapter carries emits to sockets connected to
+// other instances, so several instances can run behind a load balancer and a
+// restart no longer closes every room.
+// RESP2 keeps older Redis versions and protocol stand-ins working
+const redisClient = config.redis.url ? require('redis').createClient({ url: config.redis.url, RESP: 2 }) : null;
+const roomStore = redisClient
+  ? createRedisRoomStore(redisClient, { prefix: config.redis.prefix })
+  : createMemoryRoomStore();
+const joinLimiter = createJoinLimiter(roomStore, config.joinLimits);
+
+// Connects both Redis clients (commands, and subscriptions for the adapter)
+// before the server starts listening
+const connectRedis = async () => {
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const subClient = redisClient.duplicate();
+  [redisClient, subClient].forEach((client) => {
+    client.on('error', (error) => console.error('❌ Redis error:', error));
+  });
+  await Promise.all([redisClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(redisClient, subClient, { key: `${config.redis.prefix}socket.io` }));
+  console.log(`🗄️ Sharing rooms through Redis at ${new URL(config.redis.url).host}`);
+  return [redisClient, subClient];
+};
 
-// Store room information with better structure
-const rooms = new Map();
-const userRooms = new Map(); // Track which room each user is in
-const heartbeats = new Map(); // Track heartbeats
+// Whether a socket is still connected, to this instance or (going by its
+// heartbeats) to another one
+const isConnected = async (socketId) => (
+  io.sockets.sockets.has(socketId) || (await roomStore.getHeartbeat(socketId)) !== null
+);
 
 // Helper function to clean up a room
-const cleanupRoom = (roomCode, reason = 'cleanup') => {
+const cleanupRoom = async (roomCode, reason = 'cleanup') => {
   console.log(`🧹 Cleaning up room ${roomCode} (${reason})`);
-  const roomInfo = rooms.get(roomCode);
-  
+  const roomInfo = await roomStore.deleteRoom(roomCode);
+
   if (roomInfo) {
-    // Notify users in the room
-    if (roomInfo.sender && io.sockets.sockets.get(roomInfo.sender)) {
-      io.to(roomInfo.sender).emit('room-closed', { reason });
-    }
-    if (roomInfo.receiver && io.sockets.sockets.get(roomInfo.receiver)) {
-      io.to(roomInfo.receiver).emit('room-closed', { reason });
-    }
-    
+    // Notify users in the room, whichever instance they are connected to
+    const members = [roomInfo.sender, ...roomInfo.receivers, ...roomInfo.pendingReceivers.keys()];
+    members.forEach((userId) => {
+      io.to(userId).emit('room-closed', { reason });
+    });
+
     // Remove from tracking maps
-    if (roomInfo.sender) {
-      userRooms.delete(roomInfo.sender);
-      heartbeats.delete(roomInfo.sender);
-    }
-    if (roomInfo.receiver) {
-      userRooms.delete(roomInfo.receiver);
-      heartbeats.delete(roomInfo.receiver);
-    }
-    
-    rooms.delete(roomCode);
+    await Promise.all(members.map((userId) => roomStore.deleteUserRoom(userId)));
+    io.in(roomCode).socketsLeave(roomCode);
   }
 };
 
-// Helper function to get room info safely
-const getRoomInfo = (roomCode) => {
-  return rooms.get(roomCode) || null;
+// A receiver still waiting for approval went away; the room stays open for someone else
+const dropPendingReceiver = async (roomCode, receiverId) => {
+  const roomInfo = await roomStore.getRoom(roomCode);
+  if (!roomInfo || !(await roomStore.removePendingReceiver(roomCode, receiverId))) return false;
+
+  await roomStore.deleteUserRoom(receiverId);
+  io.to(roomInfo.sender).emit('receiver-left', { receiverId });
+  return true;
+};
+
+// One receiver leaves; the sender keeps the room and its other receivers
+const removeReceiver = async (roomCode, receiverId, reason) => {
+  const roomInfo = await roomStore.getRoom(roomCode);
+  if (!roomInfo || !(await roomStore.removeReceiver(roomCode, receiverId))) return false;
+
+  console.log(`👋 Receiver ${receiverId} left room ${roomCode} (${reason})`);
+  await roomStore.deleteUserRoom(receiverId);
+  io.in(receiverId).socketsLeave(roomCode);
+  io.to(roomInfo.sender).emit('peer-disconnected', { reason, userId: receiverId });
+  return true;
+};
+
+// A socket is gone: a waiting or accepted receiver just leaves its room, a
+// sender takes the room down with it
+const releaseSocket = async (socketId) => {
+  const roomCode = await roomStore.getUserRoom(socketId);
+  if (!roomCode) return;
+
+  const roomInfo = await roomStore.getRoom(roomCode);
+  if (await dropPendingReceiver(roomCode, socketId)) {
+    console.log(`🚪 Pending receiver left room ${roomCode}`);
+  } else if (await removeReceiver(roomCode, socketId, 'peer-left')) {
+    // The sender carries on with the other receivers
+  } else if (roomInfo && roomInfo.sender === socketId) {
+    // The sender left: tell every receiver, then remove the room entirely
+    [...roomInfo.receivers, ...roomInfo.pendingReceivers.keys()].forEach((receiverId) => {
+      io.to(receiverId).emit('peer-disconnected', {
+        reason: 'peer-left',
+        userId: socketId
+      });
+    });
+
+    await cleanupRoom(roomCode, 'user-disconnected');
+  } else {
+    await roomStore.deleteUserRoom(socketId);
+  }
 };
 
+// DTLS certificate fingerprint as the client reads it from its RTCCertificate,
+// e.g. "sha-256 AB:CD:...". Peers check them against the SDP they receive, and
+// both sides derive the verification phrase from the pair. A receiver first
+// joins with a SHA-256 commitment to its fingerprint and reveals it once the
+// sender's nonce has arrived (see client/src/utils/verification.js).
+const DTLS_FINGERPRINT_PATTERN = /^sha-(1|224|256|384|512) [0-9A-F]{2}(:[0-9A-F]{2}){19,63}$/;
+const isDtlsFingerprint = (value) => typeof value === 'string' && DTLS_FINGERPRINT_PATTERN.test(value);
+const isHex = (value, length) => typeof value === 'string' && value.length === length && /^[0-9a-f]+$/.test(value);
+
 // Room validation helper
-const validateRoom = (socket, roomCode, requiredRole = null) => {
-  const roomInfo = getRoomInfo(roomCode);
+const validateRoom = async (socket, roomCode, requiredRole = null) => {
+  const roomInfo = await roomStore.getRoom(roomCode);
   if (!roomInfo) {
     socket.emit('error', 'Room not found');
     return false;
@@ -113,12 +525,12 @@ const validateRoom = (socket, roomCode, requiredRole = null) => {
     return false;
   }
 
-  if (requiredRole === 'receiver' && roomInfo.receiver !== socket.id) {
+  if (requiredRole === 'receiver' && !roomInfo.receivers.has(socket.id)) {
     socket.emit('error', 'Unauthorized: Not the receiver');
     return false;
   }
 
-  if (roomInfo.sender !== socket.id && roomInfo.receiver !== socket.id) {
+  if (roomInfo.sender !== socket.id && !roomInfo.receivers.has(socket.id)) {
     socket.emit('error', 'Unauthorized: Not in this room');
     return false;
   }
@@ -142,61 +554,63 @@ process.on('uncaughtException', (error) => {
 // --- Enhanced Signaling Logic ---
 io.on('connection', (socket) => {
     console.log('✅ User connected:', socket.id);
-    heartbeats.set(socket.id, Date.now());
 
-    // Clean up any existing room assignments for this socket
-    const existingRoom = userRooms.get(socket.id);
-    if (existingRoom) {
-      cleanupRoom(existingRoom, 'user-reconnected');
-    }
+    // The store is async, so one socket's events are handled one after another
+    // in the order they arrived - an offer is never overtaken by its own ICE candidates
+    let handling = roomStore.setHeartbeat(socket.id)
+        .catch((error) => console.error('❌ Error recording heartbeat:', error));
+    const on = (event, handler) => socket.on(event, (...args) => {
+        handling = handling
+            .then(() => handler(...args))
+            .catch((error) => console.error(`❌ Error handling ${event}:`, error));
+    });
 
-    socket.on('create-room', () => {
+    on('create-room', async ({ fingerprint } = {}) => {
         try {
+            if (!isDtlsFingerprint(fingerprint)) {
+                socket.emit('error', 'Invalid certificate fingerprint');
+                return;
+            }
+
             // Clean up any existing room for this user
-            const existingRoom = userRooms.get(socket.id);
-            if (existingRoom) {
-                cleanupRoom(existingRoom, 'new-room-created');
+            const existingRoom = await roomStore.getUserRoom(socket.id);
+            if (existingRoom && !(await dropPendingReceiver(existingRoom, socket.id))) {
+                await cleanupRoom(existingRoom, 'new-room-created');
             }
 
             let roomCode;
             let attempts = 0;
-            
-            // Ensure room code is unique
+            let created = false;
+
+            // Ensure room code is unique (the store refuses codes that are taken)
             do {
-                roomCode = Math.floor(1000 + Math.random() * 9000).toString();
+                roomCode = generateRoomCode();
                 attempts++;
-            } while (rooms.has(roomCode) && attempts < 10);
+                created = await roomStore.createRoom(roomCode, { sender: socket.id, senderFingerprint: fingerprint });
+            } while (!created && attempts < 10);
 
-            if (attempts >= 10) {
+            if (!created) {
                 socket.emit('error', 'Failed to generate unique room code');
                 return;
             }
 
             socket.join(roomCode);
-            
-            // Store room info
-            const roomInfo = {
-              sender: socket.id,
-              receiver: null,
-              created: Date.now(),
-              lastActivity: Date.now()
-            };
-            
-            rooms.set(roomCode, roomInfo);
-            userRooms.set(socket.id, roomCode);
-            
+            await roomStore.setUserRoom(socket.id, roomCode);
+
             socket.emit('room-created', roomCode);
             console.log(`🚀 Room created: ${roomCode} by ${socket.id}`);
 
-            // Set room timeout (30 minutes)
-            setTimeout(() => {
-                if (rooms.has(roomCode)) {
-                    const room = rooms.get(roomCode);
-                    if (!room.receiver) {
-                        cleanupRoom(roomCode, 'timeout-no-receiver');
+            // Close the room at its maximum age if nobody joined
+            setTimeout(async () => {
+                try {
+                    const room = await roomStore.getRoom(roomCode);
+                    if (room && room.sender === socket.id && room.receivers.size === 0) {
+                        await cleanupRoom(roomCode, 'timeout-no-receiver');
                     }
+                } catch (error) {
+                    console.error('❌ Error timing out room:', error);
                 }
-            }, 30 * 60 * 1000);
+            }, config.rooms.maxAge);
 
         } catch (error) {
             console.error('❌ Error creating room:', error);
@@ -204,75 +618,189 @@ io.on('connection', (socket) => {
         }
     });
 
-    socket.on('join-room', (roomCode) => {
+    on('join-room', async (input, { commitment } = {}) => {
         try {
-            if (!roomCode || typeof roomCode !== 'string' || roomCode.length !== 4) {
-                socket.emit('error', 'Invalid room code');
+            if (!isHex(commitment, 64)) {
+                socket.emit('error', 'Invalid certificate fingerprint');
+                return;
+            }
+
+            const client = { socketId: socket.id, ip: getSocketIp(socket) };
+            const lockedFor = await joinLimiter.retryAfter(client);
+            if (lockedFor > 0) {
+                socket.emit('error', `Too many failed attempts. Try again in ${Math.ceil(lockedFor / 60000)} min.`);
+                return;
+            }
+
+            // Wrong codes count towards the lockout; rooms that exist but cannot
+            // be joined (full, closing) do not, since the code itself was right
+            const rejectCode = async (message) => {
+                const lockout = await joinLimiter.recordFailure(client);
+                socket.emit('error', lockout > 0
+                    ? `Too many failed attempts. Try again in ${Math.ceil(lockout / 60000)} min.`
+                    : message);
+            };
+
+            const roomCode = normalizeRoomCode(input);
+            if (!roomCode) {
+                await rejectCode('Invalid room code');
                 return;
             }
 
-            const roomInfo = getRoomInfo(roomCode);
-            const socketRoom = io.sockets.adapter.rooms.get(roomCode);
-            
+            const roomInfo = await roomStore.getRoom(roomCode);
+            const senderConnected = roomInfo ? await isConnected(roomInfo.sender) : false;
+
             console.log(`🚪 Join attempt for room ${roomCode}:`, {
                 roomExists: !!roomInfo,
-                socketRoomSize: socketRoom?.size || 0,
-                hasReceiver: roomInfo?.receiver ? true : false
+                senderConnected,
+                receivers: roomInfo?.receivers.size || 0,
+                pendingReceivers: roomInfo?.pendingReceivers.size || 0
             });
 
             if (!roomInfo) {
-                socket.emit('error', 'Room not found');
+                await rejectCode('Room not found');
                 return;
             }
 
-            if (roomInfo.receiver) {
-                socket.emit('error', 'Room is full');
+            if (roomInfo.sender === socket.id || roomInfo.receivers.has(socket.id) || roomInfo.pendingReceivers.has(socket.id)) {
+                socket.emit('error', 'Already in this room');
                 return;
             }
 
-            if (!socketRoom || socketRoom.size === 0) {
-                socket.emit('error', 'Room is no longer active');
+            if (roomInfo.receivers.size + roomInfo.pendingReceivers.size >= config.rooms.maxReceivers) {
+                socket.emit('error', 'Room is full');
                 return;
             }
 
-            if (socketRoom.size >= 2) {
-                socket.emit('error', 'Room is full');
+            if (!senderConnected) {
+                socket.emit('error', 'Room is no longer active');
                 return;
             }
 
             // Clean up any existing room for this user
-            const existingRoom = userRooms.get(socket.id);
-            if (existingRoom && existingRoom !== roomCode) {
-                cleanupRoom(existingRoom, 'user-joined-new-room');
+            const existingRoom = await roomStore.getUserRoom(socket.id);
+            if (existingRoom && existingRoom !== roomCode && !(await dropPendingReceiver(existingRoom, socket.id))) {
+                await cleanupRoom(existingRoom, 'user-joined-new-room');
             }
 
-            socket.join(roomCode);
-            
-            // Update room info
-            roomInfo.receiver = socket.id;
-            roomInfo.lastActivity = Date.now();
-            userRooms.set(socket.id, roomCode);
-            
-            console.log(`👋 User ${socket.id} joined room ${roomCode}`);
-            
-            // Notify both users
-            socket.emit('room-joined', roomCode);
-            
-            // Notify the sender that receiver has joined
-            if (roomInfo.sender && io.sockets.sockets.get(roomInfo.sender)) {
-                io.to(roomInfo.sender).emit('receiver-joined', { 
-                    receiverId: socket.id
-                });
-            }
-            
+            // The joiner waits outside the socket room until the sender has
+            // compared the verification phrase and accepted them
+            if (!(await roomStore.addPendingReceiver(roomCode, socket.id, commitment))) {
+                socket.emit('error', 'Room is no longer active');
+                return;
+            }
+            await roomStore.touchRoom(roomCode);
+            await roomStore.setUserRoom(socket.id, roomCode);
+
+            console.log(`👋 User ${socket.id} is waiting to join room ${roomCode}`);
+
+            // The receiver gets the sender's fingerprint, the sender only the
+            // receiver's commitment until its nonce has gone out
+            socket.emit('room-joined', roomCode, { senderId: roomInfo.sender, senderFingerprint: roomInfo.senderFingerprint });
+
+            io.to(roomInfo.sender).emit('receiver-joined', {
+                receiverId: socket.id,
+                commitment
+            });
+
         } catch (error) {
             console.error('❌ Error joining room:', error);
             socket.emit('error', 'Failed to join room');
         }
     });
 
+    // The sender's nonce for a receiver's commitment, and the fingerprint the
+    // receiver reveals in return. Both only pass between a sender and a receiver
+    // still waiting to be accepted into its room.
+    on('verification-nonce', async ({ receiverId, nonce } = {}) => {
+        try {
+            const roomCode = await roomStore.getUserRoom(socket.id);
+            const roomInfo = roomCode && await validateRoom(socket, roomCode, 'sender');
+            if (!roomInfo) return;
+            if (!roomInfo.pendingReceivers.has(receiverId) || !isHex(nonce, 32)) {
+                socket.emit('peer-error', { peerId: receiverId, message: 'That receiver is no longer waiting' });
+                return;
+            }
+            io.to(receiverId).emit('verification-nonce', { nonce });
+        } catch (error) {
+            console.error('❌ Error relaying verification nonce:', error);
+            socket.emit('error', 'Failed to verify receiver');
+        }
+    });
+
+    on('reveal-fingerprint', async ({ fingerprint } = {}) => {
+        try {
+            if (!isDtlsFingerprint(fingerprint)) {
+                socket.emit('error', 'Invalid certificate fingerprint');
+                return;
+            }
+            const roomCode = await roomStore.getUserRoom(socket.id);
+            const roomInfo = roomCode && await roomStore.getRoom(roomCode);
+            if (!roomInfo || !roomInfo.pendingReceivers.has(socket.id)) {
+                socket.emit('error', 'Not waiting to join a room');
+                return;
+            }
+            io.to(roomInfo.sender).emit('receiver-fingerprint', { receiverId: socket.id, fingerprint });
+        } catch (error) {
+            console.error('❌ Error relaying fingerprint:', error);
+            socket.emit('error', 'Failed to verify with the sender');
+        }
+    });
+
+    // The sender's answer to a pending receiver. Taking the receiver off the
+    // pending list is the claim, so it's only ever accepted or rejected once.
+    const takePendingReceiver = async (receiverId) => {
+        const roomCode = await roomStore.getUserRoom(socket.id);
+        const roomInfo = roomCode && await validateRoom(socket, roomCode, 'sender');
+        if (!roomInfo) return null;
+
+        if (!(await roomStore.removePendingReceiver(roomCode, receiverId))) {
+            socket.emit('peer-error', { peerId: receiverId, message: 'That receiver is no longer waiting' });
+            return null;
+        }
+        await roomStore.touchRoom(roomCode);
+        return roomCode;
+    };
+
+    on('accept-receiver', async ({ receiverId } = {}) => {
+        try {
+            const roomCode = await takePendingReceiver(receiverId);
+            if (!roomCode) return;
+
+            if (!(await isConnected(receiverId))) {
+                await roomStore.deleteUserRoom(receiverId);
+                socket.emit('receiver-left', { receiverId });
+                return;
+            }
+
+            await roomStore.addReceiver(roomCode, receiverId);
+            io.in(receiverId).socketsJoin(roomCode);
+
+            console.log(`✅ Sender accepted ${receiverId} into room ${roomCode}`);
+            io.to(receiverId).emit('receiver-accepted', roomCode);
+        } catch (error) {
+            console.error('❌ Error accepting receiver:', error);
+            socket.emit('error', 'Failed to accept receiver');
+        }
+    });
+
+    on('reject-receiver', async ({ receiverId } = {}) => {
+        try {
+            const roomCode = await takePendingReceiver(receiverId);
+            if (!roomCode) return;
+
+            await roomStore.deleteUserRoom(receiverId);
+
+            console.log(`🚫 Sender rejected ${receiverId} from room ${roomCode}`);
+            io.to(receiverId).emit('receiver-rejected', { reason: 'The sender declined this connection' });
+        } catch (error) {
+            console.error('❌ Error rejecting receiver:', error);
+            socket.emit('error', 'Failed to reject receiver');
+        }
+    });
+
     // FIXED: Enhanced WebRTC signaling with proper message format
-    socket.on('offer', (payload) => {
+    on('offer', async (payload) => {
         try {
             if (!payload.target || !payload.sdp) {
                 console.error('❌ Invalid offer payload');
@@ -280,31 +808,36 @@ io.on('connection', (socket) => {
                 return;
             }
 
-            const roomCode = userRooms.get(socket.id);
+            const roomCode = await roomStore.getUserRoom(socket.id);
             if (!roomCode) {
                 console.error('❌ User not in any room');
                 socket.emit('error', 'Not in any room');
                 return;
             }
 
-            const roomInfo = validateRoom(socket, roomCode, 'sender');
+            const roomInfo = await validateRoom(socket, roomCode, 'sender');
             if (!roomInfo) return;
 
+            if (!roomInfo.receivers.has(payload.target)) {
+                socket.emit('peer-error', { peerId: payload.target, message: 'That receiver is not in this room' });
+                return;
+            }
+
             console.log(`📤 Relaying offer from ${socket.id} to ${payload.target} in room ${roomCode}`);
-            
+
             // Update room activity
-            roomInfo.lastActivity = Date.now();
-            
+            await roomStore.touchRoom(roomCode);
+
             // Check if target is still connected
-            if (!io.sockets.sockets.get(payload.target)) {
+            if (!(await isConnected(payload.target))) {
                 console.error('❌ Target user not connected');
-                socket.emit('error', 'Receiver disconnected');
+                socket.emit('peer-error', { peerId: payload.target, message: 'Receiver disconnected' });
                 return;
             }
 
             // FIXED: Send only what client expects
-            io.to(payload.target).emit('offer', { 
-                sdp: payload.sdp, 
+            io.to(payload.target).emit('offer', {
+                sdp: payload.sdp,
                 senderId: socket.id,
                 isRestart: payload.isRestart || false
             });
@@ -315,7 +848,7 @@ io.on('connection', (socket) => {
         }
     });
 
-    socket.on('answer', (payload) => {
+    on('answer', async (payload) => {
         try {
             if (!payload.target || !payload.sdp) {
                 console.error('❌ Invalid answer payload');
@@ -323,31 +856,37 @@ io.on('connection', (socket) => {
                 return;
             }
 
-            const roomCode = userRooms.get(socket.id);
+            const roomCode = await roomStore.getUserRoom(socket.id);
             if (!roomCode) {
                 console.error('❌ User not in any room');
                 socket.emit('error', 'Not in any room');
                 return;
             }
 
-            const roomInfo = validateRoom(socket, roomCode, 'receiver');
+            const roomInfo = await validateRoom(socket, roomCode, 'receiver');
             if (!roomInfo) return;
 
+            if (payload.target !== roomInfo.sender) {
+                socket.emit('error', 'Answers can only go to the sender');
+                return;
+            }
+
             console.log(`📤 Relaying answer from ${socket.id} to ${payload.target} in room ${roomCode}`);
-            
+
             // Update room activity
-            roomInfo.lastActivity = Date.now();
-            
+            await roomStore.touchRoom(roomCode);
+
             // Check if target is still connected
-            if (!io.sockets.sockets.get(payload.target)) {
+            if (!(await isConnected(payload.target))) {
                 console.error('❌ Target user not connected');
                 socket.emit('error', 'Sender disconnected');
                 return;
             }
 
             // FIXED: Send only what client expects
-            io.to(payload.target).emit('answer', { 
-                sdp: payload.sdp
+            io.to(payload.target).emit('answer', {
+                sdp: payload.sdp,
+                receiverId: socket.id
             });
 
         } catch (error) {
@@ -357,77 +896,82 @@ io.on('connection', (socket) => {
     });
 
     // FIXED: Enhanced ICE candidate relay
-    socket.on('ice-candidate', (payload) => {
+    on('ice-candidate', async (payload) => {
         try {
             if (!payload.candidate) {
                 console.error('❌ Invalid ICE candidate payload');
                 return;
             }
 
-            const roomCode = userRooms.get(socket.id);
+            const roomCode = await roomStore.getUserRoom(socket.id);
             if (!roomCode) {
                 console.error('❌ User not in any room for ICE candidate');
                 return;
             }
 
-            const roomInfo = validateRoom(socket, roomCode);
+            const roomInfo = await validateRoom(socket, roomCode);
             if (!roomInfo) return;
 
             console.log(`🧊 Relaying ICE candidate from ${socket.id} in room ${roomCode}`);
-            
+
             // Update room activity
-            roomInfo.lastActivity = Date.now();
-            
-            if (payload.target) {
-                // Direct target specified
-                if (!io.sockets.sockets.get(payload.target)) {
-                    console.error('❌ Target user not connected for ICE candidate');
-                    return;
-                }
-                
-                io.to(payload.target).emit('ice-candidate', { 
-                    candidate: payload.candidate
-                });
-            } else {
-                // Broadcast to room (excluding sender)
-                socket.broadcast.to(roomCode).emit('ice-candidate', { 
-                    candidate: payload.candidate
-                });
+            await roomStore.touchRoom(roomCode);
+
+            // Receivers only ever talk to the sender; the sender names the receiver
+            const target = socket.id === roomInfo.sender ? payload.target : roomInfo.sender;
+            if (!target || (target !== roomInfo.sender && !roomInfo.receivers.has(target))) {
+                console.error('❌ ICE candidate for a peer outside the room');
+                return;
+            }
+            if (!(await isConnected(target))) {
+                console.error('❌ Target user not connected for ICE candidate');
+                return;
             }
 
+            io.to(target).emit('ice-candidate', {
+                candidate: payload.candidate,
+                from: socket.id
+            });
+
         } catch (error) {
             console.error('❌ Error handling ICE candidate:', error);
         }
     });
 
     // NEW: Connection state monitoring
-    socket.on('connection-state-change', (payload) => {
+    on('connection-state-change', async (payload) => {
         try {
-            const roomCode = userRooms.get(socket.id);
+            const roomCode = await roomStore.getUserRoom(socket.id);
             if (!roomCode) return;
 
-            const roomInfo = getRoomInfo(roomCode);
+            const roomInfo = await roomStore.getRoom(roomCode);
             if (!roomInfo) return;
 
             console.log(`🔗 Connection state change in room ${roomCode}:`, payload.state);
-            
-            // Update room activity
-            roomInfo.lastActivity = Date.now();
 
-            // Relay connection state to other peer
-            const otherUserId = roomInfo.sender === socket.id ? roomInfo.receiver : roomInfo.sender;
-            if (otherUserId && io.sockets.sockets.get(otherUserId)) {
-                io.to(otherUserId).emit('peer-connection-state', {
-                    state: payload.state,
-                    peerId: socket.id
-                });
-            }
+            // Update room activity
+            await roomStore.touchRoom(roomCode);
+
+            // Relay connection state to other peer (the sender says which receiver it means)
+            const receiverId = roomInfo.sender === socket.id ? payload.peerId : socket.id;
+            if (!roomInfo.receivers.has(receiverId)) return;
+            const otherUserId = roomInfo.sender === socket.id ? receiverId : roomInfo.sender;
+            io.to(otherUserId).emit('peer-connection-state', {
+                state: payload.state,
+                peerId: socket.id
+            });
 
-            // If connection failed, clean up room after a delay
+            // If connection failed, drop that receiver after a delay - unless the
+            // pair has moved to the relay in the meantime
             if (payload.state === 'failed' || payload.state === 'closed') {
-                setTimeout(() => {
-                    if (rooms.has(roomCode)) {
-                        cleanupRoom(roomCode, 'connection-failed');
+                setTimeout(async () => {
+                    try {
+                        const room = await roomStore.getRoom(roomCode);
+                        if (room && !room.relayedReceivers.has(receiverId)) {
+                            await removeReceiver(roomCode, receiverId, 'connection-failed');
+                        }
+                    } catch (error) {
+                        console.error('❌ Error dropping failed receiver:', error);
                     }
                 }, 5000);
             }
@@ -437,189 +981,245 @@ io.on('connection', (socket) => {
     });
 
     // NEW: Connection timeout handling
-    socket.on('connection-timeout', (payload) => {
+    // Only the sender's timeout closes the room; a receiver that gives up just
+    // leaves it, like when it disconnects
+    on('connection-timeout', async () => {
         console.log(`⏰ Connection timeout reported by ${socket.id}`);
-        const roomCode = userRooms.get(socket.id);
-        if (roomCode) {
-            cleanupRoom(roomCode, 'connection-timeout');
+        const roomCode = await roomStore.getUserRoom(socket.id);
+        if (!roomCode) return;
+
+        const roomInfo = await roomStore.getRoom(roomCode);
+        if (roomInfo && roomInfo.sender === socket.id) {
+            await cleanupRoom(roomCode, 'connection-timeout');
+        } else if (!(await dropPendingReceiver(roomCode, socket.id))
+            && !(await removeReceiver(roomCode, socket.id, 'connection-timeout'))) {
+            await roomStore.deleteUserRoom(socket.id);
         }
     });
 
     // Enhanced heartbeat mechanism
-    socket.on('ping', () => {
-        heartbeats.set(socket.id, Date.now());
-        const roomCode = userRooms.get(socket.id);
+    on('ping', async () => {
+        await roomStore.setHeartbeat(socket.id);
+        const roomCode = await roomStore.getUserRoom(socket.id);
         if (roomCode) {
-            const roomInfo = getRoomInfo(roomCode);
-            if (roomInfo) {
-                roomInfo.lastActivity = Date.now();
-            }
+            await roomStore.touchRoom(roomCode);
         }
         socket.emit('pong');
     });
 
-    // Handle file transfer events (for socket-based fallback)
-    socket.on('file-chunk', (payload) => {
+    // --- Relay fallback ---
+    // When WebRTC can't connect, either side of a sender/receiver pair asks for
+    // the relay and both get 'relay-ready'. From then on that pair's data-channel
+    // messages travel as 'relay-data' through here, addressed by peer id. The
+    // sending side's ack waits for the other side's, which gives end-to-end
+    // backpressure, and each room has one byte budget for all of its receivers.
+    on('relay-start', async ({ peerId } = {}) => {
         try {
-            const roomCode = userRooms.get(socket.id);
-            if (!roomCode) return;
+            const roomCode = await roomStore.getUserRoom(socket.id);
+            if (!roomCode) {
+                socket.emit('error', 'Not in any room');
+                return;
+            }
 
-            const roomInfo = getRoomInfo(roomCode);
+            const roomInfo = await validateRoom(socket, roomCode);
             if (!roomInfo) return;
 
-            // Update room activity
-            roomInfo.lastActivity = Date.now();
-
-            if (payload.target && io.sockets.sockets.get(payload.target)) {
-                io.to(payload.target).emit('file-chunk', payload);
-            } else {
-                socket.broadcast.to(roomCode).emit('file-chunk', payload);
+            const receiverId = roomInfo.sender === socket.id ? peerId : socket.id;
+            const refuse = (reason) => {
+                console.log(`🚫 Relay refused for room ${roomCode}: ${reason}`);
+                socket.emit('relay-unavailable', { peerId: roomInfo.sender === socket.id ? peerId : roomInfo.sender, reason });
+            };
+            if (!config.relay.enabled) return refuse('Relaying is disabled on this server');
+            if (!roomInfo.receivers.has(receiverId) || !(await isConnected(roomInfo.sender))) {
+                return refuse('The other device is not connected');
             }
+            if (roomInfo.relayBytes >= config.relay.maxBytesPerRoom) return refuse('This room has used up its relay allowance');
+            // The other peer asked first; both already got relay-ready
+            if (!(await roomStore.addRelayedReceiver(roomCode, receiverId))) return;
+
+            await roomStore.touchRoom(roomCode);
+            console.log(`🔁 Relaying ${receiverId} in room ${roomCode} through the server`);
+
+            io.to(roomInfo.sender).emit('relay-ready', { peerId: receiverId, byteLimit: config.relay.maxBytesPerRoom });
+            io.to(receiverId).emit('relay-ready', { peerId: roomInfo.sender, byteLimit: config.relay.maxBytesPerRoom });
         } catch (error) {
-            console.error('❌ Error handling file chunk:', error);
+            console.error('❌ Error starting relay:', error);
+            socket.emit('relay-unavailable', { peerId, reason: 'Failed to start relay' });
         }
     });
 
-    socket.on('file-complete', (payload) => {
+    on('relay-data', async (peerId, data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
         try {
-            const roomCode = userRooms.get(socket.id);
-            if (!roomCode) return;
+            const roomCode = await roomStore.getUserRoom(socket.id);
+            const roomInfo = roomCode ? await roomStore.getRoom(roomCode) : null;
+            const receiverId = roomInfo && (roomInfo.sender === socket.id ? peerId : socket.id);
+            const isPair = roomInfo && (roomInfo.sender === socket.id || peerId === roomInfo.sender);
+            if (!isPair || !roomInfo.relayedReceivers.has(receiverId)) {
+                return reply({ ok: false, error: 'Relay is not active' });
+            }
 
-            const roomInfo = getRoomInfo(roomCode);
-            if (!roomInfo) return;
+            const size = typeof data === 'string' ? Buffer.byteLength(data) : data && data.byteLength;
+            if (!size || size > RELAY_MAX_MESSAGE_SIZE) {
+                return reply({ ok: false, error: 'Invalid relay message' });
+            }
 
-            // Update room activity
-            roomInfo.lastActivity = Date.now();
+            const relayBytes = await roomStore.addRelayBytes(roomCode, size);
+            await roomStore.touchRoom(roomCode);
+            if (relayBytes > config.relay.maxBytesPerRoom) {
+                console.log(`🚫 Room ${roomCode} exceeded its relay allowance`);
+                await roomStore.clearRelayedReceivers(roomCode);
+                const reason = 'Relay limit reached for this room';
+                io.to(roomCode).emit('relay-closed', { reason });
+                return reply({ ok: false, error: reason });
+            }
 
-            if (payload.target && io.sockets.sockets.get(payload.target)) {
-                io.to(payload.target).emit('file-complete', payload);
-            } else {
-                socket.broadcast.to(roomCode).emit('file-complete', payload);
+            if (!(await isConnected(peerId))) {
+                return reply({ ok: false, error: 'The other device is not connected' });
             }
+
+            io.to(peerId).timeout(config.relay.ackTimeout).emit('relay-data', socket.id, data, (err, responses) => {
+                const response = responses && responses[0];
+                if (err || !response) {
+                    reply({ ok: false, error: 'The other device did not respond' });
+                } else {
+                    reply(response);
+                }
+            });
         } catch (error) {
-            console.error('❌ Error handling file complete:', error);
+            console.error('❌ Error relaying data:', error);
+            reply({ ok: false, error: 'Relay failed' });
         }
     });
 
-    socket.on('disconnect', (reason) => {
+    on('disconnect', async (reason) => {
         console.log('❌ User disconnected:', socket.id, 'Reason:', reason);
-        
+
         try {
             // Remove from heartbeat tracking
-            heartbeats.delete(socket.id);
-            
+            await roomStore.deleteHeartbeat(socket.id);
+            await joinLimiter.forgetSocket(socket.id);
+
             // Clean up room if user was in one
-            const roomCode = userRooms.get(socket.id);
-            if (roomCode) {
-                const roomInfo = getRoomInfo(roomCode);
-                if (roomInfo) {
-                    // Notify the other user in the room
-                    const otherUserId = roomInfo.sender === socket.id ? roomInfo.receiver : roomInfo.sender;
-                    
-                    if (otherUserId && io.sockets.sockets.get(otherUserId)) {
-                        io.to(otherUserId).emit('peer-disconnected', { 
-                            reason: 'peer-left',
-                            userId: socket.id 
-                        });
-                    }
-                    
-                    // Remove the room entirely
-                    cleanupRoom(roomCode, 'user-disconnected');
-                }
-            }
+            await releaseSocket(socket.id);
         } catch (error) {
             console.error('❌ Error handling disconnect:', error);
         }
     });
 
     // Handle connection errors
-    socket.on('error', (error) => {
+    on('error', async (error) => {
         console.error('❌ Socket error for', socket.id, ':', error);
-        
-        const roomCode = userRooms.get(socket.id);
+
+        const roomCode = await roomStore.getUserRoom(socket.id);
         if (roomCode) {
-            cleanupRoom(roomCode, 'socket-error');
+            await cleanupRoom(roomCode, 'socket-error');
         }
     });
 });
 
 // Enhanced heartbeat monitoring
-let heartbeatInterval = setInterval(() => {
+let heartbeatInterval = setInterval(async () => {
     const now = Date.now();
-    const heartbeatTimeout = 30000; // 30 seconds
-    
-    for (const [socketId, lastPing] of heartbeats.entries()) {
-        if (now - lastPing > heartbeatTimeout) {
+
+    try {
+        for (const [socketId, lastPing] of await roomStore.listHeartbeats()) {
+            if (now - lastPing <= config.heartbeat.timeout) continue;
+            // Every instance sweeps the same heartbeats; the one that removes the entry handles it
+            if (!(await roomStore.deleteHeartbeat(socketId))) continue;
+
             console.log(`💔 Heartbeat timeout for ${socketId}`);
             const socket = io.sockets.sockets.get(socketId);
             if (socket) {
                 socket.disconnect(true);
+            } else {
+                // Connected to another instance, or left behind by one that went
+                // down - then nobody else is going to take it out of its room
+                io.in(socketId).disconnectSockets(true);
+                await releaseSocket(socketId);
             }
-            heartbeats.delete(socketId);
         }
+    } catch (error) {
+        console.error('❌ Error checking heartbeats:', error);
     }
-}, 15000); // Check every 15 seconds
+}, config.heartbeat.checkInterval);
 
-// Enhanced room cleanup - runs every 5 minutes
-cron.schedule('*/5 * * * *', () => {
+// Enhanced room cleanup - runs every 5 minutes by default
+cron.schedule(config.rooms.cleanupSchedule, async () => {
   console.log('🧹 Running room cleanup job...');
   const now = Date.now();
-  const thirtyMinutes = 30 * 60 * 1000;
-  const fiveMinutesInactive = 5 * 60 * 1000;
   
   let cleanedRooms = 0;
   
-  for (const [roomCode, roomInfo] of rooms.entries()) {
-    const roomAge = now - roomInfo.created;
-    const inactiveTime = now - roomInfo.lastActivity;
-    
-    let shouldClean = false;
-    let reason = '';
-    
-    // Clean if room is older than 30 minutes
-    if (roomAge > thirtyMinutes) {
-      shouldClean = true;
-      reason = 'room-timeout';
-    }
-    // Clean if room has been inactive for 5 minutes and has no receiver
-    else if (inactiveTime > fiveMinutesInactive && !roomInfo.receiver) {
-      shouldClean = true;
-      reason = 'inactive-no-receiver';
-    }
-    // Clean if users are no longer connected
-    else {
-      const senderConnected = roomInfo.sender && io.sockets.sockets.get(roomInfo.sender);
-      const receiverConnected = roomInfo.receiver && io.sockets.sockets.get(roomInfo.receiver);
+  try {
+    for (const roomInfo of await roomStore.listRooms()) {
+      const roomAge = now - roomInfo.created;
+      const inactiveTime = now - roomInfo.lastActivity;
       
-      if (!senderConnected && !receiverConnected) {
+      let shouldClean = false;
+      let reason = '';
+      
+      // Clean if room is older than its maximum age
+      if (roomAge > config.rooms.maxAge) {
         shouldClean = true;
-        reason = 'all-users-disconnected';
+        reason = 'room-timeout';
+      }
+      // Clean if room has been inactive for a while and has no receiver
+      else if (inactiveTime > config.rooms.inactiveTimeout && roomInfo.receivers.size === 0) {
+        shouldClean = true;
+        reason = 'inactive-no-receiver';
+      }
+      // Clean if users are no longer connected
+      else {
+        const connected = await Promise.all([roomInfo.sender, ...roomInfo.receivers].map(isConnected));
+        
+        if (!connected.some(Boolean)) {
+          shouldClean = true;
+          reason = 'all-users-disconnected';
+        }
+      }
+      
+      if (shouldClean) {
+        await cleanupRoom(roomInfo.code, reason);
+        cleanedRooms++;
       }
     }
-    
-    if (shouldClean) {
-      cleanupRoom(roomCode, reason);
-      cleanedRooms++;
-    }
+  } catch (error) {
+    console.error('❌ Error cleaning up rooms:', error);
   }
   
   if (cleanedRooms > 0) {
     console.log(`🗑️ Cleaned up ${cleanedRooms} rooms`);
   }
+
+  await joinLimiter.prune(now);
   
-  console.log(`📊 Active rooms: ${rooms.size}, Connected users: ${io.sockets.sockets.size}`);
+  console.log(`📊 Active rooms: ${await roomStore.countRooms().catch(() => '?')}, Connected users: ${io.sockets.sockets.size}`);
 });
 
-// Clean up old uploaded files every hour
-cron.schedule('0 * * * *', () => {
+// Clean up expired uploads (hourly by default), following each upload's own expiry rules
+cron.schedule(config.uploads.cleanupSchedule, () => {
   console.log('🧹 Running file cleanup job...');
+  uploadStore.expired().forEach((record) => {
+    const reason = record.expiresAt <= Date.now() ? 'expired' : 'download limit reached';
+    deleteUpload(record.id, reason);
+  });
+
+  const scanStarted = Date.now();
   fs.readdir(UPLOADS_DIR, (err, files) => {
     if (err) {
       console.error("Could not list the directory.", err);
       return;
     }
 
-    files.forEach((file) => {
+    // Records whose file is already gone (skipping ones added while listing)
+    const present = new Set(files);
+    uploadStore.list()
+      .filter((record) => record.created < scanStarted && !present.has(record.id))
+      .forEach((record) => uploadStore.remove(record.id));
+
+    // Files without a record (older uploads, or a crash between saving and recording)
+    files.filter((file) => !uploadStore.get(file)).forEach((file) => {
       const filePath = path.join(UPLOADS_DIR, file);
       fs.stat(filePath, (err, stat) => {
         if (err) {
@@ -627,11 +1227,8 @@ cron.schedule('0 * * * *', () => {
           return;
         }
 
-        const now = new Date().getTime();
-        const twentyFourHours = 24 * 60 * 60 * 1000;
-        const fileAge = now - new Date(stat.mtime).getTime();
-
-        if (fileAge > twentyFourHours) {
+        const fileAge = Date.now() - new Date(stat.mtime).getTime();
+        if (fileAge > config.uploads.orphanMaxAge) {
           console.log(`🗑️ Deleting old file: ${file}`);
           fs.unlink(filePath, (err) => {
             if (err) console.error(`Error deleting file: ${file}`, err);
@@ -640,81 +1237,121 @@ cron.schedule('0 * * * *', () => {
       });
     });
   });
+
+  // Abandoned resumable uploads (and the records of finished ones) expire the same way
+  fs.readdir(PARTIAL_UPLOADS_DIR, (err, files) => {
+    if (err) {
+      console.error("Could not list the partial uploads directory.", err);
+      return;
+    }
+
+    files.forEach((file) => {
+      const filePath = path.join(PARTIAL_UPLOADS_DIR, file);
+      fs.stat(filePath, (err, stat) => {
+        if (err) return;
+
+        const fileAge = Date.now() - new Date(stat.mtime).getTime();
+        if (fileAge > config.uploads.partialMaxAge) {
+          console.log(`🗑️ Deleting stale partial upload: ${file}`);
+          fs.unlink(filePath, (err) => {
+            if (err) console.error(`Error deleting partial upload: ${file}`, err);
+          });
+        }
+      });
+    });
+  });
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy',
-    activeRooms: rooms.size,
-    connectedSockets: io.sockets.sockets.size,
-    uptime: process.uptime(),
-    heartbeatsTracked: heartbeats.size
-  });
+app.get('/health', async (req, res) => {
+  try {
+    res.json({ 
+      status: 'healthy',
+      roomStore: roomStore.kind,
+      activeRooms: await roomStore.countRooms(),
+      connectedSockets: io.sockets.sockets.size,
+      uptime: process.uptime(),
+      heartbeatsTracked: await roomStore.countHeartbeats()
+    });
+  } catch (error) {
+    console.error('❌ Room store unavailable:', error);
+    res.status(503).json({ status: 'unhealthy', roomStore: roomStore.kind, error: 'Room store unavailable' });
+  }
 });
 
 // Enhanced health check with WebRTC diagnostics
-app.get('/health/webrtc', (req, res) => {
-  const roomsWithUsers = Array.from(rooms.entries()).map(([code, info]) => ({
-    code,
-    hasSender: !!info.sender,
-    hasReceiver: !!info.receiver,
-    age: Date.now() - info.created,
-    inactive: Date.now() - info.lastActivity
-  }));
-
-  res.json({
-    status: 'healthy',
-    rooms: roomsWithUsers,
-    totalRooms: rooms.size,
-    connectedSockets: io.sockets.sockets.size,
-    heartbeatsTracked: heartbeats.size
-  });
+app.get('/health/webrtc', async (req, res) => {
+  try {
+    const rooms = await roomStore.listRooms();
+    const roomsWithUsers = rooms.map((info) => ({
+      code: info.code,
+      hasSender: !!info.sender,
+      receivers: info.receivers.size,
+      pendingReceivers: info.pendingReceivers.size,
+      relayed: info.relayedReceivers.size,
+      age: Date.now() - info.created,
+      inactive: Date.now() - info.lastActivity
+    }));
+
+    res.json({
+      status: 'healthy',
+      rooms: roomsWithUsers,
+      totalRooms: rooms.length,
+      connectedSockets: io.sockets.sockets.size,
+      heartbeatsTracked: await roomStore.countHeartbeats()
+    });
+  } catch (error) {
+    console.error('❌ Room store unavailable:', error);
+    res.status(503).json({ status: 'unhealthy', error: 'Room store unavailable' });
+  }
 });
 
+let redisClients = [];
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully');
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, shutting down gracefully`);
   
   // Clear heartbeat interval
   if (heartbeatInterval) {
     clearInterval(heartbeatInterval);
   }
   
-  // Close all rooms
-  for (const [roomCode] of rooms.entries()) {
-    cleanupRoom(roomCode, 'server-shutdown');
+  // Close the rooms of senders connected here; with a shared store, rooms on
+  // other instances carry on
+  try {
+    const rooms = await roomStore.listRooms();
+    await Promise.all(rooms
+      .filter((roomInfo) => io.sockets.sockets.has(roomInfo.sender))
+      .map((roomInfo) => cleanupRoom(roomInfo.code, 'server-shutdown')));
+  } catch (error) {
+    console.error('❌ Error closing rooms:', error);
   }
   
   // Close server
   server.close(() => {
     console.log('✅ Server closed');
-    process.exit(0);
+    Promise.all([uploadStore.flush(), ...redisClients.map((client) => client.close())])
+      .then(() => process.exit(0));
   });
-});
+};
 
-process.on('SIGINT', () => {
-  console.log('🛑 SIGINT received, shutting down gracefully');
-  
-  // Clear heartbeat interval
-  if (heartbeatInterval) {
-    clearInterval(heartbeatInterval);
-  }
-  
-  // Close all rooms
-  for (const [roomCode] of rooms.entries()) {
-    cleanupRoom(roomCode, 'server-shutdown');
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+const start = async () => {
+  if (redisClient) {
+    redisClients = await connectRedis();
   }
-  
-  // Close server
-  server.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
+
+  server.listen(config.port, () => {
+    console.log(`📡 Signaling server running on port ${config.port}`);
+    console.log(`🌐 Health check available at /health`);
+    console.log(`🔧 WebRTC diagnostics at /health/webrtc`);
   });
-});
+};
 
-server.listen(PORT, () => {
-  console.log(`📡 Signaling server running on port ${PORT}`);
-  console.log(`🌐 Health check available at /health`);
-  console.log(`🔧 WebRTC diagnostics at /health/webrtc`);
+start().catch((error) => {
+  console.error('❌ Failed to start the server:', error);
+  process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const parseRange = require('range-parser');
+
+// --- Upload metadata store ---
+// One JSON file next to the uploads directory, keyed by upload ID. The ID is
+// also the file's name on disk; the original name only lives in the record.
+// Records are kept in memory and rewritten (tmp file + rename) after each change,
+// so a crash never leaves a half-written store behind.
+
+const EXPIRY_OPTIONS = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+const DEFAULT_EXPIRY = '24h';
+const MAX_DOWNLOAD_LIMIT = 1000;
+
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const UPLOAD_ID_LENGTH = 22; // 62^22 > 2^128
+const UPLOAD_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+const LANGUAGE_PATTERN = /^[a-z]{1,20}$/; // Snippet language IDs, e.g. "javascript"
+const CONTENT_ENCODINGS = ['gzip', 'deflate']; // What browsers' CompressionStream produces
+
+// 128 random bits, base62-encoded so the ID is URL- and filename-safe
+const createUploadId = () => {
+  let value = BigInt(`0x${crypto.randomBytes(16).toString('hex')}`);
+  let id = '';
+  while (value > 0n) {
+    id = BASE62_ALPHABET[Number(value % 62n)] + id;
+    value /= 62n;
+  }
+  return id.padStart(UPLOAD_ID_LENGTH, '0');
+};
+
+const isUploadId = (id) => typeof id === 'string' && UPLOAD_ID_PATTERN.test(id);
+
+// The uploader's secret for revoking or extending an upload. Only its hash is stored.
+const createManageToken = () => crypto.randomBytes(32).toString('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Turns the uploader's choices into expiry settings, or an error message.
+// `defaultExpiry` applies when the uploader didn't choose one.
+const parseRetention = ({ expiry, maxDownloads } = {}, defaultExpiry = DEFAULT_EXPIRY) => {
+  const expiryKey = expiry || defaultExpiry;
+  if (!EXPIRY_OPTIONS[expiryKey]) {
+    return { error: `Expiry must be one of ${Object.keys(EXPIRY_OPTIONS).join(', ')}` };
+  }
+
+  let downloadLimit = null;
+  if (maxDownloads !== undefined && maxDownloads !== null && maxDownloads !== '') {
+    downloadLimit = Number(maxDownloads);
+    if (!Number.isInteger(downloadLimit) || downloadLimit < 1 || downloadLimit > MAX_DOWNLOAD_LIMIT) {
+      return { error: `Download limit must be a whole number between 1 and ${MAX_DOWNLOAD_LIMIT}` };
+    }
+  }
+
+  return { expiry: expiryKey, lifetime: EXPIRY_OPTIONS[expiryKey], maxDownloads: downloadLimit };
+};
+
+// Whether a GET of the file counts against its download limit: it does whenever
+// the response may start at byte 0. The Range header is read the way sendFile
+// reads it, so anything it would answer with the whole file - a malformed header,
+// several ranges, or an If-Range it may find stale - counts like a plain GET.
+// Only one satisfiable range further into the file (a resumed download) doesn't.
+const countsAsDownload = ({ range, ifRange, size }) => {
+  if (!range || !/^ *bytes=/.test(range) || ifRange) return true;
+  const ranges = parseRange(size, range, { combine: true });
+  if (ranges === -1) return false; // 416, nothing is sent
+  return ranges === -2 || ranges.length !== 1 || ranges[0].start === 0;
+};
+
+const createUploadStore = ({ filePath }) => {
+  const records = new Map();
+  let writeChain = Promise.resolve();
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    saved.filter((record) => isUploadId(record.id)).forEach((record) => records.set(record.id, record));
+    console.log(`📚 Loaded ${records.size} upload records`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Could not read the upload store, starting empty:', error.message);
+    }
+  }
+
+  // Writes are chained so an older snapshot can never overwrite a newer one
+  const persist = () => {
+    const snapshot = JSON.stringify(Array.from(records.values()), null, 2);
+    const tmpPath = `${filePath}.tmp`;
+    writeChain = writeChain
+      .then(() => fs.promises.writeFile(tmpPath, snapshot))
+      .then(() => fs.promises.rename(tmpPath, filePath))
+      .catch((error) => console.error('❌ Failed to save the upload store:', error));
+    return writeChain;
+  };
+
+  const isExpired = (record, now = Date.now()) => (
+    record.expiresAt <= now ||
+    (record.maxDownloads !== null && record.downloads >= record.maxDownloads)
+  );
+
+  return {
+    add({ id, originalName, size, mimeType, language, encoding, originalSize, uploaderIp, retention, manageToken }) {
+      const created = Date.now();
+      const isEncoded = CONTENT_ENCODINGS.includes(encoding);
+      const decodedSize = Number(originalSize);
+      const record = {
+        id,
+        originalName,
+        size,
+        mimeType: mimeType || 'application/octet-stream',
+        language: LANGUAGE_PATTERN.test(language || '') ? language : null,
+        // Stored compressed, as uploaded; size is what is on disk
+        encoding: isEncoded ? encoding : null,
+        originalSize: isEncoded && Number.isSafeInteger(decodedSize) && decodedSize >= 0 ? decodedSize : null,
+        uploaderIp: uploaderIp || null,
+        created,
+        expiresAt: created + retention.lifetime,
+        maxDownloads: retention.maxDownloads,
+        downloads: 0,
+        manageTokenHash: hashToken(manageToken)
+      };
+      records.set(id, record);
+      persist();
+      return record;
+    },
+
+    get(id) {
+      return records.get(id) || null;
+    },
+
+    // Counts a download; returns the updated record
+    recordDownload(id) {
+      const record = records.get(id);
+      if (!record) return null;
+      record.downloads += 1;
+      record.lastDownloadAt = Date.now();
+      persist();
+      return record;
+    },
+
+    canManage(record, token) {
+      if (!record || !record.manageTokenHash || typeof token !== 'string' || !token) return false;
+      const expected = Buffer.from(record.manageTokenHash, 'hex');
+      const actual = Buffer.from(hashToken(token), 'hex');
+      return crypto.timingSafeEqual(expected, actual);
+    },
+
+    // Pushes the expiry out by `lifetime`, but never more than the longest
+    // expiry option from now
+    extend(id, lifetime) {
+      const record = records.get(id);
+      if (!record) return null;
+      const now = Date.now();
+      const longest = Math.max(...Object.values(EXPIRY_OPTIONS));
+      record.expiresAt = Math.min(Math.max(record.expiresAt, now) + lifetime, now + longest);
+      persist();
+      return record;
+    },
+
+    remove(id) {
+      if (records.delete(id)) {
+        persist();
+      }
+    },
+
+    list() {
+      return Array.from(records.values());
+    },
+
+    isExpired,
+
+    expired(now = Date.now()) {
+      return Array.from(records.values()).filter((record) => isExpired(record, now));
+    },
+
+    flush: () => writeChain
+  };
+};
+
+module.exports = {
+  createUploadStore,
+  createUploadId,
+  createManageToken,
+  isUploadId,
+  parseRetention,
+  countsAsDownload,
+  EXPIRY_OPTIONS,
+  DEFAULT_EXPIRY
+};
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { countsAsDownload } = require('./uploadStore');
+
+const size = 1000;
+const counts = (range, ifRange) => countsAsDownload({ range, ifRange, size });
+
+describe('countsAsDownload', () => {
+  it('counts plain downloads and ranges from the first byte', () => {
+    assert.strictEqual(counts(undefined), true);
+    assert.strictEqual(counts('bytes=0-'), true);
+    assert.strictEqual(counts('bytes=0-499'), true);
+    assert.strictEqual(counts('bytes=-1000'), true);
+  });
+
+  it('does not count a resumed download', () => {
+    assert.strictEqual(counts('bytes=500-'), false);
+    assert.strictEqual(counts('bytes=1-999'), false);
+  });
+
+  it('counts a first byte written with leading zeros', () => {
+    assert.strictEqual(counts('bytes=00-'), true);
+    assert.strictEqual(counts('bytes=000-10'), true);
+  });
+
+  it('counts multi-range requests, which are answered with the whole file', () => {
+    assert.strictEqual(counts('bytes=1-,0-0'), true);
+    assert.strictEqual(counts('bytes=500-599,0-0'), true);
+    assert.strictEqual(counts('bytes=100-199,500-599'), true);
+  });
+
+  it('counts ranges in units sendFile ignores', () => {
+    assert.strictEqual(counts('items=500-'), true);
+  });
+
+  it('counts a range sent with If-Range, which may turn into the whole file', () => {
+    assert.strictEqual(counts('bytes=500-', 'W/"3e8-0"'), true);
+  });
+
+  it('does not count ranges answered with 416', () => {
+    assert.strictEqual(counts('bytes=1000-'), false);
+    assert.strictEqual(counts('bytes=abc'), false);
+  });
+});